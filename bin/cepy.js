@@ -21,52 +21,476 @@
 const program = require('commander'),
       chalk = require('chalk'),
       path = require('path'),
-      log = require('debug')('cepy'),
+      readline = require('readline'),
+      debug = require('debug'),
       cepy = require('../cepy.js'),
-      version = require('./package.json').version;
+      secrets = require('../lib/secrets.js'),
+      plan = require('../lib/plan.js'),
+      zxp = require('../lib/zxp.js'),
+      version = require('../package.json').version;
 
+/**
+ * Enables logging for all cepy modules.
+ */
+function enableLog()
+{
+    if (!debug.enabled('cepy'))
+    {
+        debug.enable('cepy');
+    }
+};
+
+/**
+ * Whether errors should be printed with their stack, set by --verbose.
+ */
+let verbose = false;
+
+/**
+ * Enables logging for all cepy modules and the stack of errors, if requested on the command line.
+ */
+function enableVerbose(options)
+{
+    if (options.verbose)
+    {
+        verbose = true;
+        enableLog();
+    }
+};
+
+/**
+ * Prints an error as a single line, or with its stack in verbose mode, then exits.
+ */
 function handleError(error)
 {
-    console.error(error);
+    error = secrets.redact(error);
+
+    if (verbose && error instanceof Error && error.stack)
+    {
+        console.error(error.stack);
+    }
+    else
+    {
+        console.error(chalk.red(`Error: ${(error instanceof Error) ? error.message : error}`));
+    }
+
     process.exit(1);
 };
 
+/**
+ * Collects the values of an option that can be repeated.
+ */
+function collect(value, previous)
+{
+    return previous.concat([value]);
+};
+
+/**
+ * Returns the certificate password source specified on the command line, if any.
+ */
+function passwordSource(options)
+{
+    if (typeof options.password === 'string')
+    {
+        return options.password;
+    }
+    else if (options.passwordEnv)
+    {
+        return { env: options.passwordEnv };
+    }
+    else if (options.passwordFile)
+    {
+        return { file: options.passwordFile };
+    }
+    else if (options.askPassword)
+    {
+        return { prompt: 'Certificate password' };
+    }
+
+    return undefined;
+};
+
+/**
+ * Loads the configuration file specified on the command line or, if none, the one found walking up
+ * from the working directory, then creates a packager from it. When the configuration file is looked
+ * up, the working directory changes to the folder containing it, so that paths in the configuration
+ * are relative to it. Paths specified on the command line should be resolved beforehand.
+ * @param {Object} options Command line options, "config" is set to the path of the loaded file.
+ * @param {String} mode Command being run, passed to configuration functions.
+ * @param {Boolean} required Whether a configuration file is required.
+ */
+function loadPackager(options, mode, required)
+{
+    const lookup = !options.config;
+
+    return cepy.loadConfig({ file: options.config, mode, debug: !!options.debug, profile: options.profile, set: options.set })
+    .then((result) =>
+    {
+        if (result.file === null)
+        {
+            if (required)
+            {
+                throw new Error('No configuration file found, create a "cepy.config.js" file or use --config <path>.');
+            }
+
+            return cepy();
+        }
+
+        if (lookup && path.dirname(result.file) !== process.cwd())
+        {
+            process.chdir(path.dirname(result.file));
+        }
+
+        options.config = result.file;
+        return cepy(result.config);
+    });
+};
+
+/**
+ * Prints the plan resolved in "dry run" mode, either as an ordered list of steps or as JSON.
+ */
+function printPlan(options)
+{
+    return (result) =>
+    {
+        if (options.json)
+        {
+            console.log(plan.toJSON(result));
+        }
+        else if (options.dryRun)
+        {
+            console.log(plan.format(result));
+        }
+    };
+};
+
+/**
+ * Asks the user for the values that were not specified on the command line.
+ */
+function prompt(options, questions)
+{
+    if (!process.stdin.isTTY)
+    {
+        return Promise.resolve(options);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    return questions.reduce((promise, question) =>
+    {
+        return promise.then(() =>
+        {
+            if (options[question.key])
+            {
+                return;
+            }
+
+            const suffix = question.default ? ` (${question.default})` : '';
+            return new Promise(resolve => rl.question(`${question.message}${suffix}: `, resolve))
+            .then(answer => { options[question.key] = answer.trim() || question.default; });
+        });
+    }, Promise.resolve())
+    .then(() => { rl.close(); return options; });
+};
+
+function create(options)
+{
+    enableVerbose(options);
+
+    prompt(options, [
+        { key: 'id', message: 'Bundle id (i.e. com.acme.awesomebundle)' },
+        { key: 'name', message: 'Bundle name' },
+        { key: 'author', message: 'Author' },
+        { key: 'products', message: 'Products (comma separated)', default: 'photoshop' },
+        { key: 'families', message: 'Families (a single minimum family, or a comma separated range)', default: 'cc2020' },
+        { key: 'extensions', message: 'Extensions (comma separated)', default: 'panel' },
+    ])
+    .then(() => cepy().create(options))
+    .then(() => process.exit())
+    .catch(handleError);
+};
+
 function execute(mode, options)
 {
-    options.config = options.config || './cepy-config.js';
-    log.enabled = log.enabled || options.verbose;
-    let packager = cepy(require(path.resolve(options.config)));
+    enableVerbose(options);
 
-    if (mode === 'decorate')
+    // Relative to the working directory the command is run from
+    if (options.passwordFile)
     {
-        packager.decorate(options.buildName, options.debug)
-        .then(process.exit)
-        .catch(handleError);
+        options.passwordFile = path.resolve(options.passwordFile);
     }
-    else if (mode === 'launch')
+
+    if (options.out)
     {
-        packager.launch(options.buildName, { product: options.product, family: options.family, debug: options.debug })
-        .then(process.exit)
-        .catch(handleError);
+        options.out = path.resolve(options.out);
     }
-    else if (mode === 'pack')
+
+    loadPackager(options, mode, true)
+    .then((packager) =>
     {
-        packager.pack(options.debug)
-        .then(process.exit)
-        .catch(handleError);
+        if (mode === 'decorate')
+        {
+            return packager.decorate(options.buildName, options.debug, options.out)
+            .then(() => process.exit());
+        }
+        else if (mode === 'validate')
+        {
+            return packager.validate(options.buildName)
+            .then(() => process.exit());
+        }
+        else if (mode === 'launch')
+        {
+            return packager.launch(options.buildName, { product: options.product, family: options.family, debug: options.debug, dryRun: options.dryRun || options.json })
+            .then(printPlan(options))
+            .then(() => process.exit());
+        }
+        else if (mode === 'watch')
+        {
+            // Watching is interactive, always report what's going on
+            enableLog();
+
+            return packager.watch(options.buildName, {
+                product: options.product,
+                family: options.family,
+                debug: options.debug,
+                config: options.config,
+                profile: options.profile,
+                set: options.set,
+            });
+        }
+        else if (mode === 'pack')
+        {
+            return packager.pack({ debug: options.debug, password: passwordSource(options), dryRun: options.dryRun || options.json })
+            .then(printPlan(options))
+            .then(() => process.exit());
+        }
+    })
+    .catch(handleError);
+};
+
+/**
+ * Lists installed host applications.
+ * The config file is optional, it's only needed for custom install roots and platform adapters.
+ */
+function listHosts(options)
+{
+    enableVerbose(options);
+
+    loadPackager(options, 'hosts', false)
+    .then(packager => packager.discoverHosts({ products: options.product }))
+    .then((applications) =>
+    {
+        if (options.json)
+        {
+            console.log(JSON.stringify(applications, null, 2));
+        }
+        else if (applications.length === 0)
+        {
+            console.log('No host applications found.');
+        }
+        else
+        {
+            for (const application of applications)
+            {
+                console.log(`${application.product}\t${application.family || '?'}\t${application.version || '?'}\t${application.path}`);
+            }
+        }
+    })
+    .then(() => process.exit())
+    .catch(handleError);
+};
+
+/**
+ * Sets, removes or reports the "PlayerDebugMode" flag.
+ * The config file is optional, it's only needed for custom platform adapters.
+ */
+function debugMode(action, families, options)
+{
+    enableVerbose(options);
+
+    loadPackager(options, 'debug-mode', false)
+    .then((packager) =>
+    {
+        if (action === 'status')
+        {
+            return packager.debugMode(action, { families })
+            .tap((report) =>
+            {
+                if (options.json)
+                {
+                    console.log(JSON.stringify(report, null, 2));
+                    return;
+                }
+
+                for (const entry of report)
+                {
+                    let state = 'not set';
+
+                    if (entry.error)
+                    {
+                        state = chalk.red(`unknown (${entry.error})`);
+                    }
+                    else if (typeof entry.enabled === 'boolean')
+                    {
+                        state = (entry.enabled) ? chalk.green('enabled') : chalk.yellow('disabled');
+                    }
+
+                    console.log(`CSXS.${entry.csxs} (${entry.families.join(', ')}): ${state}`);
+                }
+            })
+            .then((report) =>
+            {
+                const unknown = report.filter(entry => entry.error).map(entry => `CSXS.${entry.csxs}`);
+
+                if (unknown.length > 0)
+                {
+                    throw new Error(`Unable to read the debug mode flag for ${unknown.join(', ')}.`);
+                }
+            });
+        }
+
+        return packager.debugMode(action, { families, dryRun: options.dryRun || options.json })
+        .then(printPlan(options));
+    })
+    .then(() => process.exit())
+    .catch(handleError);
+};
+
+/**
+ * Runs a certificate management command.
+ * The config file is optional, as certificates can be managed outside of a project.
+ */
+function certificate(action, options)
+{
+    enableVerbose(options);
+    enableLog();
+
+    // Relative to the working directory the command is run from
+    for (const key of ['file', 'passwordFile'])
+    {
+        if (options[key])
+        {
+            options[key] = path.resolve(options[key]);
+        }
     }
+
+    loadPackager(options, 'cert', false)
+    .then((packager) =>
+    {
+        if (action === 'create')
+        {
+            return packager.createCertificate({
+                file: options.file,
+                password: passwordSource(options),
+                owner: options.owner,
+                country: options.country,
+                state: options.state,
+                organization: options.org,
+                commonName: options.commonName,
+                email: options.email,
+                validity: (options.validityDays !== undefined) ? parseInt(options.validityDays, 10) : undefined,
+                overwrite: options.force,
+            });
+        }
+        else if (action === 'info')
+        {
+            return packager.getCertificateInfo({ file: options.file, password: passwordSource(options) });
+        }
+        else if (action === 'check-expiry')
+        {
+            return packager.checkCertificateExpiry({
+                file: options.file,
+                password: passwordSource(options),
+                days: (options.days !== undefined) ? parseInt(options.days, 10) : undefined,
+            });
+        }
+    })
+    .then(() => process.exit())
+    .catch(handleError);
+};
+
+/**
+ * Checks the configuration file against the schema of the known options.
+ */
+function checkConfig(options)
+{
+    enableVerbose(options);
+
+    cepy.loadConfig({ file: options.config, mode: 'config', profile: options.profile, set: options.set })
+    .then((result) =>
+    {
+        if (result.file === null)
+        {
+            throw new Error('No configuration file found, create a "cepy.config.js" file or use --config <path>.');
+        }
+
+        const errors = cepy.checkConfig(result.config);
+
+        if (errors.length > 0)
+        {
+            console.error(chalk.red(`Configuration file ${result.file} is invalid:`));
+            errors.forEach(error => console.error(`  ${error.path}: ${error.message}`));
+            process.exit(1);
+        }
+
+        // Host data, platform adapters and plugins are validated when loading them
+        cepy(result.config);
+
+        console.log(`Configuration file ${result.file} is valid.`);
+    })
+    .then(() => process.exit())
+    .catch(handleError);
+};
+
+/**
+ * Prints the resolved configuration, after applying profile, overrides and default values.
+ */
+function printConfig(options)
+{
+    enableVerbose(options);
+
+    loadPackager(options, 'config', false)
+    .then(packager => console.log(JSON.stringify(packager.getConfig(), null, 2)))
+    .then(() => process.exit())
+    .catch(handleError);
 };
 
 // Available commands
 program
     .version(version);
 
+program
+    .command('create [directory]')
+    .description('Creates a new extension project in the specified directory, asking for any missing information.')
+    .option('--bundle-id <id>', 'Bundle id (i.e. "com.acme.awesomebundle").')
+    .option('--bundle-name <name>', 'Bundle name.')
+    .option('--author <author>', 'Author or company name.')
+    .option('--products <products>', 'Optional. Comma separated list of products, defaults to "photoshop".')
+    .option('--families <families>', 'Optional. Minimum family, or a comma separated range of families, defaults to "cc2020".')
+    .option('--extensions <extensions>', 'Optional. Comma separated list of extension names, defaults to "panel".')
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((directory, command) =>
+    {
+        create({
+            directory: directory || '.',
+            id: command.bundleId,
+            name: command.bundleName,
+            author: command.author,
+            products: command.products,
+            families: command.families,
+            extensions: command.extensions,
+            verbose: command.verbose,
+        });
+    });
+
 program
     .command('decorate <buildName>')
     .alias('compile')
     .description('Generates manifest files (and, optionally, debug files) for the specified build.')
-    .option('-c, --config <path>', 'Optional. Configuration file, defaults to "./cepy-config.js".')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
     .option('-d, --debug', 'Optional. Enables debug mode.')
+    .option('-o, --out <dir>', 'Optional. Folder the sources are copied to and decorated in, defaults to the build "output" option.')
     .option('--verbose', 'Optional. Enables verbose logging.')
     .action((buildName, options) =>
     {
@@ -75,13 +499,31 @@ program
         execute('decorate', options);
     });
 
+program
+    .command('validate <buildName>')
+    .description('Validates the manifest generated for the specified build against the manifest version of its lowest family.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((buildName, options) =>
+    {
+        options = options || {};
+        options.buildName = buildName;
+        execute('validate', options);
+    });
+
 program
     .command('launch <buildName>')
     .description('Decorates and launches the specified build, optionally in debug mode.')
-    .option('-c, --config <path>', 'Optional. Configuration file, defaults to "./cepy-config.js".')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
     .option('-d, --debug', 'Optional. Enables debug mode.')
-    .option('-p, --product', 'Optional. Name of the product that will be launched. Will fall back to the first product specified in the build.')
-    .option('-f, --family', 'Optional. Name of the family of the product that will be launched. Will fall back to the first family specified in the build.')
+    .option('-p, --product <product>', 'Optional. Name of the product that will be launched. Will fall back to the first product specified in the build.')
+    .option('-f, --family <family>', 'Optional. Name of the family of the product that will be launched. Will fall back to the first family specified in the build.')
+    .option('--dry-run', 'Optional. Prints the paths, commands, templates and outputs launching would touch, without executing anything.')
+    .option('--json', 'Optional. Prints the dry run plan as JSON, implies --dry-run.')
     .option('--verbose', 'Optional. Enables verbose logging.')
     .action((buildName, options) =>
     {
@@ -90,18 +532,200 @@ program
         execute('launch', options);
     });
 
+program
+    .command('watch <buildName>')
+    .description('Decorates and installs the specified build, then keeps the installed extension in sync with its sources without restarting the host application.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('-d, --debug', 'Optional. Enables debug mode.')
+    .option('-p, --product <product>', 'Optional. Name of the product the build is installed for. Will fall back to the first product specified in the build.')
+    .option('-f, --family <family>', 'Optional. Name of the family of the product the build is installed for. Will fall back to the first family specified in the build.')
+    .action((buildName, options) =>
+    {
+        options = options || {};
+        options.buildName = buildName;
+        execute('watch', options);
+    });
+
 program
     .command('pack')
     .alias('package')
     .description('Decorates all the builds, optionally in debug mode, and then packages them into a redistributable ZXP archive.')
-    .option('-c, --config <path>', 'Optional. Configuration file, defaults to "./cepy-config.js".')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
     .option('-d, --debug', 'Optional. Enables debug mode.')
+    .option('--password-env <name>', 'Optional. Reads the certificate password from the specified environment variable.')
+    .option('--password-file <path>', 'Optional. Reads the certificate password from the specified file.')
+    .option('--ask-password', 'Optional. Asks for the certificate password.')
+    .option('--dry-run', 'Optional. Prints the paths, commands, templates and outputs packaging would touch, without executing anything.')
+    .option('--json', 'Optional. Prints the dry run plan as JSON, implies --dry-run.')
     .option('--verbose', 'Optional. Enables verbose logging.')
     .action((options) =>
     {
         execute('pack', options);
     });
 
+program
+    .command('verify <file>')
+    .description('Verifies the signature and certificate of a ZXP package, including the packages nested into it.')
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((file, options) =>
+    {
+        enableVerbose(options);
+
+        cepy().verify(file)
+        .then(
+            report => console.log(zxp.formatVerification(report)),
+            (error) =>
+            {
+                // Print what's wrong with the package before failing
+                if (error.report)
+                {
+                    console.log(zxp.formatVerification(error.report));
+                }
+
+                throw error;
+            })
+        .then(() => process.exit())
+        .catch(handleError);
+    });
+
+program
+    .command('inspect <file>')
+    .description('Prints the signature, certificate, MXI products and files, and bundle manifests of a ZXP package.')
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((file, options) =>
+    {
+        enableVerbose(options);
+
+        cepy().inspect(file)
+        .then(report => console.log(zxp.formatInspection(report)))
+        .then(() => process.exit())
+        .catch(handleError);
+    });
+
+program
+    .command('hosts')
+    .description('Lists the host applications installed in the install roots of the current platform, with their product, family and version.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('-p, --product <products>', 'Optional. Comma separated list of products to look for, defaults to all.')
+    .option('--json', 'Optional. Prints the applications as JSON.')
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((options) =>
+    {
+        listHosts(options);
+    });
+
+program
+    .command('debug-mode <action> [families...]')
+    .description('Enables, disables or reports the "PlayerDebugMode" flag (action is "enable", "disable" or "status") for the specified families, or for all of them.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--dry-run', 'Optional. Prints the commands that would be executed, without executing them.')
+    .option('--json', 'Optional. Prints the dry run plan as JSON, implies --dry-run, or the "status" report as JSON.')
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((action, families, options) =>
+    {
+        debugMode(action, families, options);
+    });
+
+const configuration = program
+    .command('config')
+    .description('Manages the configuration file.');
+
+configuration
+    .command('print')
+    .description('Prints the resolved configuration as JSON, after applying profile, overrides and default values.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((options) =>
+    {
+        printConfig(options);
+    });
+
+configuration
+    .command('check')
+    .description('Checks the configuration file, reporting unknown options (with suggestions) and invalid values.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--verbose', 'Optional. Enables verbose logging.')
+    .action((options) =>
+    {
+        checkConfig(options);
+    });
+
+const cert = program
+    .command('cert')
+    .description('Manages the certificate used to sign packages.');
+
+cert
+    .command('create')
+    .description('Generates a self-signed certificate, using the "packaging.certificate" configuration unless overridden.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--file <path>', 'Optional. Output certificate file.')
+    .option('--password <password>', 'Optional. Certificate password.')
+    .option('--password-env <name>', 'Optional. Reads the certificate password from the specified environment variable.')
+    .option('--password-file <path>', 'Optional. Reads the certificate password from the specified file.')
+    .option('--ask-password', 'Optional. Asks for the certificate password.')
+    .option('--owner <owner>', 'Optional. Certificate owner, used as organization and common name if those are not specified.')
+    .option('--country <code>', 'Optional. Two letter country code, defaults to "US".')
+    .option('--state <state>', 'Optional. State or province, defaults to "NY".')
+    .option('--org <organization>', 'Optional. Organization.')
+    .option('--common-name <name>', 'Optional. Common name.')
+    .option('--email <email>', 'Optional. Email address.')
+    .option('--validity-days <days>', 'Optional. Validity of the certificate in days, defaults to 365.')
+    .option('--force', 'Optional. Overwrites an existing certificate file.')
+    .option('--verbose', 'Optional. Prints errors with their stack.')
+    .action((options) =>
+    {
+        certificate('create', options);
+    });
+
+cert
+    .command('info [file]')
+    .description('Prints the subject, issuer and validity of a certificate, defaults to the packaging certificate.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--password <password>', 'Optional. Certificate password, defaults to the packaging certificate one.')
+    .option('--password-env <name>', 'Optional. Reads the certificate password from the specified environment variable.')
+    .option('--password-file <path>', 'Optional. Reads the certificate password from the specified file.')
+    .option('--ask-password', 'Optional. Asks for the certificate password.')
+    .option('--verbose', 'Optional. Prints errors with their stack.')
+    .action((file, options) =>
+    {
+        options.file = file;
+        certificate('info', options);
+    });
+
+cert
+    .command('check-expiry [file]')
+    .description('Fails if a certificate (defaults to the packaging certificate) is expired or expires within the specified number of days.')
+    .option('-c, --config <path>', 'Optional. Configuration file, defaults to the one found walking up from the working directory.')
+    .option('--profile <name>', 'Optional. Configuration profile merged over the configuration.')
+    .option('--set <path=value>', 'Optional. Overrides a configuration option (i.e. "builds.main.bundle.version=1.2.3"), can be repeated.', collect, [])
+    .option('--password <password>', 'Optional. Certificate password, defaults to the packaging certificate one.')
+    .option('--password-env <name>', 'Optional. Reads the certificate password from the specified environment variable.')
+    .option('--password-file <path>', 'Optional. Reads the certificate password from the specified file.')
+    .option('--ask-password', 'Optional. Asks for the certificate password.')
+    .option('--days <days>', 'Optional. Minimum number of days the certificate should still be valid for, defaults to 30.')
+    .option('--verbose', 'Optional. Prints errors with their stack.')
+    .action((file, options) =>
+    {
+        options.file = file;
+        certificate('check-expiry', options);
+    });
+
 program
 	.command('*')
 	.action(function (arg)
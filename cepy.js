@@ -28,13 +28,74 @@ const rimraf = Promise.promisify(require('rimraf')),
       fs_stat = Promise.promisify(require('fs').stat);
 
 const template = require('./lib/template.js'),
+      ports = require('./lib/ports.js'),
+      plan = require('./lib/plan.js'),
+      platforms = require('./lib/platforms.js'),
+      discovery = require('./lib/discovery.js'),
+      hosts = require('./lib/hosts.js'),
       Build = require('./lib/build.js'),
-      zxp = require('./lib/zxp.js');
+      zxp = require('./lib/zxp.js'),
+      secrets = require('./lib/secrets.js'),
+      create = require('./lib/create.js'),
+      configLoader = require('./lib/config.js'),
+      hooks = require('./lib/hooks.js'),
+      schema = require('./lib/schema.js'),
+      watcher = require('./lib/watch.js');
 
-const defaultConfig = require('./defaults/config.js');
+const defaultConfig = require('./defaults/config.js'),
+      configSchema = require('./defaults/schema.js').config;
+
+/**
+ * Makes sure a configuration matches the schema of the options cepy knows about.
+ * @param {Object} config
+ */
+function assertValidConfig(config)
+{
+    const errors = schema.validate(config, configSchema);
+
+    if (errors.length > 0)
+    {
+        const error = new Error(`Invalid configuration:\n  ${schema.format(errors).split('\n').join('\n  ')}`);
+        error.errors = errors;
+        throw error;
+    }
+};
+
+/**
+ * Sets the main path of extensions from the HTML entries emitted by a bundler.
+ * Extensions without a main path get the entries that no other extension uses, in order.
+ * @param {Object[]} extensions Extension configurations, updated in place.
+ * @param {String[]} entries Paths of the emitted HTML files, relative to the bundler output folder.
+ * @returns {Object[]}
+ */
+function applyEntries(extensions, entries)
+{
+    const normalize = file => path.posix.normalize(file.split(path.sep).join('/')),
+          html = entries.map(normalize),
+          unused = html.filter(entry => !extensions.some(extension => extension.mainPath && normalize(extension.mainPath) === entry));
+
+    for (const extension of extensions)
+    {
+        if (typeof extension.mainPath === 'string' && extension.mainPath.length > 0)
+        {
+            if (html.length > 0 && html.indexOf(normalize(extension.mainPath)) === -1)
+            {
+                log(chalk.yellow(`Main path "${extension.mainPath}" of extension "${extension.id}" was not emitted by the bundler.`));
+            }
+        }
+        else if (unused.length > 0)
+        {
+            extension.mainPath = unused.shift();
+            log(`Using ${chalk.cyan(extension.mainPath)} as main path of extension "${extension.id}".`);
+        }
+    }
+
+    return extensions;
+};
 
 /**
  * Main application.
+ * @param {Object} [config] Configuration, as exported by a configuration file or resolved by Cepy.loadConfig.
  */
 function Cepy(config)
 {
@@ -46,6 +107,7 @@ function Cepy(config)
     // Make sure config information is at least valid for first initialization
     if (typeof config === 'object')
     {
+        assertValidConfig(config);
         config = _.defaultsDeep(_.cloneDeep(config), _.cloneDeep(defaultConfig));
     }
     else
@@ -54,33 +116,275 @@ function Cepy(config)
     }
 
     // Load builds
+    // Builds alter the configuration they receive, keep a pristine copy around
+    // so that they can be created again later on (i.e. when watching)
+    const pristine = _.cloneDeep(config),
+          platform = platforms.getAdapter(config.platform),
+          plugins = hooks.load(config.plugins),
+          hostData = hosts.load(config.hosts);
     let builds = [];
     Object.keys(config.builds).forEach((buildName) =>
     {
-        builds.push(new Build(buildName, config.builds[buildName]));
+        builds.push(new Build(buildName, config.builds[buildName], platform, plugins, hostData));
     });
 
     Object.defineProperties(this, {
 
+        /** Configuration. */
+        _config: { value: pristine },
+
         /** Builds. */
         _builds: { value: builds },
 
         /** Packaging. */
         _packaging: { value: config.packaging },
 
+        /** Platform adapter. */
+        _platform: { value: platform },
+
+        /** Plugins. */
+        _plugins: { value: plugins },
+
+        /** Host data: built-in families and products, plus the ones added or overridden by configuration. */
+        _hosts: { value: hostData },
+
     });
 };
 
 Cepy.prototype = Object.create(null);
 Cepy.constructor = Cepy;
 
+/**
+ * Resolves the configuration to use: the specified file or, if none, the first "cepy.config.*" file
+ * (or "package.json" file with a "cepy" key) found walking up from the working directory.
+ * Configuration files exporting a function get it called with { mode, debug, profile, env }.
+ * @param {Object} [options] See lib/config.js for details.
+ * @param {String} [options.file] Path to the configuration file.
+ * @param {String} [options.mode] Command being run, i.e. "decorate" or "pack".
+ * @param {Boolean} [options.debug=false] Whether the command runs in "debug" mode.
+ * @param {String} [options.profile] Name of the profile (see the "profiles" option) merged over the configuration.
+ * @param {String[]} [options.set] Overrides in the "path=value" form, i.e. "builds.main.bundle.version=1.2.3".
+ * @returns {Promise.<{ file: (String|null), config: (Object|null) }>} The configuration, which can be
+ *          passed to the constructor, and the file it was loaded from. Both are null if no file was found.
+ */
+Cepy.loadConfig = function (options)
+{
+    return configLoader.resolve(options);
+};
+
+/**
+ * Checks a configuration against the schema of the options cepy knows about (see defaults/schema.js).
+ * Unknown options come with a suggestion when they look like a typo of a known one.
+ * @param {Object} config
+ * @returns {Array.<{ path: String, message: String }>} Errors, with the JSON path of the offending option
+ *          (i.e. "builds.main.extensions[1].size.min.width"). Empty if the configuration is valid.
+ */
+Cepy.checkConfig = function (config)
+{
+    return schema.validate(config, configSchema);
+};
+
+/**
+ * Creates the host bundler plugins (see the "plugins" folder) rely on to decorate a build into
+ * the bundler output folder whenever bundling ends, so that the manifest never drifts apart from
+ * the bundle. Extensions without a "mainPath" use the emitted HTML entries. When bundling in watch
+ * mode, the build is installed once and then kept in sync with the emitted files.
+ * @param {Object} options
+ * @param {String} options.build Name of the build to decorate, its "source" is replaced by the bundler output folder.
+ * @param {(Object|String)} [options.config] Configuration, or path to the configuration file. Looked up from
+ *                                           the working directory if not specified (see Cepy.loadConfig).
+ * @param {String} [options.profile] Profile applied to the configuration file.
+ * @param {String[]} [options.set] Overrides applied to the configuration file.
+ * @param {Boolean} [options.debug] Whether to decorate the build in "debug" mode, defaults to true in watch mode only.
+ * @param {Boolean} [options.install=true] Whether to install and sync the build when bundling in watch mode.
+ * @param {String} [options.product] Name of the product the build is installed for.
+ * @param {String} [options.family] Version of the product the build is installed for.
+ * @returns {{ bundled: Function, close: Function }} "bundled(output, { assets, emitted, watch })" decorates the
+ *          build once bundling ends: "assets" lists all the files in the output folder produced by the bundler,
+ *          "emitted" the ones written this time (defaults to all assets). "close()" waits for pending work.
+ */
+Cepy.createPluginHost = function (options)
+{
+    options = _.defaults({}, options, {
+        config: null,
+        profile: null,
+        set: [],
+        debug: null,
+        install: true,
+        product: null,
+        family: null,
+    });
+
+    if (typeof options.build !== 'string' || options.build.length === 0)
+    {
+        throw new Error('No build specified for the bundler plugin.');
+    }
+
+    let packager = null,
+        installFolder = null,
+        queue = Promise.resolve();
+
+    // Configuration is loaded once, when bundling ends for the first time
+    const load = () =>
+    {
+        if (packager === null)
+        {
+            packager = (options.config !== null && typeof options.config === 'object')
+                ? Promise.resolve(new Cepy(options.config))
+                : Cepy.loadConfig({ file: options.config, mode: 'decorate', debug: !!options.debug, profile: options.profile, set: options.set })
+                .then((result) =>
+                {
+                    if (result.config === null)
+                    {
+                        throw new Error('No configuration file found.');
+                    }
+
+                    return new Cepy(result.config);
+                });
+
+            // Try again next time if the configuration could not be loaded
+            packager.catch(() => { packager = null; });
+        }
+
+        return packager;
+    };
+
+    // Decorates a fresh build with the bundler output as source
+    const decorate = (cepy, output, result, debug) =>
+    {
+        const config = cepy._config.builds[options.build];
+
+        if (!config)
+        {
+            throw new Error(`No build with the specified name could be found: ${options.build}.`);
+        }
+
+        const buildConfig = _.assign(_.cloneDeep(config), { source: output, output: null });
+        buildConfig.extensions = applyEntries([].concat(buildConfig.extensions || []), result.assets.filter(file => /\.html?$/i.test(file)));
+
+        const build = new Build(options.build, buildConfig, cepy._platform, cepy._plugins, cepy._hosts);
+        return build.decorate(debug).then(() => build);
+    };
+
+    // Installs the build the first time (or when the install folder changes), then syncs the emitted and generated files
+    const install = (build, output, result, debug) =>
+    {
+        return build._getInstallFolder(build._getTarget(options.product, options.family).family, debug)
+        .then((folder) =>
+        {
+            if (folder !== installFolder)
+            {
+                installFolder = folder;
+                return build.install(folder);
+            }
+
+            const generated = template.getDecorationFiles(output, build, debug),
+                  files = _.uniq(result.emitted.concat(generated.outputs, generated.removed).map(file => path.relative(output, path.resolve(output, file))));
+
+            return build.sync(folder, files)
+            .then(synced => log(`Synced ${chalk.cyan(synced.length)} files to ${chalk.cyan(folder)}.`));
+        });
+    };
+
+    const bundled = function (output, result)
+    {
+        output = path.resolve(output);
+        result = _.defaults({}, result, {
+            assets: [],
+            emitted: null,
+            watch: false,
+        });
+        result.emitted = result.emitted || result.assets;
+
+        const debug = (typeof options.debug === 'boolean') ? options.debug : !!result.watch;
+
+        // Bundling may end again while the previous output is still being decorated
+        queue = queue
+        .catch(() => {})
+        .then(() => load())
+        .then(cepy => decorate(cepy, output, result, debug))
+        .then((build) =>
+        {
+            if (result.watch && options.install)
+            {
+                return install(build, output, result, debug);
+            }
+        });
+
+        return queue;
+    };
+
+    const close = function ()
+    {
+        return queue.catch(() => {});
+    };
+
+    return { bundled, close };
+};
+
+/**
+ * Returns the resolved configuration, including default values. Plain text certificate
+ * passwords are redacted.
+ * @returns {Object}
+ */
+Cepy.prototype.getConfig = function ()
+{
+    const config = _.cloneDeep(this._config);
+
+    if (typeof config.packaging.certificate.password === 'string' && config.packaging.certificate.password.length > 0)
+    {
+        config.packaging.certificate.password = secrets.redact(secrets.register(config.packaging.certificate.password));
+    }
+
+    return config;
+};
+
+/**
+ * Makes sure debug ports aren't shared by different extensions or products across all builds.
+ * Builds that can't be initialized (i.e. missing source folder) are ignored.
+ * @returns {Promise}
+ * @private
+ */
+Cepy.prototype._checkDebugPorts = function ()
+{
+    return Promise.map(this._builds, (build) =>
+    {
+        return Promise.resolve(build._initialize()).then(() => build, () => null);
+    })
+    .then((builds) =>
+    {
+        const entries = _.flatMap(builds.filter(build => build !== null), build => ports.getDebugPorts(build.getView(true)));
+        ports.checkCollisions(entries);
+    });
+};
+
+/**
+ * Creates a new extension project, including config file, sources and icon placeholders.
+ * @param {Object} options Project options, see lib/create.js for details.
+ * @param {String} [options.directory='.'] Folder the project will be created in.
+ * @param {String} options.id Bundle identifier.
+ * @param {String} options.name Bundle name.
+ * @param {String} options.author Author or company name.
+ * @param {(String|String[])} [options.products] Products targeted by the project.
+ * @param {(String|String[])} [options.families] Families targeted by the project.
+ * @param {(String|String[])} [options.extensions] Names of the extensions in the bundle.
+ * @returns {Promise} A promise that resolves once the project has been created.
+ */
+Cepy.prototype.create = function (options)
+{
+    log(chalk.bold('Running cepy in "create" mode.'));
+
+    return Promise.try(() => create.createProject(options));
+};
+
 /**
  * Generates manifest files (and, optionally, debug files) for the specified build.
  * @param {String} buildName Name of the build that should be decorated.
  * @param {Boolean} [debug=false] Whether to decorate the build in "debug" mode.
+ * @param {String} [output] Folder the build is decorated into, overrides the "output" option of the build.
  * @returns {Promise} A promise that resolves once the build has been decorated.
  */
-Cepy.prototype.decorate = function (buildName,  debug)
+Cepy.prototype.decorate = function (buildName,  debug, output)
 {
     log(chalk.bold('Running cepy in "decorate" mode.'));
 
@@ -89,11 +393,18 @@ Cepy.prototype.decorate = function (buildName,  debug)
     // Compile the specified build
     .try(() =>
     {
-        const build = this._builds.find(build => build.name === buildName);
+        let build = this._builds.find(build => build.name === buildName);
+
+        if (build && typeof output === 'string' && output.length > 0)
+        {
+            // Use a fresh build, leaving the configured one untouched
+            build = new Build(buildName, _.assign(_.cloneDeep(this._config.builds[buildName]), { output }), this._platform, this._plugins, this._hosts);
+        }
 
         if (build)
         {
-            return build.decorate(!!debug);
+            return Promise.resolve(debug && this._checkDebugPorts())
+            .then(() => build.decorate(!!debug));
         }
         else
         {
@@ -103,6 +414,34 @@ Cepy.prototype.decorate = function (buildName,  debug)
 
 };
 
+/**
+ * Validates the manifest generated for the specified build against the schema of the
+ * lowest family targeted by the build.
+ * @param {String} buildName Name of the build that should be validated.
+ * @returns {Promise.<{ errors: String[], warnings: String[] }>} A promise that resolves with the validation report
+ *                    if the manifest is valid, and is rejected otherwise.
+ */
+Cepy.prototype.validate = function (buildName)
+{
+    log(chalk.bold('Running cepy in "validate" mode.'));
+
+    return Promise
+    .try(() =>
+    {
+        const build = this._builds.find(build => build.name === buildName);
+
+        if (build)
+        {
+            return build.validate();
+        }
+        else
+        {
+            throw new Error(`No build with the specified name could be found: ${buildName}.`);
+        }
+    })
+    .tap(() => log(`Build ${chalk.green(buildName)} manifest is valid.`));
+};
+
 /**
  * Launches the specified build.
  * @param {String} buildName Name of the build that should be launched.
@@ -111,18 +450,21 @@ Cepy.prototype.decorate = function (buildName,  debug)
  * @param {String} [options.family] Version of the product to launch. Defaults to the first family in build if not specified.
  * @param {Boolean} [options.decorate=true] Whether to decorate the build prior to launch.
  * @param {Boolean} [options.debug=false] Whether to launch the build in "debug" mode.
- * @returns {Promise} A promise that resolves once the build has been launched.
+ * @param {Boolean} [options.dryRun=false] Whether to resolve what would be done without executing anything.
+ * @returns {Promise} A promise that resolves once the build has been launched or, in "dry run" mode,
+ *                    to the launch plan (see lib/plan.js).
  */
 Cepy.prototype.launch = function (buildName, options)
 {
     log(chalk.bold('Running cepy in "launch" mode.'));
     
-    options = _.defaults({
+    options = _.defaults({}, options, {
         product: null,
         family: null,
         decorate: true,
         debug: false,
-    }, options || {});
+        dryRun: false,
+    });
 
     return Promise
 
@@ -150,19 +492,205 @@ Cepy.prototype.launch = function (buildName, options)
         return build;
     })
 
-    // Decorate
-    .tap((build) =>
+    // Resolve decoration and launch steps
+    .then((build) =>
     {
-        if (options.decorate)
+        const debug = !!options.debug;
+
+        return Promise.resolve(options.decorate && build.getDecorateStep(debug))
+        .then((decorateStep) =>
         {
-            return build.decorate(!!options.debug);
-        }
+            return build.getLaunchPlan(options.product, options.family, (options.decorate) ? debug : undefined)
+            .then((launchPlan) => ({
+                operation: 'launch',
+                build: build.name,
+                platform: launchPlan.platform,
+                product: launchPlan.product,
+                family: launchPlan.family,
+                steps: (decorateStep) ? [decorateStep].concat(launchPlan.steps) : launchPlan.steps,
+            }));
+        });
     })
 
     // Launch
-    .then((build) =>
+    .then((launchPlan) =>
     {
-        return build.launch(options.product, options.family, !!options.debug);
+        if (options.dryRun)
+        {
+            return launchPlan;
+        }
+
+        return plan.run(launchPlan);
+    });
+};
+
+/**
+ * Installs the specified build and keeps the installation in sync with its sources.
+ *
+ * Changed source files are copied to the install folder as they change, without restarting
+ * the host application. When the configuration file or any manifest/debug template changes,
+ * the build is decorated again before syncing. Source files are synced straight from the source
+ * folder, so the output folder of the build (if any) is only refreshed when decorating.
+ * @param {String} buildName Name of the build that should be watched.
+ * @param {Object} [options] Watch options.
+ * @param {String} [options.product] Name of the product the build is installed for. Defaults to the first product in build if not specified.
+ * @param {String} [options.family] Version of the product the build is installed for. Defaults to the first family in build if not specified.
+ * @param {Boolean} [options.debug=false] Whether to decorate the build in "debug" mode.
+ * @param {String} [options.config] Path to the configuration file, reloaded when it changes.
+ * @param {String} [options.profile] Profile applied when reloading the configuration file.
+ * @param {String[]} [options.set] Overrides applied when reloading the configuration file.
+ * @param {Number} [options.delay=200] Time to wait for further changes before syncing, in milliseconds.
+ * @returns {Promise.<{ close: Function }>} A promise that resolves once the build has been installed and is being watched.
+ */
+Cepy.prototype.watch = function (buildName, options)
+{
+    log(chalk.bold('Running cepy in "watch" mode.'));
+
+    options = _.defaults({}, options, {
+        product: null,
+        family: null,
+        debug: false,
+        config: null,
+        profile: null,
+        set: [],
+        delay: 200,
+    });
+
+    const configFile = (typeof options.config === 'string' && options.config.length > 0) ? path.resolve(options.config) : null;
+
+    let config = this._config,
+        plugins = this._plugins,
+        hostData = this._hosts,
+        build = null,
+        installFolder = null,
+        handle = null;
+
+    // Creates a fresh build from configuration, so that decorating it again is safe
+    const createBuild = () =>
+    {
+        if (!config.builds || !config.builds.hasOwnProperty(buildName))
+        {
+            throw new Error(`No build with the specified name could be found: ${buildName}.`);
+        }
+
+        return new Build(buildName, _.cloneDeep(config.builds[buildName]), platforms.getAdapter(config.platform), plugins, hostData);
+    };
+
+    // Decorates the build and installs it, fully if the install folder changed
+    const decorate = () =>
+    {
+        const next = createBuild();
+
+        return next.decorate(!!options.debug)
+        .then(() => next._getInstallFolder(next._getTarget(options.product, options.family).family))
+        .then((folder) =>
+        {
+            const previous = installFolder;
+
+            build = next;
+            installFolder = folder;
+
+            if (folder !== previous)
+            {
+                return build.install(folder);
+            }
+
+            return build.sync(folder, ['CSXS/manifest.xml', '.debug'], build.getOutputFolder())
+            .tap(() => log(`Synced ${chalk.cyan('CSXS/manifest.xml')}.`));
+        });
+    };
+
+    // Handles a batch of changes
+    const onChange = (changes) =>
+    {
+        const source = path.resolve(build.source),
+              output = path.resolve(build.getOutputFolder()),
+              templates = build.getTemplates().map(file => path.resolve(file)),
+              generated = [path.join(source, 'CSXS/manifest.xml'), path.join(source, '.debug')];
+
+        let reload = false,
+            redecorate = false,
+            files = [];
+
+        for (const change of changes)
+        {
+            if (change === configFile)
+            {
+                log(`Configuration file ${chalk.cyan(configFile)} changed, reloading...`);
+                reload = true;
+                redecorate = true;
+            }
+            else if (templates.indexOf(change) > -1)
+            {
+                log(`Template ${chalk.cyan(change)} changed.`);
+                redecorate = true;
+            }
+
+            // Generated files are synced when decorating, output folders nested in the source are left out
+            if (change.startsWith(source + path.sep) && generated.indexOf(change) === -1 && (output === source || !change.startsWith(output + path.sep)))
+            {
+                files.push(path.relative(source, change));
+            }
+        }
+
+        return Promise.try(() =>
+        {
+            if (reload)
+            {
+                return configLoader.load(configFile, { mode: 'watch', debug: !!options.debug, profile: options.profile }).then((loaded) =>
+                {
+                    loaded = configLoader.apply(loaded, _.pick(options, 'profile', 'set'));
+                    assertValidConfig(loaded);
+                    config = _.defaultsDeep(_.cloneDeep(loaded), _.cloneDeep(defaultConfig));
+                    plugins = hooks.load(config.plugins);
+                    hostData = hosts.load(config.hosts);
+                });
+            }
+        })
+        .then(() =>
+        {
+            if (redecorate)
+            {
+                return decorate().then(() => start());
+            }
+        })
+        .then(() => build.sync(installFolder, files))
+        .then((synced) =>
+        {
+            for (const file of synced)
+            {
+                log(`Synced ${chalk.cyan(file)}.`);
+            }
+        });
+    };
+
+    // (Re)starts watching the build source, templates and configuration file
+    const start = () =>
+    {
+        if (handle)
+        {
+            handle.close();
+        }
+
+        const paths = [build.source].concat(build.getTemplates());
+
+        if (configFile)
+        {
+            paths.push(configFile);
+        }
+
+        handle = watcher.watch(paths, onChange, { delay: options.delay });
+        log(`Watching ${chalk.green(buildName)} for changes...`);
+    };
+
+    return Promise
+    .try(() => decorate())
+    .then(() => start())
+    .then(() =>
+    {
+        return {
+            close: () => handle.close(),
+        };
     });
 };
 
@@ -171,16 +699,21 @@ Cepy.prototype.launch = function (buildName, options)
  * @param {Object} [options] Pack options.
  * @param {Boolean} [options.decorate=true] Whether to decorate the builds prior to packaging.
  * @param {Boolean} [options.debug=false] Whether to pack in "debug" mode.
- * @returns {Promise} A promise that resolves once the ZXP package has been created.
+ * @param {(String|Object)} [options.password] Certificate password or password source (see lib/secrets.js),
+ *                                             overrides "packaging.certificate.password".
+ * @param {Boolean} [options.dryRun=false] Whether to resolve what would be done without executing anything.
+ * @returns {Promise} A promise that resolves once the ZXP package has been created or, in "dry run" mode,
+ *                    to the pack plan (see lib/plan.js).
  */
 Cepy.prototype.pack = function (options)
 {
     log(chalk.bold('Running cepy in "package" mode.'));
     
-    options = _.defaults({
+    options = _.defaults({}, options, {
         decorate: true,
         debug: false,
-    }, options || {});
+        dryRun: false,
+    });
 
     return Promise
 
@@ -198,16 +731,100 @@ Cepy.prototype.pack = function (options)
         }
     })
 
+    // Resolve the certificate password once, so that it's asked for at most once
+    // Nothing needs it in "dry run" mode, so it's not resolved at all
+    .then(() =>
+    {
+        if (options.dryRun)
+        {
+            return this._packaging;
+        }
+
+        const source = _.isNil(options.password) ? this._packaging.certificate.password : options.password;
+
+        return secrets.resolvePassword(source, 'certificate password')
+        .then((password) =>
+        {
+            return _.assign({}, this._packaging, { certificate: _.assign({}, this._packaging.certificate, { password }) });
+        });
+    })
+
+    .then((packaging) => this._getPackPlan(packaging, options))
+
+    .then((packPlan) =>
+    {
+        if (options.dryRun)
+        {
+            return packPlan;
+        }
+
+        return plan.run(packPlan)
+        .tap(() => log(`Package ${chalk.green(path.resolve(this._packaging.output))} created successfully.`));
+    });
+};
+
+/**
+ * Resolves the steps needed to package all the builds, without executing them.
+ * @param {Object} packaging Packaging configuration, with the certificate password resolved.
+ * @param {Object} options Pack options.
+ * @returns {Promise.<Object>} A promise that resolves to the pack plan (see lib/plan.js).
+ * @private
+ */
+Cepy.prototype._getPackPlan = function (packaging, options)
+{
+    const staging = packaging.staging,
+          steps = [];
+
+    // Hooks get a copy of the packaging configuration, without the certificate password
+    const hookPackaging = _.cloneDeep(packaging);
+
+    if (typeof hookPackaging.certificate.password === 'string' && hookPackaging.certificate.password.length > 0)
+    {
+        hookPackaging.certificate.password = secrets.REDACTED;
+    }
+
+    return Promise
+
     // Create output directory structure
-    .then(() => { return rimraf(path.join(this._packaging.staging, '/*')); })
-    .then(() => { return fs_mkdir(this._packaging.staging, { recursive: true }); })
+    .try(() =>
+    {
+        steps.push(plan.step('remove', 'Clean staging folder', { path: path.resolve(staging) }, () => rimraf(path.join(staging, '/*'))));
+        steps.push(plan.step('mkdir', 'Create staging folder', { path: path.resolve(staging) }, () => fs_mkdir(staging, { recursive: true })));
+    })
 
     // Check certificate file, create one if none exists
     .then(() =>
     {
-        return fs_stat(this._packaging.certificate.file)
-        .catch(() => { return zxp.generateCertificate(this._packaging.certificate); })
-        .catch((error) => { throw error });
+        const certificate = packaging.certificate;
+
+        return fs_stat(certificate.file)
+        .then(() =>
+        {
+            steps.push(plan.step('certificate', 'Use existing certificate', { path: path.resolve(certificate.file) }, () => {}));
+        })
+        .catch(() =>
+        {
+            if (certificate.autoCreate === false)
+            {
+                steps.push(plan.step('certificate', 'Check certificate', {
+                    path: path.resolve(certificate.file),
+                    warning: 'Certificate does not exist and automatic creation is disabled.',
+                }, () =>
+                {
+                    throw new Error(`Certificate ${certificate.file} does not exist and automatic creation is disabled, create one with "cepy cert create".`);
+                }));
+                return;
+            }
+
+            steps.push(plan.step('certificate', 'Generate a self-signed certificate', {
+                path: path.resolve(certificate.file),
+                signer: packaging.signer || 'zxpsigncmd',
+            }, () =>
+            {
+                log(chalk.yellow(`Certificate ${certificate.file} does not exist, generating a self-signed one.`));
+                return zxp.generateCertificate(certificate, packaging.signer);
+            }));
+        });
     })
 
     // Execute all builds
@@ -215,61 +832,357 @@ Cepy.prototype.pack = function (options)
     {
         if (options.decorate)
         {
-            return Promise.map(this._builds, (build) => build.decorate(options.debug));
+            if (options.debug)
+            {
+                steps.push(plan.step('check', 'Check debug ports', {}, () => this._checkDebugPorts()));
+            }
+
+            return Promise.mapSeries(this._builds, (build) => build.getDecorateStep(!!options.debug))
+            .then((decorateSteps) => steps.push(...decorateSteps));
         }
     })
     .then(() =>
     {
-        return Promise.map(this._builds, (build) => build.pack(this._packaging.staging, this._packaging));
+        return Promise.mapSeries(this._builds, (build) =>
+        {
+            return build.getPackStep(staging, packaging).then((packStep) =>
+            {
+                // Builds are signed as they are packaged, "beforeSign" hooks only run for the final package
+                const context = { build, packaging: hookPackaging, staging: path.resolve(staging), source: packStep.source, output: packStep.output };
+
+                steps.push(...this._plugins.getSteps('beforeBuildPack', `Run "beforeBuildPack" hooks for build "${build.name}"`, context));
+                steps.push(packStep);
+            });
+        });
     })
 
     // Generate MXI file
-    .then(() => { return template.generateMXI(this._packaging.staging, this._builds, this._packaging); })
+    .then(() =>
+    {
+        steps.push(plan.step('render', 'Generate MXI file', {
+            template: template.getMXITemplate(packaging),
+            output: path.resolve(staging, template.getMXIFilename(this._builds)),
+        }, () => template.generateMXI(staging, this._builds.map(build => build.getView(!!options.debug)), packaging)));
+    })
 
     // Copy additional files to the bundle
     .then(() =>
     {
         // We need to resolve the path to the staging folder to obtain an absolute path to avoid
         // issues in case the user specifies a different working directory in the "files" array
-        const stagingResolved = path.resolve(this._packaging.staging);
+        const stagingResolved = path.resolve(staging);
+        let files = [];
 
-        if (Array.isArray(this._packaging.files))
+        if (Array.isArray(packaging.files))
         {
-            const copies = [];
-            for (const file of this._packaging.files)
-            {
-                if (typeof file === 'string' && file.length > 0)
-                {
-                    copies.push(cpy(file, stagingResolved));
-                }
-                else
-                {
-                    copies.push(cpy(file.source, stagingResolved, file.options));
-                }
-            }
-            return Promise.all(copies);
+            files = packaging.files;
         }
-        else if (typeof this._packaging.files === 'string' && this._packaging.files.length > 0)
+        else if (typeof packaging.files === 'string' && packaging.files.length > 0)
         {
-            return cpy(this._packaging.files, stagingResolved);
+            files = [packaging.files];
+        }
+
+        if (files.length > 0)
+        {
+            const sources = _.flatMap(files, file => ((typeof file === 'string') ? file : file.source));
+
+            steps.push(plan.step('copy', 'Copy additional files', { files: sources, destination: stagingResolved }, () =>
+            {
+                return Promise.all(files.map((file) =>
+                {
+                    if (typeof file === 'string')
+                    {
+                        return cpy(file, stagingResolved);
+                    }
+
+                    return cpy(file.source, stagingResolved, file.options);
+                }));
+            }));
         }
     })
 
-    // Package hybrid extension
     .then(() =>
     {
-        return zxp.createPackage(this._packaging.staging, this._packaging.output, this._packaging);
+        steps.push(...this._plugins.getSteps('afterStage', 'Run "afterStage" hooks', { builds: this._builds, packaging: hookPackaging, staging: path.resolve(staging) }));
     })
 
-    .tap(() => log(`Package ${chalk.green(path.resolve(this._packaging.output))} created successfully.`))
+    // Package hybrid extension
+    .then(() =>
+    {
+        const context = { builds: this._builds, packaging: hookPackaging, source: path.resolve(staging), output: path.resolve(packaging.output) };
+
+        steps.push(...this._plugins.getSteps('beforeSign', 'Run "beforeSign" hooks', context));
+        steps.push(plan.step('package', 'Create ZXP package', _.omitBy({
+            source: context.source,
+            output: context.output,
+            signer: packaging.signer || 'zxpsigncmd',
+            command: zxp.getPackageCommand(context.source, context.output, packaging),
+        }, _.isNil), () => zxp.createPackage(staging, packaging.output, packaging)));
+        steps.push(...this._plugins.getSteps('afterPack', 'Run "afterPack" hooks', { builds: this._builds, packaging: hookPackaging, output: path.resolve(packaging.output) }));
+    })
 
     // Cleanup staging folder
-    .finally(() =>
+    .then(() =>
+    {
+        steps.push(plan.step('remove', 'Remove staging folder', { path: path.resolve(staging) }, () => rimraf(staging), { always: true }));
+
+        return { operation: 'pack', output: path.resolve(packaging.output), steps };
+    });
+};
+
+/**
+ * Verifies the signature and certificate of a ZXP package, including the per-build
+ * packages nested into it.
+ * @param {String} file Path to the ZXP package.
+ * @returns {Promise.<Object>} A promise that resolves to the verification report (see
+ *          lib/zxp.js formatVerification to print it), or is rejected if the package is
+ *          invalid, with the report available as "report" on the error.
+ */
+Cepy.prototype.verify = function (file)
+{
+    log(chalk.bold('Running cepy in "verify" mode.'));
+
+    return Promise
+    .try(() => zxp.verifyPackage(file))
+    .tap((report) =>
+    {
+        if (!report.valid)
+        {
+            const error = new Error(`Package ${file} is not valid.`);
+            error.report = report;
+            throw error;
+        }
+    });
+};
+
+/**
+ * Prints information about a ZXP package: signature, certificate, MXI products and files,
+ * and the ids, versions and host ranges of the bundles it contains.
+ * @param {String} file Path to the ZXP package.
+ * @returns {Promise.<Object>} A promise that resolves to the inspection report (see
+ *          lib/zxp.js formatInspection to print it).
+ */
+Cepy.prototype.inspect = function (file)
+{
+    log(chalk.bold('Running cepy in "inspect" mode.'));
+
+    return Promise
+    .try(() => zxp.inspectPackage(file));
+};
+
+/**
+ * Discovers the host applications installed in the install roots of the current platform
+ * (see "platform.installRoots"), mapping each one to its product and family.
+ * @param {Object} [options]
+ * @param {(String|String[])} [options.products] Products to look for, defaults to all the known ones.
+ * @returns {Promise.<Array.<{ product: String, family: String, name: String, version: String, path: String }>>}
+ *          A promise that resolves to the installed applications.
+ */
+Cepy.prototype.discoverHosts = function (options)
+{
+    log(chalk.bold('Running cepy in "hosts" mode.'));
+
+    options = options || {};
+
+    return Promise
+    .try(() =>
+    {
+        const products = (typeof options.products === 'string') ? options.products.split(',').map(product => product.trim().toLowerCase()) : options.products;
+        return discovery.discover(this._platform, { products, hosts: this._hosts });
+    })
+    .tap((applications) =>
+    {
+        log(`Found ${applications.length} host application(s).`);
+
+        for (const application of applications)
+        {
+            log(`    ${chalk.green(application.product)} ${application.family || chalk.yellow('unknown family')} (${application.version || 'unknown version'}): ${chalk.cyan(application.path)}`);
+        }
+    });
+};
+
+/**
+ * Sets, removes or reports the "PlayerDebugMode" flag, which allows unsigned extensions to be loaded,
+ * without launching any host application.
+ * @param {String} action One of "enable", "disable" or "status".
+ * @param {Object} [options]
+ * @param {(String|String[])} [options.families] Families whose flag should be changed or reported, also as ranges
+ *                                               (i.e. "cc2019..cc2022"), defaults to all the CSXS versions known to cepy.
+ * @param {Boolean} [options.dryRun=false] Whether to resolve what would be done without executing anything.
+ * @returns {Promise} A promise that resolves once the flag has been changed or, in "dry run" mode, to the plan
+ *                    (see lib/plan.js). The "status" action resolves to the state of each CSXS version:
+ *                    "enabled" is true, false or null if the flag is missing, "error" is set if it couldn't be read.
+ */
+Cepy.prototype.debugMode = function (action, options)
+{
+    log(chalk.bold('Running cepy in "debug-mode" mode.'));
+
+    options = _.defaults({}, options, {
+        families: null,
+        dryRun: false,
+    });
+
+    return Promise
+    .try(() =>
     {
-        if (this._packaging.staging)
+        const families = (typeof options.families === 'string') ? options.families.split(',') : options.families,
+              versions = this._hosts.getDebugModeVersions(_.isEmpty(families) ? null : this._hosts.expandFamilies(this._hosts.parseFamilies(families)));
+
+        if (action === 'status')
+        {
+            return Promise.mapSeries(versions, (version) =>
+            {
+                const entry = { csxs: version, families: this._hosts.getDebugModeFamilies(version) };
+
+                // A flag that can't be read is reported as unknown rather than missing
+                return Promise.try(() => this._platform.getDebugMode(version))
+                .then(
+                    enabled => _.assign(entry, { enabled }),
+                    error => _.assign(entry, { enabled: null, error: error.message })
+                );
+            });
+        }
+        else if (action !== 'enable' && action !== 'disable')
+        {
+            throw new Error(`Unknown debug mode action "${action}", expected "enable", "disable" or "status".`);
+        }
+
+        // Platforms may flush preferences after each change, doing it once at the end is enough
+        const steps = _.flatMap(versions, version => this._platform.setDebugMode(version, action === 'enable')),
+              debugModePlan = {
+                  operation: 'debug-mode',
+                  platform: this._platform.name,
+                  action,
+                  steps: _.uniqBy(steps.slice().reverse(), step => JSON.stringify(step.command || step.description)).reverse(),
+              };
+
+        if (options.dryRun)
         {
-            return rimraf(this._packaging.staging);
+            return debugModePlan;
         }
+
+        return plan.run(debugModePlan)
+        .tap(() => log(`Debug mode ${(action === 'enable') ? 'enabled' : 'disabled'} for CSXS ${versions.join(', ')}.`));
+    });
+};
+
+/**
+ * Generates a self-signed certificate, using the "packaging.certificate" configuration.
+ * @param {Object} [options] Overrides for the certificate configuration (i.e. "file", "country",
+ *                           "state", "organization", "commonName", "email", "validity").
+ * @param {Boolean} [options.overwrite=false] Whether an existing certificate file can be replaced.
+ * @returns {Promise} A promise that resolves once the certificate has been created.
+ */
+Cepy.prototype.createCertificate = function (options)
+{
+    log(chalk.bold('Running cepy in "cert create" mode.'));
+
+    options = options || {};
+    const certificate = _.assign({}, this._packaging.certificate, _.omitBy(_.omit(options, 'overwrite'), _.isNil));
+
+    return Promise
+    .try(() =>
+    {
+        if (options.overwrite)
+        {
+            return;
+        }
+
+        return fs_stat(certificate.file)
+        .then(
+            () => { throw new Error(`Certificate ${certificate.file} already exists.`); },
+            () => {}
+        );
+    })
+    .then(() => zxp.generateCertificate(certificate, this._packaging.signer))
+    .tap(() => log(`Certificate ${chalk.green(path.resolve(certificate.file))} created successfully.`));
+};
+
+/**
+ * Reads information about the packaging certificate.
+ * @param {Object} [options]
+ * @param {String} [options.file] Certificate file, defaults to "packaging.certificate.file".
+ * @param {(String|Object)} [options.password] Certificate password or password source (see lib/secrets.js),
+ *                                             defaults to "packaging.certificate.password".
+ * @returns {Promise.<Object>} A promise that resolves to the certificate subject, issuer,
+ *          validity dates, fingerprint and remaining days.
+ */
+Cepy.prototype.getCertificateInfo = function (options)
+{
+    log(chalk.bold('Running cepy in "cert info" mode.'));
+
+    options = options || {};
+    const certificate = this._packaging.certificate,
+          file = options.file || certificate.file,
+          password = _.isNil(options.password) ? certificate.password : options.password;
+
+    return Promise
+    .try(() => zxp.getCertificateInfo(file, password))
+    .tap((info) =>
+    {
+        log(`Certificate ${chalk.cyan(file)}`);
+        log(`  Subject: ${info.subject}`);
+        log(`  Issuer: ${info.issuer}${info.selfSigned ? ' (self-signed)' : ''}`);
+        log(`  Serial number: ${info.serialNumber}`);
+        log(`  SHA-256 fingerprint: ${info.fingerprint}`);
+        log(`  Valid from ${info.validFrom.toISOString()} to ${info.validTo.toISOString()}`);
+
+        if (info.expired)
+        {
+            log(`  ${chalk.red('Expired')}`);
+        }
+        else
+        {
+            log(`  ${info.daysRemaining} days remaining`);
+        }
+    });
+};
+
+/**
+ * Makes sure the packaging certificate doesn't expire within the specified number of days.
+ * @param {Object} [options]
+ * @param {String} [options.file] Certificate file, defaults to "packaging.certificate.file".
+ * @param {(String|Object)} [options.password] Certificate password or password source (see lib/secrets.js),
+ *                                             defaults to "packaging.certificate.password".
+ * @param {Number} [options.days=30] Minimum number of days the certificate should still be valid for.
+ * @returns {Promise.<Object>} A promise that resolves to the certificate information, or is
+ *          rejected if the certificate is expired or about to expire.
+ */
+Cepy.prototype.checkCertificateExpiry = function (options)
+{
+    log(chalk.bold('Running cepy in "cert check-expiry" mode.'));
+
+    options = _.defaults({}, _.omitBy(options, _.isNil), { days: 30 });
+    const certificate = this._packaging.certificate,
+          file = options.file || certificate.file,
+          password = _.isNil(options.password) ? certificate.password : options.password;
+
+    return Promise
+    .try(() =>
+    {
+        if (!Number.isInteger(options.days) || options.days < 0)
+        {
+            throw new Error(`Invalid number of days: ${options.days}.`);
+        }
+
+        return zxp.getCertificateInfo(file, password);
+    })
+    .tap((info) =>
+    {
+        if (info.notYetValid)
+        {
+            throw new Error(`Certificate ${file} is not valid until ${info.validFrom.toISOString()}.`);
+        }
+        else if (info.expired)
+        {
+            throw new Error(`Certificate ${file} expired on ${info.validTo.toISOString()}.`);
+        }
+        else if (info.daysRemaining < options.days)
+        {
+            throw new Error(`Certificate ${file} expires in ${info.daysRemaining} days (on ${info.validTo.toISOString()}).`);
+        }
+
+        log(`Certificate ${chalk.green(file)} is valid for ${info.daysRemaining} more days.`);
     });
 };
 
@@ -43,7 +43,18 @@ const build = Object.freeze({
 
     /**
      * Products targeted by this build.
-     * @type {(String|String[])}
+     * @type {(String|String[]|Object)}
+     * 
+     * @example
+     * Products can also be mapped to version constraints, which are used as they are in
+     * manifest and MXI files instead of the versions of the targeted families:
+     * 
+     * { photoshop: '>=22.3' }: support Photoshop 22.3 and all future versions
+     * { photoshop: [23.0, 25.9] } or { photoshop: '23.0..25.9' }: support Photoshop 23.0 to 25.9
+     * { photoshop: '>=22.3', illustrator: null }: Illustrator versions depend on families
+     * 
+     * If every product has a constraint, "families" can be left empty: the families
+     * the constraints fall within are targeted.
      */
     products: [],
 
@@ -59,9 +70,35 @@ const build = Object.freeze({
      * ['CC2014', 'CC2017']: support families ranging from CC 2014 to CC 2017 (including families in-between)
      * ['CC2014']: only support CC 2014
      * 'CC2014': support CC 2014 and all future versions (CC2015, CC2015.5, CC2017 and so on)
+     * 
+     * Range expressions are supported as well, both as a string and as array entries:
+     * 
+     * 'CC2019..CC2022': support families from CC 2019 to CC 2022
+     * '>=CC2020' or 'CC2020..': same as 'CC2020'
+     * '<=CC2018' or '..CC2018': support all families up to CC 2018
+     * 
+     * Families are ordered by release date (see "res/hosts.json"), not alphabetically.
      */
     families: [],
 
+    /**
+     * Folder the build is decorated into, so that generated files (manifest, .debug file and
+     * localized menu names) don't end up in the source folder. Source files are copied to it
+     * before decorating, and the build is installed and packaged from it.
+     * The folder must be missing, empty or hold a previous output of the build, as its content is replaced.
+     * If null or undefined, the build is decorated in the source folder.
+     * @type {String}
+     */
+    output: null,
+
+    /**
+     * Whether source files are linked to the output folder (using symbolic links), instead of
+     * being copied. Generated files are always copied.
+     * Note that creating symbolic links on Windows may require additional privileges.
+     * @type {Boolean}
+     */
+    linkSource: false,
+
 });
 
 module.exports = build;
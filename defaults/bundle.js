@@ -57,6 +57,11 @@ const bundle = Object.freeze({
     /**
      * Path to the template used to compile the bundle manifest.
      * If null or undefined, a default template will be used.
+     *
+     * Templates receive "hostList", "extensionList" and "dispatchInfoList" as arrays of
+     * XML nodes (see lib/xml.js) that are escaped when printed, and can use the "xml"
+     * helpers (i.e. "xml.escapeAttribute") for custom values. The output is rejected
+     * if it is not well-formed XML.
      * @type {String}
      */
     manifest: null,
@@ -77,18 +82,41 @@ const bundle = Object.freeze({
          * Host port used for debugging.
          * 
          * In order to support debugging an extension inside multiple products at the
-         * same time, each supported product will have an unique debug port assigned:
+         * same time, each product targeted by the build will have an unique debug port assigned:
          * - Photoshop: 8000
          * - Illustrator: 8001
          * - InDesign: 8002
-         * - Etc. For a complete list, see ".debug" file.
+         * - Etc. For a complete list, see "lib/hosts.js".
          * 
          * If bundling multiple extensions, each extension will have its debug
-         * port incremented by 100 (i.e. 8000, 8100, 8200, etc.), see ".debug" file.
+         * port incremented by 100 (i.e. 8000, 8100, 8200, etc.). Ports can also be
+         * set explicitly through the extension "debugPorts" option.
          * @type {Number}
          */
         port: 8000,
 
+        /**
+         * How bundle and extension ids are decorated in "debug" mode:
+         * - "suffix": "idSuffix" is appended to each id, so that the debug version of the bundle
+         *   is installed alongside the release one.
+         * - "keep": ids are left as-is, the debug version replaces the release one when installed.
+         * @type {String}
+         */
+        idStrategy: 'suffix',
+
+        /**
+         * Appended to bundle and extension ids in "debug" mode, when using the "suffix" strategy.
+         * @type {String}
+         */
+        idSuffix: '.debug',
+
+        /**
+         * Appended to bundle and extension names in "debug" mode.
+         * Set to null or an empty string to leave names as-is.
+         * @type {String}
+         */
+        nameSuffix: ' (debug)',
+
     },
 
 });
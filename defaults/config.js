@@ -35,6 +35,94 @@ const config = Object.freeze({
      */
     builds: {},
 
+    /**
+     * Configuration profiles
+     *
+     * A dictionary ('name': {config}) of partial configurations, selected with "--profile <name>",
+     * that are deep-merged over this configuration (arrays are replaced). Useful when releases only
+     * differ in a few settings: i.e. { beta: { builds: { main: { bundle: { id: 'com.acme.beta' } } } } }.
+     * Single options can also be overridden from the command line with "--set <path>=<value>".
+     * @type {Object}
+     */
+    profiles: {},
+
+    /**
+     * Host applications configuration
+     *
+     * Adds or overrides families and products of the built-in host data, using the same format
+     * as "res/hosts.json": i.e. { families: { cc2027: { released: '2026-10', manifest: '7.0', csxs: '12.0', products: {...} } } }.
+     * Versions can be numbers or "major.minor" strings. New products also need a "debugPortOffset" in "products".
+     * @type {Object}
+     */
+    hosts: {},
+
+    /**
+     * Platform configuration
+     *
+     * Controls how builds are installed and host applications are launched on the current OS.
+     */
+    platform: {
+
+        /**
+         * Platform adapter: "darwin" (macOS), "win32" (Windows), "wine" (Linux, host applications
+         * installed in a Wine prefix) or the name of a custom adapter. If null, the adapter is
+         * detected from the current OS.
+         * @type {String}
+         */
+        adapter: null,
+
+        /**
+         * Custom adapters, by name. Each one is either an object or the path to a module exporting
+         * one (or a function returning one, called with this configuration), implementing any of:
+         * getExtensionsFolder(family), getProductBinary(host, family), setDebugMode(version, enabled),
+         * getDebugMode(version), kill(binary, host), start(binary, host), getInstallRoots(),
+         * getBinaryName(host) and readVersion(binary) (see lib/platforms.js). Plan steps are created
+         * through the "plan" helpers passed as last argument. Missing methods are taken from the
+         * built-in adapter named by the "extends" property, which defaults to the current OS one.
+         * @type {Object}
+         */
+        adapters: {},
+
+        /**
+         * Additional folders scanned for installed host applications, besides the default ones
+         * of the platform (i.e. "/Applications" or "%PROGRAMFILES%/Adobe"). Each folder in them
+         * is checked for product executables.
+         * @type {String[]}
+         */
+        installRoots: [],
+
+        /**
+         * Host application executables, by product (i.e. { photoshop: 'path' }) or by product and
+         * family (i.e. { photoshop: { cc2020: 'path' } }). When set, discovery is skipped.
+         * @type {Object}
+         */
+        binaries: {},
+
+        /**
+         * Options of the "wine" adapter.
+         */
+        wine: {
+
+            /**
+             * Wine prefix host applications are installed to. If null, WINEPREFIX or "~/.wine" is used.
+             * @type {String}
+             */
+            prefix: null,
+
+            /**
+             * Windows user name in the Wine prefix. If null, the current user name is used.
+             * @type {String}
+             */
+            user: null,
+
+            /**
+             * Wine executable.
+             * @type {String}
+             */
+            binary: 'wine',
+        },
+    },
+
     /**
      * Packaging configuration
      * 
@@ -48,6 +136,15 @@ const config = Object.freeze({
          */
         output: 'output.zxp',
 
+        /**
+         * Backend used to sign packages and generate self-signed certificates:
+         * - "zxpsigncmd": Adobe ZXPSignCmd binary.
+         * - "node": pure Node.js implementation, doesn't require any external binary
+         *   but doesn't support timestamping.
+         * @type {String}
+         */
+        signer: 'zxpsigncmd',
+
         /**
          * Timestamp server URL.
          * @type {String}
@@ -72,11 +169,62 @@ const config = Object.freeze({
             file: null,
 
             /**
-             * Certificate password.
-             * @type {String}
+             * Certificate password. To avoid storing it in plain text, a password source can be
+             * specified instead:
+             * - { env: 'NAME' }: reads the password from an environment variable.
+             * - { file: 'path' }: reads the password from a file.
+             * - { prompt: true }: asks for the password when needed (interactive terminals only).
+             * The password is always redacted from log output and error messages.
+             * @type {(String|Object)}
              */
             password: '',
 
+            /**
+             * Two letter country code used when generating a self-signed certificate.
+             * @type {String}
+             */
+            country: 'US',
+
+            /**
+             * State or province used when generating a self-signed certificate.
+             * @type {String}
+             */
+            state: 'NY',
+
+            /**
+             * Organization used when generating a self-signed certificate.
+             * If empty, "owner" will be used.
+             * @type {String}
+             */
+            organization: '',
+
+            /**
+             * Common name used when generating a self-signed certificate.
+             * If empty, "owner" will be used.
+             * @type {String}
+             */
+            commonName: '',
+
+            /**
+             * Optional email address used when generating a self-signed certificate.
+             * @type {String}
+             */
+            email: '',
+
+            /**
+             * Validity of generated self-signed certificates, in days.
+             * @type {Number}
+             */
+            validity: 365,
+
+            /**
+             * Whether a self-signed certificate is generated when packaging and no certificate
+             * file exists. Set to false to make packaging fail instead (i.e. on CI servers), and
+             * create certificates explicitly with "cepy cert create".
+             * @type {Boolean}
+             */
+            autoCreate: true,
+
         },
 
         /**
@@ -114,6 +262,24 @@ const config = Object.freeze({
         staging: '.staging',
     },
 
+    /**
+     * Plugins
+     *
+     * Plugins run custom code at specific points of decorating and packaging, i.e. to minify
+     * ExtendScript files or stamp version files. Each plugin is an object mapping hook names to
+     * functions (possibly async), a function returning such an object, or the name of a module
+     * (or path to a file) exporting either. Use [plugin, options] to pass options to plugin functions.
+     * See lib/hooks.js for the available hooks and what they receive.
+     * @type {Array}
+     *
+     * @example
+     * plugins: [{
+     *     name: 'stamp-version',
+     *     beforeBuildPack: ({ build, source }) => fs.promises.writeFile(path.join(source, 'version.txt'), build.bundle.version),
+     * }, ['./tools/minify-jsx.js', { level: 2 }]]
+     */
+    plugins: [],
+
 });
 
 module.exports = config;
@@ -58,16 +58,95 @@ const extension = Object.freeze({
 
     /**
      * CEF command line parameters.
+     * Requires CC 2014 or later.
      * @type {String[]}
      */
     cefParameters: [],
 
+    /**
+     * Node.js integration.
+     */
+    nodejs: {
+
+        /**
+         * True to enable Node.js APIs ("--enable-nodejs").
+         * Requires CC 2015 or later.
+         * @type {Boolean}
+         */
+        enabled: false,
+
+        /**
+         * True to run Node.js and the browser in the same context ("--mixed-context").
+         * Requires CC 2017 or later.
+         * @type {Boolean}
+         */
+        mixedContext: false,
+
+    },
+
+    /**
+     * Runtimes required by the extension, i.e. { CSXS: '9.0' }.
+     * Merged into the bundle <RequiredRuntimeList>, keeping the highest version of each runtime.
+     * By default the CSXS version of the lowest family targeted by the build is required.
+     * @type {Object.<String, String>}
+     */
+    requiredRuntimes: {},
+
+    /**
+     * Products the extension is available in (i.e. ["photoshop"]), must be a subset of
+     * the build products. If empty, the extension targets all the build products.
+     * Requires CC 2014 or later.
+     * @type {String[]}
+     */
+    products: [],
+
+    /**
+     * Families the extension is available in, either a minimum family (i.e. "cc2019") or a
+     * range of families (i.e. "cc2019..cc2022", see the build "families" option). Must fall
+     * within the build families. If empty, the extension
+     * targets all the build families.
+     * Requires CC 2014 or later.
+     * @type {(String|String[])}
+     */
+    families: [],
+
+    /**
+     * Debug ports by product name (i.e. { photoshop: 8088 }) or host id (i.e. { PHSP: 8089 }),
+     * overriding the ones computed from the bundle debug port.
+     * @type {Object.<String, Number>}
+     */
+    debugPorts: {},
+
+    /**
+     * Identifiers of the host applications (i.e. ["PHXS", "PHSP"]) the extension is limited to,
+     * emitted as a <HostList> inside the extension DispatchInfoList entry. Versions are
+     * the same as the bundle ones. If empty, the extension is available in all bundle hosts.
+     * Requires CC 2014 or later.
+     * @type {String[]}
+     */
+    hosts: [],
+
     /**
      * Extension type (i.e. "Panel", "ModalDialog", etc.).
      * @type {String}
      */
     type: 'Panel',
 
+    /**
+     * Placement of the extension in the host application menu, as defined by the host.
+     * Requires CC 2014 or later.
+     * @type {String}
+     */
+    menuPlacement: '',
+
+    /**
+     * Localized menu names, by locale code (i.e. { it_IT: 'Estensione' }).
+     * Names are written to "locale/<code>/messages.properties" files when decorating and
+     * looked up through the "%<extension id>.menu" key, "name" is used as default.
+     * @type {Object.<String, String>}
+     */
+    localizedNames: {},
+
     /**
      * Extension lifecycle.
      */
@@ -113,11 +192,25 @@ const extension = Object.freeze({
         base: { width: 320, height: 400 },
         min: { width: 320, height: 300 },
         max: { width: 800, height: 2400 },
+
+        /**
+         * Size as a percentage of the screen size (i.e. { width: 50, height: 50 }).
+         * Requires CC 2014 or later.
+         * @type {{ width: Number, height: Number }}
+         */
+        screenPercentage: null,
     },
 
+    /**
+     * Custom markup added as-is inside the <ExtensionData> element.
+     * @type {String}
+     */
+    extensionData: '',
+
     /**
      * Path to the template used to compile the extension manifest.
      * If null or undefined, a default template will be used.
+     * The output must be a well-formed <Extension> element.
      * @type {String}
      */
     manifest: null,
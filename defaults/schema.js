@@ -0,0 +1,257 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Configuration schema
+ *
+ * Describes the options documented in config.js, build.js, bundle.js and extension.js,
+ * see lib/schema.js for the format. Keep it in sync when adding options.
+ */
+
+const string = { type: 'string' },
+      optionalString = { type: ['string', 'null'] },
+      boolean = { type: 'boolean' },
+      number = { type: 'number' },
+      stringList = { type: 'array', items: string },
+      stringOrList = [string, stringList],
+      port = { type: 'integer', minimum: 1, maximum: 65535 },
+      freeForm = { type: 'object' };
+
+const size = {
+    type: 'object',
+    properties: {
+        width: number,
+        height: number,
+    },
+};
+
+const iconSet = {
+    type: 'object',
+    properties: {
+        normal: optionalString,
+        hover: optionalString,
+        disabled: optionalString,
+    },
+};
+
+/**
+ * Extension schema, see extension.js.
+ */
+const extension = Object.freeze({
+    type: 'object',
+    properties: {
+        version: string,
+        id: string,
+        name: string,
+        mainPath: string,
+        scriptPath: string,
+        cefParameters: stringList,
+        nodejs: {
+            type: 'object',
+            properties: {
+                enabled: boolean,
+                mixedContext: boolean,
+            },
+        },
+        requiredRuntimes: { type: 'object', additional: { type: ['string', 'number'] } },
+        products: stringOrList,
+        families: stringOrList,
+        debugPorts: { type: 'object', additional: port },
+        hosts: stringList,
+        type: string,
+        menuPlacement: string,
+        localizedNames: { type: 'object', additional: string },
+        lifecycle: {
+            type: 'object',
+            properties: {
+                autoVisible: boolean,
+                events: stringList,
+            },
+        },
+        icons: {
+            type: 'object',
+            properties: {
+                light: iconSet,
+                dark: iconSet,
+            },
+        },
+        size: {
+            type: 'object',
+            properties: {
+                base: size,
+                min: size,
+                max: size,
+                screenPercentage: [{ type: 'null' }, size],
+            },
+        },
+        extensionData: string,
+        manifest: optionalString,
+    },
+});
+
+/**
+ * Bundle schema, see bundle.js.
+ */
+const bundle = Object.freeze({
+    type: 'object',
+    properties: {
+        version: optionalString,
+        id: optionalString,
+        name: optionalString,
+        author: optionalString,
+        manifest: optionalString,
+        debug: {
+            type: 'object',
+            properties: {
+                template: optionalString,
+                port,
+                idStrategy: { type: 'string', enum: ['suffix', 'keep'] },
+                idSuffix: string,
+                nameSuffix: optionalString,
+            },
+        },
+    },
+});
+
+/**
+ * Build schema, see build.js.
+ */
+const build = Object.freeze({
+    type: 'object',
+    properties: {
+        source: string,
+        bundle,
+        extensions: [extension, { type: 'array', items: extension }],
+        products: [
+            string,
+            stringList,
+            // Version constraints by product
+            { type: 'object', additional: { type: ['string', 'number', 'array', 'boolean', 'null'], items: { type: ['string', 'number', 'null'] } } },
+        ],
+        families: stringOrList,
+        output: optionalString,
+        linkSource: boolean,
+    },
+});
+
+/**
+ * Options of the main configuration, which profiles can override.
+ */
+const options = {
+    builds: { type: 'object', additional: build },
+
+    // Validated when host data is loaded, see lib/hosts.js
+    hosts: freeForm,
+
+    platform: {
+        type: 'object',
+        properties: {
+            adapter: optionalString,
+            adapters: { type: 'object', additional: { type: ['object', 'string', 'function'] } },
+            installRoots: stringList,
+            binaries: { type: 'object', additional: [string, { type: 'object', additional: string }] },
+            darwin: freeForm,
+            win32: freeForm,
+            wine: {
+                type: 'object',
+                properties: {
+                    prefix: optionalString,
+                    user: optionalString,
+                    binary: string,
+                },
+            },
+        },
+        // Options of custom adapters
+        additional: freeForm,
+    },
+
+    packaging: {
+        type: 'object',
+        properties: {
+            output: string,
+            signer: { type: 'string', enum: ['zxpsigncmd', 'node'] },
+            timestampURL: string,
+            certificate: {
+                type: 'object',
+                properties: {
+                    owner: string,
+                    file: optionalString,
+                    password: [
+                        { type: 'string', secret: true },
+                        {
+                            type: 'object',
+                            properties: {
+                                env: string,
+                                file: string,
+                                prompt: { type: ['boolean', 'string'] },
+                            },
+                        },
+                    ],
+                    country: string,
+                    state: string,
+                    organization: string,
+                    commonName: string,
+                    email: string,
+                    validity: { type: 'integer', minimum: 1, maximum: 36500 },
+                    autoCreate: boolean,
+                },
+            },
+            description: string,
+            license: string,
+            mxi: optionalString,
+            files: [
+                { type: 'null' },
+                string,
+                {
+                    type: 'array',
+                    items: [
+                        string,
+                        {
+                            type: 'object',
+                            properties: {
+                                source: stringOrList,
+                                options: freeForm,
+                            },
+                        },
+                    ],
+                },
+            ],
+            staging: string,
+        },
+    },
+
+    // Validated when plugins are loaded, see lib/hooks.js
+    plugins: { type: 'array', items: { type: 'any' } },
+};
+
+/**
+ * Main configuration schema, see config.js.
+ */
+const config = Object.freeze({
+    type: 'object',
+    properties: Object.assign({
+        profiles: { type: 'object', additional: { type: 'object', properties: options } },
+    }, options),
+});
+
+module.exports = {
+    config,
+    build,
+    bundle,
+    extension,
+};
@@ -20,28 +20,106 @@ const _ = require('lodash'),
       chalk = require('chalk'),
       Promise = require('bluebird'),
       path = require('path'),
-      exec = require('child_process').exec,
       cpy = require('cpy'),
       log = require('debug')('cepy'),
       uuid = require('uuid').v4;
 
 const rimraf = Promise.promisify(require('rimraf')),
       fs_mkdir = Promise.promisify(require('fs').mkdir),
-      fs_stat = Promise.promisify(require('fs').stat);
+      fs_stat = Promise.promisify(require('fs').stat),
+      fs_readdir = Promise.promisify(require('fs').readdir),
+      fs_symlink = Promise.promisify(require('fs').symlink),
+      fs_copyFile = Promise.promisify(require('fs').copyFile),
+      fs_readFile = Promise.promisify(require('fs').readFile);
 
 const defaultBuildConfig = require('../defaults/build.js'),
       defaultExtensionConfig = require('../defaults/extension.js'),
       defaultBundleConfig = require('../defaults/bundle.js'),
-      bundleIdRegEx = /^[A-Za-z0-9._\-]+$/gi,
-      bundleVersionRegEx = /^\d{1,9}(\.\d{1,9}(\.\d{1,9}(\.(\w|_|-)+)?)?)?$/gi;
+      bundleIdRegEx = /^[A-Za-z0-9._\-]+$/i,
+      idStrategies = ['suffix', 'keep'],
+      bundleVersionRegEx = /^\d{1,9}(\.\d{1,9}(\.\d{1,9}(\.(\w|_|-)+)?)?)?$/i;
 
 const template = require('./template.js'),
+      plan = require('./plan.js'),
+      platforms = require('./platforms.js'),
+      discovery = require('./discovery.js'),
       zxp = require('./zxp.js'),
-      hosts = require('./hosts.js');
+      hosts = require('./hosts.js'),
+      ports = require('./ports.js'),
+      hooks = require('./hooks.js'),
+      validate = require('./validate.js');
+
+/**
+ * Returns a bundle id stripped out of potentially dangerous characters, used to name files and folders.
+ * @param {String} id
+ * @returns {String}
+ */
+function getBaseName(id)
+{
+    return id.replace(/[\s]+/g, '_').toLowerCase();
+};
+
+/**
+ * Lists all the files in a folder, recursively.
+ * @param {String} folder
+ * @param {String[]} [exclude] Absolute paths of folders to leave out.
+ * @returns {Promise.<String[]>} Paths relative to the folder.
+ */
+function listFiles(folder, exclude)
+{
+    const walk = (relative) =>
+    {
+        return fs_readdir(path.join(folder, relative), { withFileTypes: true })
+        .then(entries => Promise.mapSeries(entries, (entry) =>
+        {
+            const entryPath = path.join(relative, entry.name);
+
+            if (!entry.isDirectory())
+            {
+                return [entryPath];
+            }
+
+            return (exclude || []).indexOf(path.resolve(folder, entryPath)) > -1 ? [] : walk(entryPath);
+        }))
+        .then(lists => [].concat.apply([], lists));
+    };
+
+    return walk('');
+};
+
+/**
+ * Makes sure the content of a folder can be replaced with the output of a build: the folder must
+ * be missing, empty or hold a previous output, recognized by its "CSXS/manifest.xml" file.
+ * @param {String} folder
+ * @returns {Promise}
+ */
+function checkOutputFolder(folder)
+{
+    return fs_readdir(folder).then(
+        (entries) =>
+        {
+            if (entries.length === 0)
+            {
+                return;
+            }
+
+            return fs_stat(path.join(folder, 'CSXS', 'manifest.xml')).catch(() =>
+            {
+                throw new Error('the folder is not empty and does not contain a previous output (no CSXS/manifest.xml file), empty it or choose another folder.');
+            });
+        },
+        (error) =>
+        {
+            if (error.code !== 'ENOENT')
+            {
+                throw error;
+            }
+        });
+};
 
 /**
  * Parses an array of product names.
- * @param {(String|String[])} names 
+ * @param {(String|String[]|Object)} names Names, or an object mapping names to version constraints.
  */
 function parseProducts(names)
 {
@@ -62,37 +140,57 @@ function parseProducts(names)
         }
         return result;
     }
+    else if (typeof names === 'object' && names !== null)
+    {
+        return parseProducts(Object.keys(names));
+    }
 
     return [];
 };
 
 /**
- * Parses an array of family names.
- * @param {(String|String[])} names 
+ * Returns the version constraints of products specified as an object,
+ * i.e. { photoshop: '>=22.3', illustrator: [23.0, 25.9] }.
+ * Products mapped to null or true are left out, as they only depend on families.
+ * @param {(String|String[]|Object)} products
+ * @returns {Object} Version constraints by product name (not parsed yet).
  */
-function parseFamilies(names)
+function parseVersions(products)
 {
-    if (typeof names === 'string')
-    {
-        // Minimum family
-        return names.toLowerCase();
-    }
-    else if (Array.isArray(names))
+    const result = {};
+
+    if (typeof products === 'object' && products !== null && !Array.isArray(products))
     {
-        let result = [];
-        for (const entry of names)
+        _.forOwn(products, (constraint, product) =>
         {
-            if (typeof entry === 'string' && entry.length > 0)
+            if (constraint !== null && constraint !== undefined && constraint !== true && constraint !== '')
             {
-                result.push(entry.toLowerCase());
+                result[product.toLowerCase()] = constraint;
             }
-        }
+        });
+    }
 
-        // Sort array alphabetically
-        // Useful for families so they're guaranteed to go from lower to higher
-        // i.e. [CC2015, CC, CC2014] -> [CC, CC2014, CC2015]
-        result.sort();
-        return result;
+    return result;
+};
+
+/**
+ * Parses family names and expressions (i.e. "cc2019..cc2022" or ">=cc2020", see Hosts.parseFamilies).
+ * Families are sorted chronologically, so they're guaranteed to go from lower to higher
+ * i.e. [CC2015, CC, CC2014] -> [CC, CC2014, CC2015]
+ * @param {Hosts} registry Host data to parse families against (see lib/hosts.js).
+ * @param {(String|String[])} names
+ * @returns {(String|String[])} Minimum family, or an array of families (empty if none).
+ */
+function parseFamilies(registry, names)
+{
+    if (typeof names === 'string' && names.trim().length > 0)
+    {
+        return registry.parseFamilies(names);
+    }
+    else if (Array.isArray(names))
+    {
+        const result = names.filter(entry => typeof entry === 'string' && entry.trim().length > 0);
+        return (result.length > 0) ? registry.parseFamilies(result) : [];
     }
 
     return [];
@@ -103,15 +201,18 @@ function parseFamilies(names)
  * @class
  * @param {String} name
  * @param {Object} config
+ * @param {Object} [platform] Platform adapter used to launch and install the build (see lib/platforms.js),
+ *                            defaults to the built-in one for the current OS.
+ * @param {Object} [plugins] Plugins whose hooks run when decorating the build (see lib/hooks.js), defaults to none.
+ * @param {Object} [hostData] Host data the build targets (see lib/hosts.js), defaults to the built-in one.
  */
-function Build(name, config)
+function Build(name, config, platform, plugins, hostData)
 {
     _.defaultsDeep(config, _.cloneDeep(defaultBuildConfig));
 
     let bundle = (typeof config.bundle === 'object') ? config.bundle : {},
         extensions = config.extensions,
-        products = parseProducts(config.products),
-        families = parseFamilies(config.families);
+        products = parseProducts(config.products);
 
     // Extensions
     if (!Array.isArray(extensions))
@@ -143,8 +244,24 @@ function Build(name, config)
         /** Products to build the bundle for. */
         products: { value: products, enumerable: true },
 
-        /** Families to build the bundle for. */
-        families: { value: families, enumerable: true },
+        /**
+         * Version constraints of products, overriding the versions of targeted families
+         * in manifest and MXI files (i.e. { photoshop: { min: '22.3', max: null } }).
+         * Parsed when the build is initialized.
+         */
+        versions: { value: parseVersions(config.products), writable: true, enumerable: true },
+
+        /**
+         * Families to build the bundle for: either the minimum family, or an array of families
+         * sorted chronologically. Parsed when the build is initialized.
+         */
+        families: { value: config.families, writable: true, enumerable: true },
+
+        /** Folder the build is decorated into, null to decorate it in place (see getOutputFolder). */
+        output: { value: (typeof config.output === 'string' && config.output.length > 0) ? config.output : null, enumerable: true },
+
+        /** Whether source files are linked into the output folder instead of being copied. */
+        linkSource: { value: !!config.linkSource, enumerable: true },
 
         /** Bundle name stripped out of potentially dangerous characters. */
         baseName: { value: '', writable: true, enumerable: true },
@@ -155,6 +272,15 @@ function Build(name, config)
         /** Whether the build has been initialized. */
         initialized: { value: false, writable: true },
 
+        /** Platform adapter. */
+        platform: { value: platform || platforms.getAdapter() },
+
+        /** Plugins. */
+        plugins: { value: plugins || hooks.load() },
+
+        /** Host data. */
+        hosts: { value: hostData || hosts.load() },
+
     });
 };
 
@@ -210,7 +336,25 @@ Build.prototype._initialize = function ()
             throw new Error(`Invalid bundle author "${this.bundle.author}" in build "${this.name}"`);
         }
 
-        this.baseName = this.bundle.id.replace(/[\s]+/g, '_').toLowerCase();
+        this.baseName = getBaseName(this.bundle.id);
+
+        // Make sure ids and names can be decorated in "debug" mode
+        const debug = this.bundle.debug;
+
+        if (idStrategies.indexOf(debug.idStrategy) === -1)
+        {
+            throw new Error(`Invalid debug id strategy "${debug.idStrategy}" in build "${this.name}", expected one of: ${idStrategies.join(', ')}.`);
+        }
+
+        if (debug.idStrategy === 'suffix' && (typeof debug.idSuffix !== 'string' || debug.idSuffix.length === 0 || !bundleIdRegEx.test(debug.idSuffix)))
+        {
+            throw new Error(`Invalid debug id suffix "${debug.idSuffix}" in build "${this.name}"`);
+        }
+
+        if (debug.nameSuffix !== null && typeof debug.nameSuffix !== 'string')
+        {
+            throw new Error(`Invalid debug name suffix "${debug.nameSuffix}" in build "${this.name}"`);
+        }
 
         // Make sure to have valid products and families
         if (this.products.length === 0)
@@ -218,11 +362,55 @@ Build.prototype._initialize = function ()
             throw new Error(`No products specified in build "${this.name}".`);
         }
 
+        try
+        {
+            this.families = parseFamilies(this.hosts, this.families);
+        }
+        catch (error)
+        {
+            throw new Error(`Invalid families in build "${this.name}": ${error.message}`);
+        }
+
+        this.versions = _.mapValues(this.versions, (constraint, product) =>
+        {
+            try
+            {
+                return hosts.parseVersionConstraint(constraint);
+            }
+            catch (error)
+            {
+                throw new Error(`Invalid versions for product "${product}" in build "${this.name}": ${error.message}`);
+            }
+        });
+
+        if (this.families.length === 0 && this.products.every(product => this.versions.hasOwnProperty(product)))
+        {
+            // Every product declares its versions: target the families they fall within
+            this.families = this._getFamiliesFromVersions();
+        }
+
         if (this.families.length === 0)
         {
             throw new Error(`No families specified in build "${this.name}".`);
         }
 
+        // Products and families targeted by each extension
+        for (const extension of this.extensions)
+        {
+            this._initializeTargets(extension);
+        }
+
+        // Make sure decorating into the output folder won't wipe the sources
+        if (this.output !== null)
+        {
+            const relative = path.relative(path.resolve(this.output), path.resolve(this.source));
+
+            if (relative.length === 0 || (!relative.startsWith('..') && !path.isAbsolute(relative)))
+            {
+                throw new Error(`Invalid output folder ${path.resolve(this.output)} in build "${this.name}", it can not be the source folder or one of its parents.`);
+            }
+        }
+
         // Check source folder
         return fs_stat(this.source).catch(() =>
         {
@@ -232,7 +420,233 @@ Build.prototype._initialize = function ()
     .then(() =>
     {
         this.initialized = true;
-    });;
+    });
+};
+
+/**
+ * Returns the families targeted by the version constraints of all the products in this build.
+ * @returns {(String|String[])} Minimum family if any constraint is open-ended, otherwise
+ *                              an array of families. Empty if no known family matches.
+ * @private
+ */
+Build.prototype._getFamiliesFromVersions = function ()
+{
+    const families = _.flatMap(this.products, product => this.hosts.findFamilies(product, this.versions[product]));
+
+    if (families.length === 0)
+    {
+        return [];
+    }
+
+    const result = this.hosts.parseFamilies(_.uniq(families)),
+          openEnded = this.products.some(product => this.versions[product].max === null);
+
+    // Open-ended constraints target future families as well
+    return (openEnded) ? result[0] : this.hosts.parseFamilies(`${result[0]}..${result[result.length - 1]}`);
+};
+
+/**
+ * Returns a warning for each product version constraint that falls outside every known family.
+ * @returns {String[]}
+ */
+Build.prototype.getVersionWarnings = function ()
+{
+    return Object.keys(this.versions)
+        .filter(product => this.hosts.findFamilies(product, this.versions[product]).length === 0)
+        .map((product) =>
+        {
+            const constraint = this.versions[product],
+                  range = (constraint.max === null) ? `>=${constraint.min}` : `${constraint.min}..${constraint.max}`;
+
+            return `Version constraint "${range}" of product "${product}" in build "${this.name}" falls outside every known family.`;
+        });
+};
+
+/**
+ * Parses the products and families targeted by an extension, making sure they are a subset
+ * of the ones targeted by this build. Extensions not specifying them target the whole build.
+ * @param {Object} extension
+ * @private
+ */
+Build.prototype._initializeTargets = function (extension)
+{
+    const products = parseProducts(extension.products);
+    let families;
+
+    try
+    {
+        families = parseFamilies(this.hosts, extension.families);
+    }
+    catch (error)
+    {
+        throw new Error(`Invalid families in extension "${extension.id}": ${error.message}`);
+    }
+
+    const unknownProducts = products.filter(product => this.products.indexOf(product) === -1);
+    if (unknownProducts.length > 0)
+    {
+        throw new Error(`Products "${unknownProducts.join(', ')}" of extension "${extension.id}" are not targeted by build "${this.name}".`);
+    }
+
+    // Whether a family falls within the ones targeted by the build
+    const isTargeted = (family) =>
+    {
+        if (typeof this.families === 'string')
+        {
+            return this.hosts.compareFamilies(family, this.families) >= 0;
+        }
+
+        return this.hosts.compareFamilies(family, this.families[0]) >= 0
+            && this.hosts.compareFamilies(family, this.families[this.families.length - 1]) <= 0;
+    };
+
+    if (typeof families === 'string' && Array.isArray(this.families))
+    {
+        // Minimum family in a build with a family range: limit it to the build range
+        const minimum = families;
+        families = this.families.filter(family => this.hosts.compareFamilies(family, minimum) >= 0);
+
+        if (families.length === 0)
+        {
+            throw new Error(`Family "${minimum}" of extension "${extension.id}" is not targeted by build "${this.name}".`);
+        }
+    }
+
+    const unknownFamilies = [].concat(families).filter(family => !isTargeted(family));
+    if (unknownFamilies.length > 0)
+    {
+        throw new Error(`Families "${unknownFamilies.join(', ')}" of extension "${extension.id}" are not targeted by build "${this.name}".`);
+    }
+
+    extension.products = (products.length > 0) ? products : this.products.slice();
+    extension.families = (families.length > 0) ? families : _.clone(this.families);
+};
+
+/**
+ * Whether the specified extension targets all the products and families of this build.
+ * @param {Object} extension An initialized extension.
+ * @returns {Boolean}
+ */
+Build.prototype.targetsWholeBuild = function (extension)
+{
+    return _.isEqual(_.sortBy(extension.products), _.sortBy(this.products))
+        && _.isEqual(extension.families, this.families);
+};
+
+/**
+ * Returns the lowest family targeted by this build.
+ * @returns {String}
+ */
+Build.prototype.getLowestFamily = function ()
+{
+    // As families are sorted chronologically (see parseFamilies), the first one
+    // is guaranteed to be the lowest we need to support
+    return (typeof this.families === 'string') ? this.families : this.families[0];
+};
+
+/**
+ * Returns every family targeted by this build, from oldest to newest.
+ * A minimum family expands to all the known later families.
+ * @returns {String[]}
+ */
+Build.prototype.getFamilies = function ()
+{
+    return this.hosts.expandFamilies(this.families);
+};
+
+/**
+ * Returns the folder this build is decorated into, and then installed and packaged from:
+ * the "output" folder if set, otherwise the source folder.
+ * @returns {String}
+ */
+Build.prototype.getOutputFolder = function ()
+{
+    return (this.output !== null) ? this.output : this.source;
+};
+
+/**
+ * Fills the output folder with the source files, copying or linking them (see "linkSource").
+ * Any previous output is removed, folders with any other content are never touched. Generated
+ * files are always copied, so that writing them never alters the sources.
+ * @param {Boolean} debug
+ * @returns {Promise}
+ * @private
+ */
+Build.prototype._prepareOutput = function (debug)
+{
+    if (this.output === null)
+    {
+        return Promise.resolve();
+    }
+
+    const source = path.resolve(this.source),
+          output = path.resolve(this.output),
+          files = template.getDecorationFiles(source, this, debug),
+          generated = files.outputs.concat(files.removed);
+
+    log(`${(this.linkSource) ? 'Linking' : 'Copying'} sources of ${chalk.green(this.name)} to ${chalk.cyan(output)}...`);
+
+    return checkOutputFolder(output)
+    .then(() => rimraf(output))
+    .then(() => listFiles(source, [output]))
+    .then(list => Promise.mapSeries(list, (file) =>
+    {
+        const from = path.join(source, file),
+              to = path.join(output, file);
+
+        if (files.removed.indexOf(from) > -1)
+        {
+            return;
+        }
+
+        return fs_mkdir(path.dirname(to), { recursive: true })
+        .then(() => ((this.linkSource && generated.indexOf(from) === -1) ? fs_symlink(from, to, 'file') : fs_copyFile(from, to)));
+    }))
+    .catch((error) =>
+    {
+        throw new Error(`Unable to prepare output folder ${output} for build "${this.name}": ${error.message}`);
+    });
+};
+
+/**
+ * Returns a view of this build as decorated in the specified mode, leaving the build untouched.
+ * In "debug" mode, bundle and extension ids and names are decorated according to the
+ * "bundle.debug" options (see defaults/bundle.js). The view shares everything else with the build.
+ * @param {Boolean} debug
+ * @returns {Object} An object with the same properties and methods of the build.
+ */
+Build.prototype.getView = function (debug)
+{
+    const options = this.bundle.debug,
+          bundle = _.cloneDeep(this.bundle),
+          extensions = _.cloneDeep(this.extensions);
+
+    if (debug)
+    {
+        const decorateId = id => ((options.idStrategy === 'suffix') ? `${id}${options.idSuffix}` : id),
+              decorateName = name => ((options.nameSuffix) ? `${name}${options.nameSuffix}` : name);
+
+        bundle.id = decorateId(bundle.id);
+        bundle.name = decorateName(bundle.name);
+
+        for (const extension of extensions)
+        {
+            extension.id = decorateId(extension.id);
+
+            if (extension.name)
+            {
+                extension.name = decorateName(extension.name);
+            }
+        }
+    }
+
+    // Own enumerable properties are copied, so that views can be merged into template data
+    const properties = _.mapValues(_.pick(this, Object.keys(this)), value => ({ value, enumerable: true }));
+
+    return Object.create(this, _.assign(properties, {
+        bundle: { value: bundle, enumerable: true },
+        extensions: { value: extensions, enumerable: true },
+    }));
 };
 
 /**
@@ -244,37 +658,105 @@ Build.prototype.decorate = function (debug)
 {
     log(`Decorating ${chalk.green(this.name)} in ${(debug) ? chalk.yellow('debug') : chalk.green('release')} mode...`);
 
+    const folder = this.getOutputFolder();
+    let view;
+
     return Promise
 
     // Build initialization
     .try(() => this._initialize())
 
-    // Append debug flag to bundle and extensions info and generate .debug file
+    // Copy or link sources to the output folder
+    .then(() => this._prepareOutput(debug))
+
+    // Decorate bundle and extensions info, without altering the configuration
+    .then(() => { view = this.getView(debug); })
+
+    .then(() => this.plugins.run('beforeDecorate', { build: this, view, debug, folder }))
+
+    // Generate .debug file, or remove the one left by a previous "debug" decoration
     .then(() =>
     {
         if (debug)
         {
-            this.bundle.id = `${this.bundle.id}.debug`;
-            this.bundle.name = `${this.bundle.name} (debug)`;
+            return template.generateDotDebug(folder, view);
+        }
 
-            for (let extension of this.extensions)
-            {
-                extension.id = `${extension.id}.debug`;
+        return template.removeDotDebug(folder);
+    })
 
-                if (extension.name)
-                {
-                    extension.name = `${extension.name} (debug)`;
-                }
-            }
+    // Warn about product versions no known family supports
+    .then(() => this.getVersionWarnings().forEach(warning => log(chalk.yellow(warning))))
+
+    // Generate bundle manifest
+    .then(() =>
+    {
+        return template.generateBundleManifest(folder, view, (family, data) =>
+        {
+            return this.plugins.run('afterManifest', { build: this, view, debug, folder, family, data });
+        });
+    })
+
+    // Write localized menu names
+    .then(() => { return template.generateLocales(folder, view) })
 
-            return template.generateDotDebug(this.source, this);
+    // Make sure the manifest is supported by targeted families
+    .tap(() => this.validate())
+
+    .tap(() => log(`Build ${chalk.green(this.name)} decorated successfully.`))
+
+    // Print where each extension can be debugged
+    .tap(() =>
+    {
+        if (debug)
+        {
+            ports.logDebugUrls(ports.getDebugPorts(view));
         }
+    });
+};
+
+/**
+ * Validates the generated bundle manifest against the schema for the lowest family targeted by this build.
+ * Warnings are logged, errors cause the returned promise to be rejected.
+ * @returns {Promise.<{ errors: String[], warnings: String[] }>}
+ */
+Build.prototype.validate = function ()
+{
+    const manifestFile = path.join(this.getOutputFolder(), 'CSXS/manifest.xml');
+
+    return Promise
+
+    // Build initialization
+    .try(() => this._initialize())
+
+    .then(() =>
+    {
+        return fs_readFile(manifestFile, 'utf8').catch(() =>
+        {
+            throw new Error(`Unable to read ${manifestFile}, make sure build "${this.name}" has been decorated.`);
+        });
     })
 
-    // Generate bundle manifest
-    .then(() => { return template.generateBundleManifest(this.source, this) })
+    .then((source) =>
+    {
+        const family = this.getLowestFamily(),
+              version = this.hosts.getFamily(family).manifest;
+
+        log(`Validating ${chalk.cyan(manifestFile)} against manifest version ${version} (${family})...`);
+        const report = validate.validateManifest(source, version, manifestFile);
+
+        for (const warning of report.warnings)
+        {
+            log(chalk.yellow(warning));
+        }
+
+        if (report.errors.length > 0)
+        {
+            throw new Error(`Invalid manifest for build "${this.name}":\n  ${report.errors.join('\n  ')}`);
+        }
 
-    .tap(() => log(`Build ${chalk.green(this.name)} decorated successfully.`));
+        return report;
+    });
 };
 
 /**
@@ -291,316 +773,345 @@ Build.prototype.pack = function (stagingFolder, packaging)
     .try(() => this._initialize())
 
     // Generate ZXP package for this build
-    .then(() => { return zxp.createPackage(this.source, path.join(stagingFolder, this.outputFile), packaging); });
+    .then(() => { return zxp.createPackage(this.getOutputFolder(), path.join(stagingFolder, this.outputFile), packaging); });
 };
 
 /**
- * Launches this build in the specified host application.
- * @param {String} [product] Name of the product to launch.
- * @param {String} [family] Version of the product to launch.
- * @returns {Promise}
+ * Resolves the product and family targeted when launching or installing this build.
+ * @param {String} [product] Name of the product, defaults to the first product in build.
+ * @param {String} [family] Name of the family, defaults to the first family in build.
+ * @returns {{ product: String, family: String, host: Object }}
+ * @private
  */
-Build.prototype.launch = function (product, family)
+Build.prototype._getTarget = function (product, family)
 {
-    let options = {
-        host: null,
-        productBinary: '',
-        installFolder: '',
-    };
+    if (typeof product === 'string' && product.length > 0)
+    {
+        product = product.toLowerCase();
 
-    const isWindows = !!process.platform.match(/^win/);
+        if (this.products.indexOf(product) === -1)
+        {
+            throw new Error(`Could not find product "${product}" in build "${this.name}".`);
+        }
+    }
+    else
+    {
+        product = this.products[0];
+        log(chalk.yellow(`No product specified, falling back to first one: "${product}".`))
+    }
 
-    return Promise
+    if (typeof family === 'string' && family.length > 0)
+    {
+        family = family.toLowerCase();
+    }
+    else
+    {
+        family = this.getLowestFamily();
+        log(chalk.yellow(`No family specified, falling back to first one: "${family}".`))
+    }
 
-    // Build initialization
-    .try(() => this._initialize())
+    return { product, family, host: this.hosts.getProduct(product, family) };
+};
 
-    // Detect launch options
-    .then(() =>
+/**
+ * Resolves the folder this build is installed to for the specified family.
+ * @param {String} family
+ * @param {Boolean} [debug] Whether the build is decorated in "debug" mode, detected from the
+ *                          .debug file in the output folder if not specified.
+ * @returns {Promise.<String>}
+ * @private
+ */
+Build.prototype._getInstallFolder = function (family, debug)
+{
+    return Promise
+    .try(() => this.platform.getExtensionsFolder(family))
+
+    .then((serviceMgrFolder) =>
     {
-        // Get product and family
-        if (typeof product === 'string' && product.length > 0)
-        {
-            product = product.toLowerCase();
+        const isDebug = (typeof debug === 'boolean') ? Promise.resolve(debug) : fs_stat(path.join(this.getOutputFolder(), '.debug')).then(() => true, () => false);
 
-            if (!this.products.find(product))
-            {
-                throw new Error(`Could not find product "${product}" in build "${this.name}", aborting launch.`);
-            }
-        }
-        else
-        {
-            product = this.products[0];
-            log(chalk.yellow(`No product specified, falling back to first one: "${product}".`))
-        }
+        // Debug installations are named after the decorated bundle id, so they don't replace release ones unless ids are kept
+        return isDebug.then((isDebug) => path.join(serviceMgrFolder, getBaseName(this.getView(isDebug).bundle.id)));
+    });
+};
 
-        if (typeof family === 'string' && family.length > 0)
-        {
-            family = family.toLowerCase();
-        }
-        else
-        {
-            family = Array.isArray(this.families) ? this.families[0] : this.families;
-            log(chalk.yellow(`No family specified, falling back to first one: "${family}".`))
-        }
+/**
+ * Installs this build by copying the files in its output folder to the specified folder,
+ * replacing any previous installation.
+ * @param {String} installFolder
+ * @returns {Promise}
+ */
+Build.prototype.install = function (installFolder)
+{
+    const folder = this.getOutputFolder();
+    log(`Installing extension at ${chalk.cyan(installFolder)}...`);
 
-        // Get host
-        options.host = hosts.getProduct(product, family);
-    })
+    return rimraf(installFolder)
+    .then(() => { return fs_mkdir(installFolder, { recursive: true}); })
+    .then(() => { return cpy(['**/*.*'], path.resolve(installFolder), { cwd: folder, parents: true }); })
+    .then(() => { return cpy(['**/.*'], path.resolve(installFolder), { cwd: folder, parents: true }); });
+};
 
-    // Get path to install folder
-    .then(() =>
+/**
+ * Synchronizes the specified files with an existing installation of this build.
+ * Files that no longer exist in the source folder are removed from the install folder.
+ * @param {String} installFolder
+ * @param {String[]} files Paths relative to the build source folder.
+ * @param {String} [folder] Folder the files are synchronized from, defaults to the source folder
+ *                          (i.e. the output folder for generated files).
+ * @returns {Promise.<String[]>} A promise that resolves to the list of synchronized files.
+ */
+Build.prototype.sync = function (installFolder, files, folder)
+{
+    return Promise.mapSeries(files, (file) =>
     {
-        if (isWindows)
-        {
-            if (family === 'cc')
-            {
-                return path.join(process.env['APPDATA'], '/Adobe/CEPServiceManager4/extensions');
-            }
-            else
-            {
-                return path.join(process.env['APPDATA'], '/Adobe/CEP/extensions');
-            }
-        }
-        else
-        {
-            let serviceMgrFolder;
-
-            if (family === 'cc')
-            {
-                serviceMgrFolder = path.join(process.env['HOME'], '/Library/Application Support/Adobe/CEPServiceManager4/extensions');
-            }
-            else
-            {
-                serviceMgrFolder = path.join(process.env['HOME'], '/Library/Application Support/Adobe/CEP/extensions');
-            }
+        const source = path.join(folder || this.source, file),
+              destination = path.join(installFolder, file);
 
-            // Fallback to system folder if user folder doesn't exist
-            return fs_stat(serviceMgrFolder)
-            .then(() => { return serviceMgrFolder; })
-            .catch(() =>
+        return fs_stat(source)
+        .then(
+            (stats) =>
             {
-                if (family === 'cc')
-                {
-                    return '/Library/Application Support/Adobe/CEPServiceManager4/extensions';
-                }
-                else
+                if (stats.isDirectory())
                 {
-                    return '/Library/Application Support/Adobe/CEP/extensions';
+                    return cpy(['**/*.*', '**/.*'], path.resolve(destination), { cwd: source, parents: true });
                 }
-            });
-        }
-    })
 
-    .then((serviceMgrFolder) =>
+                return fs_mkdir(path.dirname(destination), { recursive: true })
+                .then(() => fs_copyFile(source, destination));
+            },
+            () => rimraf(destination)
+        )
+        .then(() => file);
+    });
+};
+
+/**
+ * Returns the paths to the templates used to decorate this build.
+ * @returns {String[]}
+ */
+Build.prototype.getTemplates = function ()
+{
+    const templates = [this.bundle.manifest, this.bundle.debug && this.bundle.debug.template];
+
+    for (const extension of this.extensions)
     {
-        return fs_stat(path.join(this.source, '.debug'))
-        .then(() =>
-        {
-            options.installFolder = path.join(serviceMgrFolder, `${this.baseName}.debug`);
-        })
-        .catch(() =>
-        {
-            options.installFolder = path.join(serviceMgrFolder, this.baseName);
-        });
-    })
+        templates.push(extension.manifest);
+    }
 
-    // Application binary
-    .then(() =>
+    return templates.filter(file => typeof file === 'string' && file.length > 0);
+};
+
+/**
+ * Resolves the path to the executable of the targeted host application, in order of preference:
+ * the binary configured in "platform.binaries", the discovered installation (see lib/discovery.js)
+ * or the default installation path of the platform.
+ * @param {{ product: String, family: String, host: Object }} target
+ * @returns {Promise.<{ binary: String, source: String }>}
+ * @private
+ */
+Build.prototype._findProductBinary = function (target)
+{
+    let override = this.platform.binaries[target.product];
+
+    if (override !== null && typeof override === 'object')
+    {
+        override = override[target.family];
+    }
+
+    if (typeof override === 'string' && override.length > 0)
     {
-        let productFolder;
+        return Promise.resolve({ binary: path.resolve(override), source: 'config' });
+    }
 
-        if (isWindows)
+    return discovery.findApplication(this.platform, target.product, target.family, this.hosts)
+    .then((application) =>
+    {
+        if (application)
         {
-            productFolder = path.join(process.env['PROGRAMFILES'], '/Adobe');
+            return { binary: application.path, source: 'discovered' };
         }
-        else
+
+        return { binary: this.platform.getProductBinary(target.host, target.family), source: 'default' };
+    });
+};
+
+/**
+ * Returns the plan step that decorates this build.
+ * @param {Boolean} debug Whether to decorate the build in "debug" mode.
+ * @returns {Promise.<Object>}
+ */
+Build.prototype.getDecorateStep = function (debug)
+{
+    return Promise
+
+    // Build initialization
+    .try(() => this._initialize())
+
+    .then(() =>
+    {
+        const files = template.getDecorationFiles(this.getOutputFolder(), this, debug),
+              warnings = this.getVersionWarnings(),
+              details = {
+                  build: this.name,
+                  debug,
+                  templates: files.templates,
+                  outputs: files.outputs,
+              };
+
+        // Sources are copied or linked to the output folder first
+        if (this.output !== null)
         {
-            productFolder = '/Applications';
+            details.source = path.resolve(this.source);
+            details.destination = path.resolve(this.output);
         }
 
-        if (options.host.hasOwnProperty('folder'))
+        const plugins = _.uniq(this.plugins.getPlugins('beforeDecorate').concat(this.plugins.getPlugins('afterManifest')));
+
+        if (plugins.length > 0)
         {
-            productFolder = path.join(productFolder, options.host.folder);
+            details.plugins = plugins;
         }
-        else
+
+        if (files.removed.length > 0)
         {
-            const familyFolder = (family === 'cc') ? 'CC' : `CC ${family.substr(2)}`;
-            productFolder = path.join(productFolder, `/Adobe ${options.host.name} ${familyFolder}`);
+            details.removed = files.removed;
         }
 
-        // On Windows X64, CC apps have " (64 Bit)" added to their folder path if they are installed with 64bit support
-        // This is no longer the case starting from CC2014
-        if (family === 'cc' && options.host.x64 && isWindows && process.arch === 'x64')
+        if (warnings.length > 0)
         {
-            productFolder += ' (64 Bit)';
+            details.warning = warnings.join(' ');
         }
 
-        options.productBinary = path.join(productFolder, (isWindows) ? options.host.bin.win : options.host.bin.mac);
+        return plan.step('decorate', `Decorate build "${this.name}" in ${(debug) ? 'debug' : 'release'} mode`, details, () => this.decorate(debug));
+    });
+};
 
-        // Check product executable path
-        return fs_stat(options.productBinary).catch(() =>
-        {
-            throw new Error(`Unable to find "Adobe ${options.host.name}" executable at "${options.productBinary}" for build "${this.name}".`);
-        });
-    })
+/**
+ * Returns the plan step that packages this build.
+ * @param {String} stagingFolder
+ * @param {Object} packaging
+ * @returns {Promise.<Object>}
+ */
+Build.prototype.getPackStep = function (stagingFolder, packaging)
+{
+    return Promise
+
+    // Build initialization
+    .try(() => this._initialize())
 
-    // Install and start
-    // Kill the specified host application process if it is running
     .then(() =>
     {
-        const fullname = `Adobe ${options.host.name} ${family.toUpperCase()}`;
-        log(`Killing ${chalk.green(fullname)} process`);
+        const source = path.resolve(this.getOutputFolder()),
+              output = path.resolve(stagingFolder, this.outputFile);
+
+        return plan.step('package', `Package build "${this.name}"`, _.omitBy({
+            build: this.name,
+            source,
+            output,
+            signer: packaging.signer || 'zxpsigncmd',
+            command: zxp.getPackageCommand(source, output, packaging),
+        }, _.isNil), () => this.pack(stagingFolder, packaging));
+    });
+};
 
-        return new Promise((resolve, reject) =>
-        {
-            let cmd;
+/**
+ * Resolves the steps needed to launch this build in the specified host application,
+ * without executing them.
+ * @param {String} [product] Name of the product to launch.
+ * @param {String} [family] Version of the product to launch.
+ * @param {Boolean} [debug] Whether the build is going to be decorated in "debug" mode before
+ *                          launching, detected from the decorated build if not specified.
+ * @returns {Promise.<{ product: String, family: String, binary: String, installFolder: String, steps: Object[] }>}
+ */
+Build.prototype.getLaunchPlan = function (product, family, debug)
+{
+    let target, installFolder;
 
-            if (isWindows)
-            {
-                cmd = `Taskkill /IM ${path.basename(options.productBinary)}`;
-            }
-            else
-            {
-                cmd = `killall ${options.host.bin.mac.slice(0, -4)}`;
-            }
+    return Promise
 
-            log(chalk.green(cmd));
-            exec(cmd, (error, stdout, stderr) =>
-            {
-                if (error === null || error.code === 0)
-                {
-                    // Let some time pass so that application can be closed correctly
-                    // TODO: find a better way of doing this
-                    setTimeout(() => resolve(), 1000);
-                }
-                else
-                {
-                    reject(`An error occurred while killing the host application process: ${error}`);
-                }
-            });
-        });
-    })
+    // Build initialization
+    .try(() => this._initialize())
 
-    // Set "PlayerDebugMode" flag in plist file or Windows registry
-    .then(() =>
-    {
-        log('Setting OS debug mode...');
+    // Detect launch options
+    .then(() => { target = this._getTarget(product, family); })
 
-        // CC 2015.5 contains a mix of CEP 6 and CEP 7 so we need to set flags for both
-        var parsedFamilies = [family];
-        if (parsedFamilies[0] === 'cc2015.5')
-        {
-            parsedFamilies.push('cc2015');
-        }
+    // Get path to install folder
+    .then(() => this._getInstallFolder(target.family, debug))
+    .then((folder) => { installFolder = folder; })
 
-        return Promise.map(parsedFamilies, family =>
+    // Check product executable path
+    .then(() =>
+    {
+        return this._findProductBinary(target).then((executable) =>
         {
-            return new Promise((resolve, reject) =>
-            {
-                // REVIEW: move plists to hosts.js?
-                let plists, cmd;
-
-                if (isWindows)
-                {
-                    plists = {
-                        'cc': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.4\\',
-                        'cc2014': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.5\\',
-                        'cc2015': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.6\\',
-                        'cc2015.5': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.7\\',
-                        'cc2017': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.7\\',
-                        'cc2018': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.8\\',
-                        'cc2019': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.9\\',
-                        'cc2020': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.9\\',
-                        'CC2021': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.10\\',
-                        'CC2022': 'HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.11\\',
-                    };
-
-                    if (!plists.hasOwnProperty(family))
-                    {
-                        resolve();
-                        return;
-                    }
-
-                    cmd = `reg add ${plists[family]} /v PlayerDebugMode /d 1 /f`;
-                }
-                else
-                {
-                    plists = {
-                        'cc': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.4.plist'),
-                        'cc2014': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.5.plist'),
-                        'cc2015': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.6.plist'),
-                        'cc2015.5': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.7.plist'),
-                        'cc2017': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.7.plist'),
-                        'cc2018': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.8.plist'),
-                        'cc2019': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.9.plist'),
-                        'cc2020': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.9.plist'),
-                        'CC2021': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.10.plist'),
-                        'CC2022': path.join(process.env['HOME'], '/Library/Preferences/com.adobe.CSXS.11.plist'),
-                    };
-
-                    if (!plists.hasOwnProperty(family))
-                    {
-                        resolve();
-                        return;
-                    }
-
-                    cmd = `defaults write ${plists[family]} PlayerDebugMode 1`;
-                }
-
-                log(chalk.green(cmd));
-                exec(cmd, (error, stdout, stderr) =>
-                {
-                    if (error === null || error.code === 0)
-                    {
-                        if (isWindows)
-                        {
-                            resolve();
-                        }
-                        else
-                        {
-                            // Flush preference cache to support Mac OS X 10.9 and higher
-                            cmd = 'pkill -9 cfprefsd';
-                            log('Flushing preference cache...');
-                            log(chalk.green(cmd));
-                            exec(cmd, (error, stdout, stderr) => resolve());
-                        }
-                    }
-                    else
-                    {
-                        reject(`An error occurred while setting debug flags: ${error}`);
-                    }
-                });
-            });
+            return fs_stat(executable.binary)
+            .then(() => true, () => false)
+            .then(exists => _.assign(executable, { exists }));
         });
     })
 
-    // Install extension by copying files to the 'extensions' folder
-    .then(() =>
+    .then((executable) =>
     {
-        log(`Installing extension at ${chalk.cyan(options.installFolder)}...`);
-
-        return rimraf(options.installFolder)
-        .then(() => { return fs_mkdir(options.installFolder, { recursive: true}); })
-        .then(() => { return cpy(['**/*.*'], path.resolve(destination), { cwd: this.source, parents: true }); })
-        .then(() => { return cpy(['**/.*'], path.resolve(destination), { cwd: this.source, parents: true }); });
-    })
+        const host = target.host,
+              steps = [];
+
+        steps.push(plan.step('check', `Check "Adobe ${host.name}" executable (${executable.source})`, {
+            path: executable.binary,
+            origin: executable.source,
+            exists: executable.exists,
+            warning: (executable.exists) ? undefined : 'Executable not found, launching will fail.',
+        }, () =>
+        {
+            if (!executable.exists)
+            {
+                throw new Error(`Unable to find "Adobe ${host.name}" executable at "${executable.binary}" for build "${this.name}".`);
+            }
+        }));
 
-    // Launch the specified host application
-    .then(() =>
-    {
-        const fullname = `Adobe ${options.host.name} ${family.toUpperCase()}`;
-        log(`Launching ${chalk.green(this.name)} in ${chalk.green(fullname)}...`);
+        // Kill the specified host application process if it is running, then let some time
+        // pass so that application can be closed correctly
+        // TODO: find a better way of doing this
+        steps.push(...this.platform.kill(executable.binary, host));
+        steps.push(plan.step('wait', 'Wait for the application to close', {}, () => Promise.delay(1000)));
 
-        if (isWindows)
+        // Set "PlayerDebugMode" flag in plist file or registry
+        for (const version of this.hosts.getDebugModeVersions(target.family))
         {
-            exec(`explorer.exe "${options.productBinary}"`);
-        }
-        else
-        {
-            exec(`open -F -n "${options.productBinary}"`);
+            steps.push(...this.platform.setDebugMode(version, true));
         }
+
+        // Install extension by copying files to the 'extensions' folder
+        steps.push(plan.step('install', `Install build "${this.name}"`, {
+            source: path.resolve(this.getOutputFolder()),
+            destination: installFolder,
+        }, () => this.install(installFolder)));
+
+        // Launch the specified host application
+        steps.push(...this.platform.start(executable.binary, host));
+
+        return {
+            platform: this.platform.name,
+            product: target.product,
+            family: target.family,
+            binary: executable.binary,
+            installFolder,
+            steps,
+        };
     });
 };
 
+/**
+ * Launches this build in the specified host application.
+ * @param {String} [product] Name of the product to launch.
+ * @param {String} [family] Version of the product to launch.
+ * @returns {Promise}
+ */
+Build.prototype.launch = function (product, family)
+{
+    return this.getLaunchPlan(product, family)
+    .tap((launchPlan) => log(`Launching ${chalk.green(this.name)} in ${chalk.green(launchPlan.product)} ${launchPlan.family.toUpperCase()}...`))
+    .then((launchPlan) => plan.run(launchPlan));
+};
+
 module.exports = Build;
@@ -0,0 +1,357 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+      path = require('path'),
+      url = require('url'),
+      chalk = require('chalk'),
+      YAML = require('yaml'),
+      Promise = require('bluebird'),
+      log = require('debug')('cepy');
+
+const schema = require('./schema.js'),
+      secrets = require('./secrets.js'),
+      configSchema = require('../defaults/schema.js').config;
+
+const fs_readFile = Promise.promisify(require('fs').readFile),
+      fs_stat = Promise.promisify(require('fs').stat);
+
+/**
+ * Names of the configuration files looked up in each folder, in order of preference.
+ */
+const CONFIG_FILES = Object.freeze([
+    'cepy.config.js',
+    'cepy.config.cjs',
+    'cepy.config.mjs',
+    'cepy.config.json',
+    'cepy.config.yaml',
+    'cepy.config.yml',
+    // Default configuration file of older versions of cepy
+    'cepy-config.js',
+]);
+
+/**
+ * Whether the specified file exists.
+ * @param {String} file
+ * @returns {Promise.<Boolean>}
+ */
+function isFile(file)
+{
+    return fs_stat(file).then(stats => stats.isFile(), () => false);
+};
+
+/**
+ * Reads a "package.json" file, returning null if it has no "cepy" key.
+ * @param {String} file
+ * @returns {Promise.<(Object|null)>}
+ */
+function readPackage(file)
+{
+    return fs_readFile(file, 'utf8').then((json) =>
+    {
+        const data = JSON.parse(json);
+        return (data && data.hasOwnProperty('cepy')) ? data.cepy : null;
+    });
+};
+
+/**
+ * Finds the configuration file for a folder, looking for one of the supported configuration
+ * files (see CONFIG_FILES) or a "package.json" file with a "cepy" key in the folder and then
+ * in each of its parents.
+ * @param {String} [directory] Defaults to the working directory.
+ * @returns {Promise.<(String|null)>} Path to the configuration file, null if none was found.
+ */
+const find = function (directory)
+{
+    const lookup = (folder) =>
+    {
+        return Promise.mapSeries(CONFIG_FILES, name => isFile(path.join(folder, name)))
+        .then((found) =>
+        {
+            const index = found.indexOf(true);
+
+            if (index > -1)
+            {
+                return path.join(folder, CONFIG_FILES[index]);
+            }
+
+            const packageFile = path.join(folder, 'package.json');
+
+            return isFile(packageFile)
+            .then(exists => exists && readPackage(packageFile).catch(() => null))
+            .then((config) =>
+            {
+                if (config)
+                {
+                    return packageFile;
+                }
+
+                const parent = path.dirname(folder);
+                return (parent !== folder) ? lookup(parent) : null;
+            });
+        });
+    };
+
+    return lookup(path.resolve(directory || process.cwd()));
+};
+
+/**
+ * Imports an ECMAScript module, returning its default export if any.
+ * @param {String} file
+ * @returns {Promise.<*>}
+ */
+function importModule(file)
+{
+    // Query string makes sure the module is evaluated again when reloading (i.e. when watching)
+    return Promise.resolve(import(`${url.pathToFileURL(file).href}?t=${Date.now()}`))
+    .catch((error) =>
+    {
+        // Node 10 parses dynamic imports, but can't run them
+        if (error && error.message === 'Not supported')
+        {
+            throw new Error('ECMAScript modules need Node 12.17 or later, use a CommonJS configuration file (i.e. cepy.config.cjs) instead.');
+        }
+
+        throw error;
+    })
+    .then(exported => ((exported.default !== undefined) ? exported.default : Object.assign({}, exported)));
+};
+
+/**
+ * Reads what a configuration file exports, depending on its format.
+ * @param {String} file
+ * @returns {Promise.<*>}
+ */
+function readConfig(file)
+{
+    const extension = path.extname(file).toLowerCase();
+
+    if (path.basename(file) === 'package.json')
+    {
+        return readPackage(file);
+    }
+    else if (extension === '.json')
+    {
+        return fs_readFile(file, 'utf8').then(json => JSON.parse(json));
+    }
+    else if (extension === '.yaml' || extension === '.yml')
+    {
+        return fs_readFile(file, 'utf8').then(yaml => YAML.parse(yaml));
+    }
+    else if (extension === '.mjs')
+    {
+        return importModule(file);
+    }
+
+    return Promise.try(() =>
+    {
+        // Always read the latest version of the file
+        delete require.cache[file];
+        const exported = require(file);
+
+        // ECMAScript modules loaded through "require", or transpiled ones
+        return (exported && exported.__esModule && exported.default !== undefined) ? exported.default : exported;
+    })
+    .catch(error => error.code === 'ERR_REQUIRE_ESM', () => importModule(file));
+};
+
+/**
+ * Loads a configuration file. Files may export the configuration object or a function (possibly
+ * async) returning it, which receives information about the command being run.
+ * @param {String} file
+ * @param {Object} [context] Passed to configuration functions.
+ * @param {String} [context.mode] Command being run, i.e. "decorate" or "pack".
+ * @param {Boolean} [context.debug=false] Whether the command runs in "debug" mode.
+ * @param {String} [context.profile] Selected profile, if any.
+ * @param {Object} [context.env=process.env] Environment variables.
+ * @returns {Promise.<Object>}
+ */
+const load = function (file, context)
+{
+    file = path.resolve(file);
+    context = _.defaults({}, context, {
+        mode: null,
+        debug: false,
+        profile: null,
+        env: process.env,
+    });
+
+    log(`Loading configuration file ${chalk.cyan(file)}...`);
+
+    return Promise
+
+    // Read exported configuration
+    .try(() => readConfig(file))
+
+    // Resolve configuration functions
+    .then(exported => ((typeof exported === 'function') ? exported(context) : exported))
+
+    .then((config) =>
+    {
+        if (config === null || typeof config !== 'object' || Array.isArray(config))
+        {
+            throw new Error('configuration must be an object, or a function returning one.');
+        }
+
+        return config;
+    })
+    .catch((error) =>
+    {
+        throw new Error(`Unable to load configuration file ${file}: ${error.message}`);
+    });
+};
+
+/**
+ * Parses an override in the "path=value" form, i.e. "builds.main.bundle.version=1.2.3".
+ * Values are converted to the type expected by the option (see schema.coerce).
+ * @param {String} override
+ * @returns {{ path: String, value: *, secret: Boolean }} "secret" is true for sensitive options (i.e. passwords).
+ */
+function parseOverride(override)
+{
+    const index = override.indexOf('='),
+          key = (index > 0) ? override.substr(0, index).trim() : '';
+
+    if (key.length === 0)
+    {
+        throw new Error(`Invalid override "${override}", expected "path=value" (i.e. "builds.main.bundle.version=1.2.3").`);
+    }
+
+    const text = override.substr(index + 1),
+          alternatives = schema.resolve(configSchema, key);
+
+    return {
+        path: key,
+        value: schema.coerce(text, alternatives),
+        secret: (alternatives || []).some(alternative => alternative.secret === true),
+    };
+};
+
+/**
+ * Applies a profile and overrides to a configuration.
+ *
+ * Profiles are named partial configurations, stored in the "profiles" key, that are deep-merged over
+ * the base configuration (arrays are replaced, not merged). Overrides set single options afterwards.
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {String} [options.profile] Name of the profile to apply.
+ * @param {String[]} [options.set] Overrides in the "path=value" form, i.e. "builds.main.bundle.version=1.2.3".
+ * @returns {Object} A new configuration, without profiles.
+ */
+const apply = function (config, options)
+{
+    options = _.defaults({}, options, {
+        profile: null,
+        set: [],
+    });
+
+    const profiles = (config && config.profiles) || {};
+    let result = _.omit(config || {}, 'profiles');
+
+    if (typeof options.profile === 'string' && options.profile.length > 0)
+    {
+        if (!_.isPlainObject(profiles[options.profile]))
+        {
+            const names = Object.keys(profiles),
+                  suggestion = schema.suggest(options.profile, names);
+
+            throw new Error(`Unknown profile "${options.profile}"${(suggestion) ? `, did you mean "${suggestion}"?` : ''} `
+                + `Available profiles: ${(names.length > 0) ? names.join(', ') : 'none'}.`);
+        }
+
+        log(`Applying profile ${chalk.green(options.profile)}...`);
+        result = _.mergeWith(_.cloneDeep(result), _.cloneDeep(profiles[options.profile]), (value, source) => (Array.isArray(source) ? source : undefined));
+    }
+
+    for (const override of [].concat(options.set || []))
+    {
+        const parsed = parseOverride(override);
+
+        // Sensitive values are never logged, as they aren't registered as secrets yet
+        log(`Setting ${chalk.cyan(parsed.path)} to ${(parsed.secret) ? secrets.REDACTED : JSON.stringify(parsed.value)}...`);
+        _.set(result, parsed.path, parsed.value);
+    }
+
+    return result;
+};
+
+/**
+ * Resolves the configuration to use: the specified file or, if none, the one found
+ * looking up from the working directory (see find).
+ * @param {Object} [options]
+ * @param {String} [options.file] Path to the configuration file.
+ * @param {String} [options.cwd] Folder the lookup starts from, defaults to the working directory.
+ * @param {String} [options.mode] See load.
+ * @param {Boolean} [options.debug] See load.
+ * @param {Object} [options.env] See load.
+ * @param {String} [options.profile] See apply.
+ * @param {String[]} [options.set] See apply.
+ * @returns {Promise.<{ file: (String|null), config: (Object|null) }>} The loaded file and configuration, with
+ *          the profile and overrides applied. Both are null if no configuration file was found and there are
+ *          no overrides.
+ */
+const resolve = function (options)
+{
+    options = _.defaults({}, options, {
+        file: null,
+        cwd: process.cwd(),
+    });
+
+    return Promise.try(() =>
+    {
+        if (typeof options.file === 'string' && options.file.length > 0)
+        {
+            const file = path.resolve(options.cwd, options.file);
+
+            return isFile(file).then((exists) =>
+            {
+                if (!exists)
+                {
+                    throw new Error(`Configuration file ${file} does not exist.`);
+                }
+
+                return file;
+            });
+        }
+
+        return find(options.cwd);
+    })
+    .then((file) =>
+    {
+        if (file === null)
+        {
+            if (options.profile)
+            {
+                throw new Error(`Can not apply profile "${options.profile}", no configuration file found.`);
+            }
+
+            return { file: null, config: _.isEmpty(options.set) ? null : apply({}, options) };
+        }
+
+        return load(file, _.pick(options, 'mode', 'debug', 'profile', 'env'))
+        .then(config => ({ file, config: apply(config, options) }));
+    });
+};
+
+module.exports = {
+    CONFIG_FILES,
+    find,
+    load,
+    apply,
+    resolve,
+};
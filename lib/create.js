@@ -0,0 +1,338 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs'),
+      path = require('path'),
+      Promise = require('bluebird'),
+      chalk = require('chalk'),
+      log = require('debug')('cepy'),
+      _ = require('lodash');
+
+const fs_mkdir = Promise.promisify(require('fs').mkdir),
+      fs_readFile = Promise.promisify(require('fs').readFile),
+      fs_writeFile = Promise.promisify(require('fs').writeFile),
+      fs_copyFile = Promise.promisify(require('fs').copyFile),
+      fs_stat = Promise.promisify(require('fs').stat);
+
+const defaultExtensionConfig = require('../defaults/extension.js'),
+      config = require('./config.js'),
+      hosts = require('./hosts.js'),
+      bundleIdRegEx = /^[A-Za-z0-9._\-]+$/i;
+
+// Same delimiters used by manifest templates (see template.js)
+const templateOptions = {
+    interpolate: /{%=([\s\S]+?)%}/g,
+    evaluate: /{%([\s\S]+?)%}/g,
+    escape: /{%-([\s\S]+?)%}/g,
+};
+
+const resFolder = path.resolve(__dirname, '../res/create');
+
+/**
+ * Converts a value to a JavaScript literal suitable for the generated config file.
+ * @param {*} value
+ * @returns {String}
+ */
+function literal(value)
+{
+    if (Array.isArray(value))
+    {
+        return `[${value.map(literal).join(', ')}]`;
+    }
+    else if (typeof value === 'string')
+    {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    }
+
+    return JSON.stringify(value);
+};
+
+/**
+ * Normalizes a comma separated list (or an array) to an array of trimmed names.
+ * @param {(String|String[])} value
+ * @returns {String[]}
+ */
+function parseList(value)
+{
+    if (typeof value === 'string')
+    {
+        value = value.split(',');
+    }
+
+    if (!Array.isArray(value))
+    {
+        return [];
+    }
+
+    return value.map(entry => String(entry).trim()).filter(entry => entry.length > 0);
+};
+
+/**
+ * Builds the extension entries written to the config file.
+ * @param {Object} bundle
+ * @param {String[]} names
+ * @returns {Object[]}
+ */
+function createExtensions(bundle, names)
+{
+    return names.map(name =>
+    {
+        const folder = _.kebabCase(name),
+            icon = type => `${folder}/icons/${type}.png`;
+
+        return {
+            folder,
+            id: `${bundle.id}.${folder}`,
+            name: (names.length > 1) ? `${bundle.name} ${_.startCase(name)}` : bundle.name,
+            version: bundle.version,
+            mainPath: `${folder}/index.html`,
+            scriptPath: `${folder}/main.jsx`,
+            functionName: _.camelCase(`${folder} main`),
+            icons: _.mapValues(defaultExtensionConfig.icons, (states, theme) =>
+            {
+                return _.mapValues(states, (value, state) => icon(`${theme}-${state}`));
+            }),
+        };
+    });
+};
+
+/**
+ * Renders a template from the scaffolding resources folder.
+ * @param {String} file
+ * @param {Object} data
+ * @returns {Promise.<String>}
+ */
+function render(file, data)
+{
+    return fs_readFile(path.join(resFolder, file), 'utf8')
+    .then(template => _.template(template, templateOptions)(_.assign({ literal }, data)));
+};
+
+/**
+ * Returns the files a project writes, relative to its folder.
+ * @param {Object} data Project data, see createProject.
+ * @returns {String[]}
+ */
+function getProjectFiles(data)
+{
+    return ['cepy.config.js'].concat(_.flatMap(data.extensions, (extension) =>
+    {
+        const icons = _.flatMap(extension.icons, states => _.values(states));
+
+        return [
+            path.join(data.source, extension.folder, 'index.html'),
+            path.join(data.source, extension.folder, 'main.jsx'),
+        ].concat(_.uniq(icons).map(icon => path.join(data.source, icon)));
+    }));
+};
+
+/**
+ * Adds the entries of the scaffolding ".gitignore" file missing from the project one,
+ * creating it if needed.
+ * @param {String} file Path to the project ".gitignore" file.
+ * @returns {Promise}
+ */
+function mergeGitignore(file)
+{
+    return Promise.all([
+        fs_readFile(path.join(resFolder, 'gitignore'), 'utf8'),
+        fs_readFile(file, 'utf8').catch(() => null),
+    ])
+    .spread((template, existing) =>
+    {
+        if (existing === null)
+        {
+            return fs_writeFile(file, template);
+        }
+
+        const present = existing.split(/\r?\n/).map(line => line.trim()),
+              missing = template.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0 && present.indexOf(line) === -1);
+
+        if (missing.length > 0)
+        {
+            const separator = (existing.length === 0 || /\n$/.test(existing)) ? '' : '\n';
+            return fs_writeFile(file, `${existing}${separator}${missing.join('\n')}\n`);
+        }
+    });
+};
+
+/**
+ * Creates a new extension project.
+ * Existing files are never overwritten: the project is not created if any of its files
+ * already exists, and the entries of the ".gitignore" file are merged into the existing one.
+ * @param {Object} options Project options.
+ * @param {String} [options.directory='.'] Folder the project will be created in.
+ * @param {String} options.id Bundle identifier (i.e. "com.acme.awesomebundle").
+ * @param {String} options.name Bundle name.
+ * @param {String} options.author Author or company name.
+ * @param {String} [options.version='0.1.0'] Bundle version.
+ * @param {(String|String[])} [options.products='photoshop'] Products targeted by the project.
+ * @param {(String|String[])} [options.families='cc2020'] Families targeted by the project,
+ *                            a single family is treated as the minimum supported one. Ranges such
+ *                            as "cc2019..cc2022" or ">=cc2020" are supported too.
+ * @param {(String|String[])} [options.extensions='panel'] Names of the extensions in the bundle.
+ * @returns {Promise}
+ */
+const createProject = function (options)
+{
+    options = _.defaults({}, options, {
+        directory: '.',
+        version: '0.1.0',
+        products: 'photoshop',
+        families: 'cc2020',
+        extensions: 'panel',
+    });
+
+    const directory = path.resolve(options.directory),
+          configFile = path.join(directory, 'cepy.config.js'),
+          source = 'src';
+
+    let data;
+
+    return Promise
+
+    // Options validation
+    .try(() =>
+    {
+        if (typeof options.id !== 'string' || !bundleIdRegEx.test(options.id))
+        {
+            throw new Error(`Invalid bundle id "${options.id}".`);
+        }
+
+        if (typeof options.name !== 'string' || options.name.length === 0)
+        {
+            throw new Error(`Invalid bundle name "${options.name}".`);
+        }
+
+        if (typeof options.author !== 'string' || options.author.length === 0)
+        {
+            throw new Error(`Invalid bundle author "${options.author}".`);
+        }
+
+        const products = parseList(options.products).map(product => product.toLowerCase()),
+              families = parseList(options.families).map(family => family.toLowerCase()),
+              extensions = parseList(options.extensions);
+
+        if (products.length === 0)
+        {
+            throw new Error('No products specified.');
+        }
+
+        if (families.length === 0)
+        {
+            throw new Error('No families specified.');
+        }
+
+        if (extensions.length === 0)
+        {
+            throw new Error('No extensions specified.');
+        }
+
+        // Throws if any family is unknown, or if a product is not part of the targeted families
+        // New projects have no "hosts" overrides yet, so only built-in host data applies
+        const registry = hosts.load(),
+              targeted = registry.expandFamilies(registry.parseFamilies((families.length === 1) ? families[0] : families));
+
+        for (const product of products)
+        {
+            if (!targeted.some(family => registry.hasProduct(product, family)))
+            {
+                registry.getProduct(product, targeted[0]);
+            }
+        }
+
+        const bundle = {
+            id: options.id,
+            name: options.name,
+            version: options.version,
+            author: options.author,
+        };
+
+        data = {
+            buildName: 'main',
+            source,
+            bundle,
+            products,
+            // A single family is the minimum supported one, more families are a range
+            families: (families.length === 1) ? families[0] : families,
+            extensions: createExtensions(bundle, extensions),
+            packaging: {
+                output: `release/${_.kebabCase(options.name)}.zxp`,
+                certificate: 'certificate.p12',
+            },
+        };
+
+        // Never overwrite an existing project, or any other file. Any of the configuration files
+        // cepy looks for means there's a project already, which the new file would take precedence over
+        const files = _.uniq(config.CONFIG_FILES.concat(getProjectFiles(data)));
+
+        return Promise.filter(files, file => fs_stat(path.join(directory, file)).then(() => true, () => false))
+        .then((existing) =>
+        {
+            const existingConfig = existing.find(file => config.CONFIG_FILES.indexOf(file) > -1);
+
+            if (existingConfig)
+            {
+                throw new Error(`A project already exists at ${chalk.cyan(path.join(directory, existingConfig))}.`);
+            }
+            else if (existing.length > 0)
+            {
+                throw new Error(`Unable to create the project at ${chalk.cyan(directory)}, these files already exist: ${existing.join(', ')}.`);
+            }
+        });
+    })
+
+    // Project files
+    .then(() =>
+    {
+        log(`Creating project ${chalk.green(options.name)} at ${chalk.cyan(directory)}...`);
+
+        return fs_mkdir(directory, { recursive: true })
+        .then(() => render('cepy-config.js', data))
+        .then(content => fs_writeFile(configFile, content, { flag: 'wx' }))
+        .then(() => mergeGitignore(path.join(directory, '.gitignore')));
+    })
+
+    // Extension sources and icon placeholders
+    .then(() =>
+    {
+        return Promise.each(data.extensions, (extension) =>
+        {
+            const folder = path.join(directory, source, extension.folder),
+                  icons = _.flatMap(extension.icons, states => _.values(states));
+
+            log(`Creating extension ${chalk.green(extension.id)}...`);
+
+            return fs_mkdir(path.join(folder, 'icons'), { recursive: true })
+            .then(() => render('index.html', { extension }))
+            .then(content => fs_writeFile(path.join(folder, 'index.html'), content, { flag: 'wx' }))
+            .then(() => render('main.jsx', { extension }))
+            .then(content => fs_writeFile(path.join(folder, 'main.jsx'), content, { flag: 'wx' }))
+            .then(() => Promise.each(_.uniq(icons), icon =>
+            {
+                return fs_copyFile(path.join(resFolder, 'icon.png'), path.join(directory, source, icon), fs.constants.COPYFILE_EXCL);
+            }));
+        });
+    })
+
+    .tap(() => log(`Project ${chalk.green(options.name)} created successfully.`));
+};
+
+module.exports = {
+    createProject,
+};
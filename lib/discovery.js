@@ -0,0 +1,222 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+      path = require('path'),
+      chalk = require('chalk'),
+      Promise = require('bluebird'),
+      log = require('debug')('cepy');
+
+const fs_open = Promise.promisify(require('fs').open),
+      fs_read = Promise.promisify(require('fs').read, { multiArgs: true }),
+      fs_close = Promise.promisify(require('fs').close),
+      fs_fstat = Promise.promisify(require('fs').fstat),
+      fs_readdir = Promise.promisify(require('fs').readdir),
+      fs_readFile = Promise.promisify(require('fs').readFile),
+      fs_stat = Promise.promisify(require('fs').stat);
+
+const hosts = require('./hosts.js');
+
+/**
+ * Signature of the VS_FIXEDFILEINFO structure in Windows executables version resources.
+ */
+const FIXED_FILE_INFO_SIGNATURE = Buffer.from([0xBD, 0x04, 0xEF, 0xFE]);
+
+/**
+ * Size of the chunks read while looking for version resources.
+ */
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Reads the version of a macOS application bundle from its Info.plist file.
+ * @param {String} bundle Path to the application bundle (i.e. "/Applications/Foo/Foo.app").
+ * @returns {Promise.<(String|null)>}
+ */
+const readPlistVersion = function (bundle)
+{
+    return fs_readFile(path.join(bundle, 'Contents/Info.plist'), 'utf8')
+    .then((plist) =>
+    {
+        for (const key of ['CFBundleShortVersionString', 'CFBundleVersion'])
+        {
+            const match = new RegExp(`<key>${key}</key>\\s*<string>\\s*([^<]+?)\\s*</string>`).exec(plist);
+
+            if (match)
+            {
+                return match[1];
+            }
+        }
+
+        return null;
+    });
+};
+
+/**
+ * Reads the product version of a Windows executable from its version resource.
+ *
+ * Resources are usually stored at the end of executables, which can be quite large,
+ * so the file is scanned backwards in chunks until the version information is found.
+ * @param {String} file Path to the executable.
+ * @returns {Promise.<(String|null)>}
+ */
+const readExecutableVersion = function (file)
+{
+    return fs_open(file, 'r').then((fd) =>
+    {
+        const buffer = Buffer.alloc(CHUNK_SIZE + 64);
+
+        const scan = (end) =>
+        {
+            if (end <= 0)
+            {
+                return null;
+            }
+
+            // Overlap chunks, so that the structure is found even if it spans two of them
+            const start = Math.max(0, end - CHUNK_SIZE);
+
+            return fs_read(fd, buffer, 0, Math.min(buffer.length, end + 64 - start), start)
+            .spread((bytesRead) =>
+            {
+                const chunk = buffer.slice(0, bytesRead),
+                      index = chunk.lastIndexOf(FIXED_FILE_INFO_SIGNATURE);
+
+                if (index === -1 || index + 24 > chunk.length)
+                {
+                    return scan(start);
+                }
+
+                // dwSignature, dwStrucVersion, dwFileVersionMS/LS, dwProductVersionMS/LS
+                const ms = chunk.readUInt32LE(index + 16),
+                      ls = chunk.readUInt32LE(index + 20);
+
+                return [ms >>> 16, ms & 0xFFFF, ls >>> 16, ls & 0xFFFF].join('.');
+            });
+        };
+
+        return fs_fstat(fd)
+        .then(stats => scan(stats.size))
+        .finally(() => fs_close(fd));
+    });
+};
+
+/**
+ * Returns the folders scanned for installed host applications.
+ * @param {Object} platform Platform adapter.
+ * @returns {String[]}
+ */
+function getInstallRoots(platform)
+{
+    return _.uniq(platform.getInstallRoots().concat(platform.installRoots || []).map(root => path.resolve(root)));
+};
+
+/**
+ * Discovers the host applications installed in the install roots of a platform.
+ *
+ * Each folder in an install root is checked for the executables of the known products,
+ * then the version of each executable found is read and mapped to a family.
+ * @param {Object} platform Platform adapter (see lib/platforms.js).
+ * @param {Object} [options]
+ * @param {String[]} [options.products] Products to look for, defaults to all the known ones.
+ * @param {Hosts} [options.hosts] Host data to map products and versions with (see lib/hosts.js),
+ *                                defaults to the built-in one.
+ * @returns {Promise.<Array.<{ product: String, family: String, name: String, version: String, path: String }>>}
+ *          Installed applications. Family is null if the version is unknown to cepy.
+ */
+const discover = function (platform, options)
+{
+    const registry = (options && options.hosts) || hosts.load(),
+          products = (options && options.products) || registry.getProducts(),
+          candidates = [];
+
+    // Executable names differ between releases, i.e. "Adobe Photoshop 2022.app"
+    const binaries = products.map((product) =>
+    {
+        const names = registry.getReleases(product).map(release => platform.getBinaryName(release.host));
+        return { product, names: _.uniq(names.filter(name => typeof name === 'string' && name.length > 0)) };
+    });
+
+    return Promise.mapSeries(getInstallRoots(platform), (root) =>
+    {
+        log(`Looking for host applications in ${chalk.cyan(root)}...`);
+
+        return fs_readdir(root)
+        .catch(() => [])
+        .then((folders) =>
+        {
+            return Promise.mapSeries(folders, (folder) =>
+            {
+                return Promise.mapSeries(binaries, (binary) =>
+                {
+                    return Promise.mapSeries(binary.names, (name) =>
+                    {
+                        const file = path.join(root, folder, name);
+
+                        return fs_stat(file)
+                        .then(() => candidates.push({ product: binary.product, path: file }))
+                        .catch(() => {});
+                    });
+                });
+            });
+        });
+    })
+
+    // Read versions and map them to families
+    .then(() =>
+    {
+        return Promise.mapSeries(_.uniqBy(candidates, 'path'), (candidate) =>
+        {
+            return Promise.try(() => platform.readVersion(candidate.path))
+            .catch(() => null)
+            .then((version) =>
+            {
+                const family = (version) ? registry.findFamily(candidate.product, version) : null,
+                      host = (family) ? registry.getProduct(candidate.product, family) : registry.getReleases(candidate.product).pop().host;
+
+                return {
+                    product: candidate.product,
+                    family,
+                    name: `Adobe ${host.name}`,
+                    version: version || null,
+                    path: candidate.path,
+                };
+            });
+        });
+    });
+};
+
+/**
+ * Finds the installed application for the specified product and family.
+ * @param {Object} platform Platform adapter (see lib/platforms.js).
+ * @param {String} product
+ * @param {String} family
+ * @param {Hosts} [registry] Host data (see discover).
+ * @returns {Promise.<(Object|null)>} The application, as returned by discover, or null if not found.
+ */
+const findApplication = function (platform, product, family, registry)
+{
+    return discover(platform, { products: [product], hosts: registry })
+    .then(applications => applications.find(application => application.family === family) || null);
+};
+
+module.exports = {
+    readPlistVersion,
+    readExecutableVersion,
+    discover,
+    findApplication,
+};
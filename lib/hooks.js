@@ -0,0 +1,220 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+      path = require('path'),
+      chalk = require('chalk'),
+      Promise = require('bluebird'),
+      log = require('debug')('cepy');
+
+const plan = require('./plan.js'),
+      schema = require('./schema.js');
+
+/**
+ * Hooks plugins can register, in the order they run:
+ * - beforeDecorate: before generating manifest and debug files, receives { build, view, debug, folder }.
+ * - afterManifest: once the bundle manifest data is ready, before rendering it. Receives { build, view, debug,
+ *   folder, family, data }, where "data" holds the template variables ("bundle", "hostList", "extensionList",
+ *   "dispatchInfoList" and "requiredRuntimeList") and can be edited.
+ * - beforeBuildPack: before a build is packaged and signed, receives { build, packaging, staging, source, output }.
+ * - afterStage: once the staging folder is complete (build packages, MXI file and additional files),
+ *   receives { builds, packaging, staging }.
+ * - beforeSign: right before the final package is signed, receives { builds, packaging, source, output }.
+ * - afterPack: once the final package has been created, receives { builds, packaging, output }.
+ * Hooks may return a promise. "build" is the Build instance (see lib/build.js), "view" is the build as decorated
+ * in the current mode (see Build.getView). "packaging" is a copy of the packaging configuration, with the
+ * certificate password redacted.
+ */
+const HOOKS = Object.freeze([
+    'beforeDecorate',
+    'afterManifest',
+    'beforeBuildPack',
+    'afterStage',
+    'beforeSign',
+    'afterPack',
+]);
+
+/**
+ * Loads a plugin configured in the "plugins" option, which can be:
+ * - an object, mapping hook names to functions (an optional "name" is used in logs and errors).
+ * - a function returning such an object, called with no options.
+ * - the name of a module (or the path to a file, relative to the working directory) exporting any of the above.
+ * - an array, made of any of the above and the options the plugin function is called with.
+ * @param {*} entry
+ * @param {Number} index Position of the plugin in the "plugins" option.
+ * @returns {{ name: String, hooks: Object }}
+ */
+function loadPlugin(entry, index)
+{
+    let options,
+        name = `plugin #${index + 1}`;
+
+    if (Array.isArray(entry))
+    {
+        options = entry[1];
+        entry = entry[0];
+    }
+
+    if (typeof entry === 'string' && entry.length > 0)
+    {
+        name = entry;
+
+        try
+        {
+            const file = (entry.startsWith('.') || path.isAbsolute(entry)) ? path.resolve(entry) : require.resolve(entry, { paths: [process.cwd()] });
+            entry = require(file);
+        }
+        catch (error)
+        {
+            throw new Error(`Unable to load plugin "${name}": ${error.message}`);
+        }
+
+        // ECMAScript modules transpiled to CommonJS
+        if (entry && entry.__esModule && entry.default !== undefined)
+        {
+            entry = entry.default;
+        }
+    }
+
+    if (typeof entry === 'function')
+    {
+        entry = entry(options);
+    }
+
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry))
+    {
+        throw new Error(`Invalid ${name}, expected an object mapping hook names to functions.`);
+    }
+
+    if (typeof entry.name === 'string' && entry.name.length > 0)
+    {
+        name = entry.name;
+    }
+
+    const hooks = {};
+
+    for (const key of Object.keys(entry))
+    {
+        if (key === 'name')
+        {
+            continue;
+        }
+
+        if (HOOKS.indexOf(key) === -1)
+        {
+            const suggestion = schema.suggest(key, HOOKS);
+            throw new Error(`Unknown hook "${key}" in plugin "${name}"${(suggestion) ? `, did you mean "${suggestion}"?` : '.'}`);
+        }
+
+        if (typeof entry[key] !== 'function')
+        {
+            throw new Error(`Hook "${key}" of plugin "${name}" is not a function.`);
+        }
+
+        hooks[key] = entry[key].bind(entry);
+    }
+
+    return { name, hooks };
+};
+
+/**
+ * Plugins registered through the "plugins" option, and the hooks they provide.
+ * @class
+ * @param {Array} [plugins] Plugins, see loadPlugin.
+ */
+function Plugins(plugins)
+{
+    if (plugins !== undefined && plugins !== null && !Array.isArray(plugins))
+    {
+        throw new Error('Invalid plugins, expected an array.');
+    }
+
+    Object.defineProperties(this, {
+
+        /** Loaded plugins. */
+        _plugins: { value: (plugins || []).map(loadPlugin) },
+
+    });
+};
+
+Plugins.prototype = Object.create(null);
+Plugins.constructor = Plugins;
+
+/**
+ * Returns the names of the plugins registering the specified hook.
+ * @param {String} hook
+ * @returns {String[]}
+ */
+Plugins.prototype.getPlugins = function (hook)
+{
+    return this._plugins.filter(plugin => plugin.hooks.hasOwnProperty(hook)).map(plugin => plugin.name);
+};
+
+/**
+ * Runs the specified hook of every plugin registering it, one plugin at a time in configuration order.
+ * @param {String} hook
+ * @param {Object} context Passed to the hook.
+ * @returns {Promise}
+ */
+Plugins.prototype.run = function (hook, context)
+{
+    return Promise.mapSeries(this._plugins.filter(plugin => plugin.hooks.hasOwnProperty(hook)), (plugin) =>
+    {
+        log(`Running ${chalk.cyan(hook)} hook of plugin ${chalk.green(plugin.name)}...`);
+
+        return Promise.try(() => plugin.hooks[hook](context)).catch((error) =>
+        {
+            throw new Error(`Plugin "${plugin.name}" failed in "${hook}" hook: ${(error && error.message) || error}`);
+        });
+    })
+    .return();
+};
+
+/**
+ * Returns the plan steps running the specified hook, none if no plugin registers it.
+ * @param {String} hook
+ * @param {String} description
+ * @param {(Object|Function)} context Passed to the hook, or a function returning it when the step runs.
+ * @returns {Object[]}
+ */
+Plugins.prototype.getSteps = function (hook, description, context)
+{
+    const plugins = this.getPlugins(hook);
+
+    if (plugins.length === 0)
+    {
+        return [];
+    }
+
+    return [plan.step('hook', description, { hook, plugins }, () => this.run(hook, _.isFunction(context) ? context() : context))];
+};
+
+/**
+ * Loads the specified plugins.
+ * @param {Array} [plugins] Plugins, see loadPlugin.
+ * @returns {Plugins}
+ */
+const load = function (plugins)
+{
+    return new Plugins(plugins);
+};
+
+module.exports = {
+    HOOKS,
+    load,
+};
@@ -16,789 +16,428 @@
 
 'use strict';
 
+const _ = require('lodash');
+
 /**
- * Supported host products by family.
+ * Version of the host data format supported by this module.
  */
-const HOSTS = Object.freeze({
-    'cc2022': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { 'min': '23.0', 'max': '23.9' },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop 2022.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { 'min': '26.0', 'max': '26.9' },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { 'min': '17.0', 'max': '17.9' },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign 2022.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { 'min': '22.0', 'max': '22.9' },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate 2022.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { 'min': '18.0', 'max': '18.9' },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects 2022.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { 'min': '15.0', 'max': '15.9' },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro 2022.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { 'min': '10.0', 'max': '10.9' },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude 2022.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { 'min': '22.0', 'max': '22.9' },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver 2022.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { 'min': '17.0', 'max': '17.9' },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy 2022.app' },
-            x64: true
-        }
-    },
-
-    'cc2021': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { 'min': '22.0', 'max': '22.9' },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop 2021.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { 'min': '25.0', 'max': '25.9' },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { 'min': '16.0', 'max': '16.9' },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign 2021.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { 'min': '21.0', 'max': '21.9' },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate 2021.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { 'min': '17.0', 'max': '17.9' },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects 2021.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { 'min': '14.0', 'max': '14.9' },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro 2021.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { 'min': '9.0', 'max': '9.9' },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude 2021.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { 'min': '21.0', 'max': '21.9' },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver 2021.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { 'min': '16.0', 'max': '16.9' },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy 2021.app' },
-            x64: true
-        }
-    },
-
-    'cc2020': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 21.0, max: 21.9 },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop 2020.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 24.0, max: 24.9 },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign 2020.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { min: 20.0, max: 20.9 },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate 2020.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 17.0, max: 17.9 },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects 2020.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro 2020.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 9.0, max: 9.9 },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude 2020.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 20.0, max: 20.9 },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver 2020.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy 2020.app' },
-            x64: true
-        },
-        'bridge': {
-            familyname: 'Bridge',
-            name: 'Bridge',
-            ids: ['KBRG'],
-            version: { min: 10.0, max: 10.9 },
-            bin: { 'win': 'Bridge.exe', 'mac': 'Adobe Bridge 2020.app' },
-            x64: true
-        }
-    },
-
-    'cc2019': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 20.0, max: 20.9 },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop CC 2019.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 23.0, max: 23.9 },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator CC 2019.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign CC 2019.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { min: 19.0, max: 19.9 },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate CC 2019.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 16.0, max: 16.9 },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects CC 2019.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 13.0, max: 13.9 },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro CC 2019.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 8.0, max: 8.9 },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude CC 2019.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 19.0, max: 19.9 },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver CC 2019.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy CC 2019.app' },
-            x64: true
-        },
-        'bridge': {
-            familyname: 'Bridge',
-            name: 'Bridge',
-            ids: ['KBRG'],
-            version: { min: 9.0, max: 9.9 },
-            bin: { 'win': 'Bridge.exe', 'mac': 'Adobe Bridge CC 2019.app' },
-            x64: true
-        }
-    },
-
-    'cc2018': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 19.0, max: 19.9 },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop CC 2018.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 22.0, max: 22.9 },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator CC 2018.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 13.0, max: 13.9 },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign CC 2018.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { min: 18.0, max: 18.9 },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate CC 2018.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects CC 2018.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 12.0, max: 12.9 },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro CC 2018.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 7.0, max: 7.9 },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude CC 2018.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 18.0, max: 18.9 },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver CC 2018.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 13.0, max: 13.9 },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy CC 2018.app' },
-            x64: true
-        },
-        'bridge': {
-            familyname: 'Bridge',
-            name: 'Bridge',
-            ids: ['KBRG'],
-            version: { min: 8.0, max: 8.9 },
-            bin: { 'win': 'Bridge.exe', 'mac': 'Adobe Bridge CC 2018.app' },
-            x64: true
+const DATA_VERSION = 1;
+
+/**
+ * Built-in host data (see res/hosts.json):
+ * - products: information shared by all the releases of a product (i.e. "debugPortOffset", added
+ *   to the base debug port of an extension so that it can be debugged in multiple products at the same time).
+ * - families: information about each family:
+ *   - released: release date ("YYYY-MM"), which determines the chronological order of families.
+ *   - manifest: version of the bundle manifest (ExtensionManifest "Version" attribute).
+ *   - csxs: CSXS runtime version required by the family.
+ *   - debugMode: CSXS versions whose preferences hold the "PlayerDebugMode" flag read by the family
+ *     (i.e. "com.adobe.CSXS.9.plist" on macOS or "HKEY_CURRENT_USER\Software\Adobe\CSXS.9" on Windows).
+ *   - bundleTemplate: optional default bundle manifest template, defaults to "manifest.bundle.<family>.xml".
+ *   - products: supported host products, with numeric version ranges.
+ */
+const BUILTIN_DATA = require('../res/hosts.json');
+
+/**
+ * Normalizes a version number, which might be specified as a string.
+ * Versions are "major.minor" numbers, strings with more components (i.e. "17.0.2") are
+ * rejected, as they can't be compared as numbers.
+ * @param {(Number|String)} version
+ * @param {String} description Used in error messages.
+ * @returns {(Number|null)}
+ */
+function normalizeVersion(version, description)
+{
+    if (version === null || version === undefined)
+    {
+        return null;
+    }
+
+    const number = (typeof version === 'number') ? version : (/^\s*\d+(\.\d+)?\s*$/.test(version) ? parseFloat(version) : NaN);
+
+    if (!Number.isFinite(number))
+    {
+        throw new Error(`Invalid version "${version}" for ${description}.`);
+    }
+
+    return number;
+};
+
+/**
+ * Makes sure host data is complete and normalized.
+ * @param {Object} data
+ */
+function normalize(data)
+{
+    _.forOwn(data.families, (family, familyName) =>
+    {
+        if (typeof family.manifest !== 'string' || typeof family.csxs !== 'string')
+        {
+            throw new Error(`Invalid host data for family "${familyName}": "manifest" and "csxs" versions are required.`);
         }
-    },
-
-    'cc2017': {
-        'photoshop': {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 18.0, max: 18.9 },
-            bin: { 'win': 'Photoshop.exe', 'mac': 'Adobe Photoshop CC 2017.app' },
-            x64: true
-        },
-        'illustrator': {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 21.0, max: 21.9 },
-            bin: { 'win': 'Support Files/Contents/Windows/Illustrator.exe', 'mac': 'Adobe Illustrator CC 2017.app' },
-            x64: true
-        },
-        'indesign': {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 12.0, max: 12.9 },
-            bin: { 'win': 'InDesign.exe', 'mac': 'Adobe InDesign CC 2017.app' },
-            x64: true
-        },
-        'flash': {
-            familyname: 'Flash',
-            name: 'Animate',
-            ids: ['FLPR'],
-            version: { min: 16.0, max: 16.9 },
-            bin: { 'win': 'Animate.exe', 'mac': 'Adobe Animate CC 2017.app' },
-            x64: true
-        },
-        'aftereffects': {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { 'win': 'Support Files/AfterFX.exe', 'mac': 'Adobe After Effects CC 2017.app' },
-            x64: true
-        },
-        'premiere': {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 11.0, max: 11.9 },
-            bin: { 'win': 'Adobe Premiere Pro.exe', 'mac': 'Adobe Premiere Pro CC 2017.app' },
-            x64: true
-        },
-        'prelude': {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 6.0, max: 6.9 },
-            bin: { 'win': 'Prelude.exe', 'mac': 'Adobe Prelude CC 2017.app' },
-            x64: false
-        },
-        'dreamweaver': {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 17.0, max: 17.9 },
-            bin: { 'win': 'Dreamweaver.exe', 'mac': 'Adobe Dreamweaver CC 2017.app' },
-            x64: false
-        },
-        'incopy': {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 12.0, max: 12.9 },
-            bin: { 'win': 'InCopy.exe', 'mac': 'Adobe InCopy CC 2017.app' },
-            x64: true
+
+        if (typeof family.released !== 'string' || !/^\d{4}-\d{2}$/.test(family.released))
+        {
+            throw new Error(`Invalid host data for family "${familyName}": "released" date is required, i.e. "2025-10".`);
         }
-    },
-
-    'cc2015.5': {
-        photoshop: {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 17.0, max: 17.9 },
-            bin: { win: 'Photoshop.exe', mac: 'Adobe Photoshop CC 2015.5.app' },
-            x64: true
-        },
-        illustrator: {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 20.0, max: 20.9 },
-            bin: { win: 'Support Files/Contents/Windows/Illustrator.exe', mac: 'Adobe Illustrator CC 2015.3.app' },
-            folder: 'Adobe Illustrator CC 2015.3',
-            x64: true
-        },
-        indesign: {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 11.0, max: 11.9 },
-            bin: { win: 'InDesign.exe', mac: 'Adobe InDesign CC 2015.app' },
-            x64: true
-        },
-        flash: {
-            familyname: 'Flash',
-            name: 'Flash',
-            ids: ['FLPR'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { win: 'Flash.exe', mac: 'Adobe Flash CC 2015.app' },
-            folder: 'Adobe Flash CC 2015.2',
-            x64: true
-        },
-        aftereffects: {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 13.5, max: 13.9 },
-            bin: { win: 'Support Files/AfterFX.exe', mac: 'Adobe After Effects CC 2015.3.app' },
-            folder: 'Adobe After Effects CC 2015.3',
-            x64: true
-        },
-        premiere: {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 10.0, max: 10.9 },
-            bin: { win: 'Adobe Premiere Pro.exe', mac: 'Adobe Premiere Pro CC 2015.app' },
-            folder: 'Adobe Premiere Pro CC 2015.3',
-            x64: true
-        },
-        prelude: {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 5.0, max: 5.9 },
-            bin: { win: 'Prelude.exe', mac: 'Adobe Prelude CC 2015.app' },
-            folder: 'Adobe Prelude CC 2015.4',
-            x64: false
-        },
-        dreamweaver: {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { win: 'Dreamweaver.exe', mac: 'Adobe Dreamweaver CC 2015.app' },
-            x64: false
-        },
-        incopy: {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 11.0, max: 11.9 },
-            bin: { win: 'InCopy.exe', mac: 'Adobe InCopy CC 2015.app' },
-            x64: true
+
+        if (familyName.indexOf('..') > -1 || /^[<>]/.test(familyName))
+        {
+            throw new Error(`Invalid family name "${familyName}".`);
         }
-    },
-
-    'cc2015': {
-        photoshop: {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 16.0, max: 16.9 },
-            bin: { win: 'Photoshop.exe', mac: 'Adobe Photoshop CC 2015.app' },
-            x64: true
-        },
-        illustrator: {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 19.0, max: 19.9 },
-            bin: { win: 'Support Files/Contents/Windows/Illustrator.exe', mac: 'Adobe Illustrator CC 2015.app' },
-            x64: true
-        },
-        indesign: {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 11.0, max: 11.9 },
-            bin: { win: 'InDesign.exe', mac: 'Adobe InDesign CC 2015.app' },
-            x64: true
-        },
-        flash: {
-            familyname: 'Flash',
-            name: 'Flash',
-            ids: ['FLPR'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { win: 'Flash.exe', mac: 'Adobe Flash CC 2015.app' },
-            x64: true
-        },
-        aftereffects: {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 13.5, max: 13.9 },
-            bin: { win: 'Support Files/AfterFX.exe', mac: 'Adobe After Effects CC 2015.app' },
-            x64: true
-        },
-        premiere: {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 9.0, max: 9.9 },
-            bin: { win: 'Adobe Premiere Pro.exe', mac: 'Adobe Premiere Pro CC 2015.app' },
-            x64: true
-        },
-        prelude: {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 4.0, max: 4.9 },
-            bin: { win: 'Prelude.exe', mac: 'Adobe Prelude CC 2015.app' },
-            x64: false
-        },
-        dreamweaver: {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { win: 'Dreamweaver.exe', mac: 'Adobe Dreamweaver CC 2015.app' },
-            x64: false
-        },
-        incopy: {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 11.0, max: 11.9 },
-            bin: { win: 'InCopy.exe', mac: 'Adobe InCopy CC 2015.app' },
-            x64: true
+
+        if (!Array.isArray(family.debugMode))
+        {
+            family.debugMode = [parseInt(family.csxs, 10)];
         }
-    },
-
-    'cc2014': {
-        photoshop: {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 15.0, max: 15.9 },
-            bin: { win: 'Photoshop.exe', mac: 'Adobe Photoshop CC 2014.app' },
-            x64: true
-        },
-        illustrator: {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 18.0, max: 18.9 },
-            bin: { win: 'Support Files/Contents/Windows/Illustrator.exe', mac: 'Adobe Illustrator CC 2014.app' },
-            x64: true
-        },
-        indesign: {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 10.0, max: 10.9 },
-            bin: { win: 'InDesign.exe', mac: 'Adobe InDesign CC 2014.app' },
-            x64: true
-        },
-        flash: {
-            familyname: 'Flash',
-            name: 'Flash',
-            ids: ['FLPR'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { win: 'Flash.exe', mac: 'Adobe Flash CC 2014.app' },
-            x64: true
-        },
-        aftereffects: {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 13.0, max: 13.4 },
-            bin: { win: 'Support Files/AfterFX.exe', mac: 'Adobe After Effects CC 2014.app' },
-            x64: true
-        },
-        premiere: {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 8.0, max: 8.9 },
-            bin: { win: 'Adobe Premiere Pro.exe', mac: 'Adobe Premiere Pro CC 2014.app' },
-            x64: true
-        },
-        prelude: {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 3.0, max: 3.9 },
-            bin: { win: 'Prelude.exe', mac: 'Adobe Prelude CC 2014.app' },
-            x64: false
-        },
-        dreamweaver: {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { win: 'Dreamweaver.exe', mac: 'Adobe Dreamweaver CC 2014.app' },
-            x64: false
-        },
-        incopy: {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 10.0, max: 10.9 },
-            bin: { win: 'InCopy.exe', mac: 'Adobe InCopy CC 2014.app' },
-            x64: true
+
+        family.products = family.products || {};
+
+        _.forOwn(family.products, (host, product) =>
+        {
+            const description = `"${product}" (${familyName})`;
+
+            if (typeof host.name !== 'string' || !Array.isArray(host.ids) || host.ids.length === 0 || !host.version)
+            {
+                throw new Error(`Invalid host data for ${description}: "name", "ids" and "version" are required.`);
+            }
+
+            host.familyname = host.familyname || host.name.replace(/\s+/g, '');
+            host.bin = host.bin || {};
+            host.version = {
+                min: normalizeVersion(host.version.min, description),
+                max: normalizeVersion(host.version.max, description),
+            };
+
+            if (host.version.min === null)
+            {
+                throw new Error(`Invalid host data for ${description}: minimum version is required.`);
+            }
+        });
+    });
+};
+
+/**
+ * Compares two dotted version numbers (i.e. "23.5.1"), missing components count as zero.
+ * @param {(String|Number)} a
+ * @param {(String|Number)} b
+ * @returns {Number}
+ */
+function compareVersions(a, b)
+{
+    const left = String(a).split('.').map(part => parseInt(part, 10) || 0),
+          right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++)
+    {
+        const difference = (left[i] || 0) - (right[i] || 0);
+
+        if (difference !== 0)
+        {
+            return difference;
         }
-    },
-
-    'cc': {
-        photoshop: {
-            familyname: 'Photoshop',
-            name: 'Photoshop',
-            ids: ['PHXS', 'PHSP'],
-            version: { min: 14.0, max: 14.9 },
-            bin: { win: 'Photoshop.exe', mac: 'Adobe Photoshop CC.app' },
-            x64: true
-        },
-        illustrator: {
-            familyname: 'Illustrator',
-            name: 'Illustrator',
-            ids: ['ILST'],
-            version: { min: 17.0, max: 17.9 },
-            bin: { win: 'Support Files/Contents/Windows/Illustrator.exe', mac: 'Adobe Illustrator CC.app' },
-            x64: true
-        },
-        indesign: {
-            familyname: 'InDesign',
-            name: 'InDesign',
-            ids: ['IDSN'],
-            version: { min: 9.0, max: 9.9 },
-            bin: { win: 'InDesign.exe', mac: 'Adobe InDesign CC.app' },
-            x64: true
-        },
-        flash: {
-            familyname: 'Flash',
-            name: 'Flash',
-            ids: ['FLPR'],
-            version: { min: 13.0, max: 13.9 },
-            bin: { win: 'Flash.exe', mac: 'Adobe Flash CC.app' },
-            x64: true
-        },
-        aftereffects: {
-            familyname: 'AfterEffects',
-            name: 'After Effects',
-            ids: ['AEFT'],
-            version: { min: 12.0, max: 12.9 },
-            bin: { win: 'Support Files/AfterFX.exe', mac: 'Adobe After Effects CC.app' },
-            x64: true
-        },
-        premiere: {
-            familyname: 'Premiere',
-            name: 'Premiere Pro',
-            ids: ['PPRO'],
-            version: { min: 7.0, max: 7.9 },
-            bin: { win: 'Adobe Premiere Pro.exe', mac: 'Adobe Premiere Pro CC.app' },
-            x64: true
-        },
-        prelude: {
-            familyname: 'Prelude',
-            name: 'Prelude',
-            ids: ['PRLD'],
-            version: { min: 2.0, max: 2.9 },
-            bin: { win: 'Prelude.exe', mac: 'Adobe Prelude CC.app' },
-            x64: false
-        },
-        dreamweaver: {
-            familyname: 'Dreamweaver',
-            name: 'Dreamweaver',
-            ids: ['DRWV'],
-            version: { min: 13.0, max: 13.9 },
-            bin: { win: 'Dreamweaver.exe', mac: 'Adobe Dreamweaver CC.app' },
-            x64: false
-        },
-        incopy: {
-            familyname: 'InCopy',
-            name: 'InCopy',
-            ids: ['AICY'],
-            version: { min: 9.0, max: 9.9 },
-            bin: { win: 'InCopy.exe', mac: 'Adobe InCopy CC.app' },
-            x64: true
+    }
+
+    return 0;
+};
+
+/**
+ * Formats a version number for manifest and MXI files, keeping its full precision.
+ * Whole numbers get a single decimal, i.e. 23 -> "23.0".
+ * @param {(String|Number)} version
+ * @returns {String}
+ */
+const formatVersion = function (version)
+{
+    if (typeof version === 'number')
+    {
+        return Number.isInteger(version) ? version.toFixed(1) : String(version);
+    }
+
+    return String(version);
+};
+
+/**
+ * Parses a product version constraint:
+ * - "22.3" or ">=22.3": the version and all the later ones.
+ * - "23.0..25.9" or [23.0, 25.9]: the versions between the two, inclusive.
+ * @param {(String|Number|Array)} constraint
+ * @returns {{ min: String, max: (String|null) }} Lowest and highest version, "max" is null if open-ended.
+ */
+const parseVersionConstraint = function (constraint)
+{
+    let min, max;
+
+    if (Array.isArray(constraint))
+    {
+        min = constraint[0];
+        max = (constraint.length > 1) ? constraint[1] : null;
+    }
+    else if (typeof constraint === 'number')
+    {
+        min = constraint;
+        max = null;
+    }
+    else if (typeof constraint === 'string')
+    {
+        const value = constraint.trim().replace(/^>=/, ''),
+              parts = value.split('..');
+
+        min = parts[0];
+        max = (parts.length > 1 && parts[1].length > 0) ? parts[1] : null;
+    }
+
+    const isVersion = version => (typeof version === 'number' && version >= 0) || (typeof version === 'string' && /^\d+(\.\d+)*$/.test(version.trim()));
+
+    if (!isVersion(min) || (max !== null && max !== undefined && !isVersion(max)))
+    {
+        throw new Error(`Invalid version constraint ${JSON.stringify(constraint)}, expected i.e. '>=22.3' or [23.0, 25.9].`);
+    }
+
+    min = formatVersion((typeof min === 'string') ? min.trim() : min);
+    max = (max === null || max === undefined) ? null : formatVersion((typeof max === 'string') ? max.trim() : max);
+
+    if (max !== null && compareVersions(min, max) > 0)
+    {
+        throw new Error(`Invalid version constraint ${JSON.stringify(constraint)}, '${min}' is higher than '${max}'.`);
+    }
+
+    return { min, max };
+};
+
+/**
+ * Host data in use by a cepy instance: the built-in data, merged with the overrides from its configuration.
+ *
+ * Overrides use the same format as res/hosts.json (without "version"): families and products
+ * are added, or merged with the built-in ones if they already exist. Families are sorted by
+ * release date.
+ * @class
+ * @param {Object} [overrides] Host data overrides (i.e. the "hosts" configuration key).
+ */
+function Hosts(overrides)
+{
+    if (BUILTIN_DATA.version !== DATA_VERSION)
+    {
+        throw new Error(`Unsupported host data version ${BUILTIN_DATA.version}.`);
+    }
+
+    const data = _.merge(_.cloneDeep(_.omit(BUILTIN_DATA, 'version')), _.cloneDeep(overrides || {}));
+
+    normalize(data);
+
+    const families = _.mapValues(data.families, family => _.omit(family, 'products'));
+
+    Object.defineProperties(this, {
+
+        /** Information about each family, without its products. */
+        _families: { value: families },
+
+        /** Products of each family. */
+        _hosts: { value: _.mapValues(data.families, family => family.products) },
+
+        /** Information shared by all the releases of each product. */
+        _products: { value: data.products || {} },
+
+        /** Family names, from oldest to newest. */
+        _order: { value: _.sortBy(Object.keys(families), family => families[family].released) },
+
+    });
+};
+
+Hosts.prototype = Object.create(null);
+Hosts.constructor = Hosts;
+
+/**
+ * Gets information about a single family.
+ * @param {String} family
+ * @returns {Object}
+ */
+Hosts.prototype.getFamily = function (family)
+{
+    if (!this._families.hasOwnProperty(family))
+    {
+        throw new Error(`Unknown product family '${family}'.`);
+    }
+
+    return this._families[family];
+};
+
+/**
+ * Returns the CSXS versions whose "PlayerDebugMode" flag needs to be set for the specified families.
+ * @param {(String|String[])} [families] Defaults to all the known families.
+ * @returns {Number[]} CSXS versions, sorted.
+ */
+Hosts.prototype.getDebugModeVersions = function (families)
+{
+    if (families === undefined || families === null)
+    {
+        families = this._order;
+    }
+
+    const versions = new Set();
+
+    for (const family of [].concat(families))
+    {
+        this.getFamily(family).debugMode.forEach(version => versions.add(version));
+    }
+
+    return Array.from(versions).sort((a, b) => a - b);
+};
+
+/**
+ * Returns the families reading the "PlayerDebugMode" flag of the specified CSXS version.
+ * @param {Number} version
+ * @returns {String[]}
+ */
+Hosts.prototype.getDebugModeFamilies = function (version)
+{
+    return this._order.filter(family => this._families[family].debugMode.indexOf(version) > -1);
+};
+
+/**
+ * Compares two family names, returning a negative number if the first family is
+ * older than the second one, a positive number if newer and zero if equal.
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+Hosts.prototype.compareFamilies = function (a, b)
+{
+    this.getFamily(a);
+    this.getFamily(b);
+
+    return this._order.indexOf(a) - this._order.indexOf(b);
+};
+
+/**
+ * Returns the names of all the known families, from oldest to newest.
+ * @returns {String[]}
+ */
+Hosts.prototype.getFamilies = function ()
+{
+    return this._order.slice();
+};
+
+/**
+ * Parses a single family expression:
+ * - ">=cc2020" or "cc2020..": the family and all the later ones (open-ended).
+ * - "cc2019..cc2022": the families between the two, inclusive.
+ * - "<=cc2022" or "..cc2022": the family and all the earlier ones.
+ * - "cc2020": open-ended if "open" is true, otherwise just the family itself.
+ * @param {String} expression
+ * @param {Boolean} open Whether a plain family name is open-ended.
+ * @returns {{ min: String, max: (String|null) }} Lowest and highest family, "max" is null if open-ended.
+ * @private
+ */
+Hosts.prototype._parseExpression = function (expression, open)
+{
+    const value = expression.trim().toLowerCase();
+    let min, max;
+
+    if (value.startsWith('>='))
+    {
+        min = value.substr(2);
+        max = null;
+    }
+    else if (value.startsWith('<='))
+    {
+        min = this._order[0];
+        max = value.substr(2);
+    }
+    else if (value.indexOf('..') > -1)
+    {
+        const parts = value.split('..');
+        min = parts[0] || this._order[0];
+        max = parts[1] || null;
+    }
+    else
+    {
+        min = value;
+        max = (open) ? null : value;
+    }
+
+    min = min.trim();
+    max = (max === null) ? null : max.trim();
+
+    for (const family of [min, max])
+    {
+        if (family !== null && !this._families.hasOwnProperty(family))
+        {
+            throw new Error(`Unknown product family '${family}'${(family !== value) ? ` in '${expression}'` : ''}.`);
         }
     }
-});
+
+    if (max !== null && this.compareFamilies(min, max) > 0)
+    {
+        throw new Error(`Invalid family range '${expression}', '${min}' is newer than '${max}'.`);
+    }
+
+    return { min, max };
+};
+
+/**
+ * Returns the families matched by an expression (see _parseExpression), from oldest to newest.
+ * @param {String} expression
+ * @param {Boolean} open
+ * @returns {String[]}
+ * @private
+ */
+Hosts.prototype._expandExpression = function (expression, open)
+{
+    const range = this._parseExpression(expression, open);
+    return this._order.slice(this._order.indexOf(range.min), (range.max === null) ? this._order.length : this._order.indexOf(range.max) + 1);
+};
+
+/**
+ * Parses the families targeted by a build or extension.
+ *
+ * A single family or open-ended expression (i.e. "cc2020" or ">=cc2020") is returned as the
+ * minimum family name, meaning "this family and later ones". Closed ranges ("cc2019..cc2022")
+ * and arrays are returned as an array of families, from oldest to newest. Within arrays,
+ * family names stand for themselves, while open-ended expressions expand to every known
+ * later family.
+ * @param {(String|String[])} families
+ * @returns {(String|String[])}
+ */
+Hosts.prototype.parseFamilies = function (families)
+{
+    if (typeof families === 'string')
+    {
+        const range = this._parseExpression(families, true);
+        return (range.max === null) ? range.min : this._expandExpression(families, true);
+    }
+
+    const result = _.uniq(_.flatMap(families, family => this._expandExpression(family, false)));
+    return result.sort((a, b) => this.compareFamilies(a, b));
+};
+
+/**
+ * Returns the list of families targeted by parsed families (see parseFamilies).
+ * A minimum family expands to every known later family.
+ * @param {(String|String[])} families
+ * @returns {String[]}
+ */
+Hosts.prototype.expandFamilies = function (families)
+{
+    if (typeof families === 'string')
+    {
+        this.getFamily(families);
+        return this._order.slice(this._order.indexOf(families));
+    }
+
+    return families.slice();
+};
+
+/**
+ * Whether a product is part of a family.
+ * @param {String} product
+ * @param {String} family
+ * @returns {Boolean}
+ */
+Hosts.prototype.hasProduct = function (product, family)
+{
+    return this._hosts.hasOwnProperty(family) && this._hosts[family].hasOwnProperty(product);
+};
 
 /**
  * Gets information about a single product.
@@ -806,19 +445,19 @@ const HOSTS = Object.freeze({
  * @param {String} family
  * @returns {Object}
  */
-const getProduct = function (product, family)
+Hosts.prototype.getProduct = function (product, family)
 {
-    if (!HOSTS.hasOwnProperty(family))
+    if (!this._hosts.hasOwnProperty(family))
     {
         throw new Error(`Unknown product family '${family}'.`);
     }
 
-    if (!HOSTS[family].hasOwnProperty(product))
+    if (!this._hosts[family].hasOwnProperty(product))
     {
         throw new Error(`Unknown product '${product} (${family})`);
     }
 
-    return HOSTS[family][product];
+    return this._hosts[family][product];
 };
 
 /**
@@ -827,13 +466,22 @@ const getProduct = function (product, family)
  * @param {Array} families
  * @returns {Object}
  */
-const getVersionRange = function (product, families)
+Hosts.prototype.getVersionRange = function (product, families)
 {
     let min, max, host;
 
-    for (let i = 0; i < families.length; i++)
+    // Products might not be part of every family in a range (i.e. discontinued or newer ones)
+    const releases = families.filter(family => this.hasProduct(product, family));
+
+    if (releases.length === 0)
     {
-        host = getProduct(product, families[i]);
+        // Throws a meaningful error
+        this.getProduct(product, families[0]);
+    }
+
+    for (let i = 0; i < releases.length; i++)
+    {
+        host = this.getProduct(product, releases[i]);
 
         if (!min || host.version.min < min)
         {
@@ -849,11 +497,91 @@ const getVersionRange = function (product, families)
     return { min: min, max: max };
 };
 
+/**
+ * Returns the names of all the known products.
+ * @returns {String[]}
+ */
+Hosts.prototype.getProducts = function ()
+{
+    const products = new Set();
+
+    for (const family of Object.keys(this._hosts))
+    {
+        Object.keys(this._hosts[family]).forEach(product => products.add(product));
+    }
+
+    return Array.from(products);
+};
+
+/**
+ * Returns every known release of a product, one for each family it is part of.
+ * @param {String} product
+ * @returns {Array.<{ family: String, host: Object }>}
+ */
+Hosts.prototype.getReleases = function (product)
+{
+    return this._order
+        .filter(family => this._hosts[family].hasOwnProperty(product))
+        .map(family => ({ family, host: this._hosts[family][product] }));
+};
+
+/**
+ * Returns the families, from oldest to newest, whose product versions overlap a version constraint.
+ * @param {String} product
+ * @param {{ min: String, max: (String|null) }} constraint See parseVersionConstraint.
+ * @returns {String[]}
+ */
+Hosts.prototype.findFamilies = function (product, constraint)
+{
+    // Maximum versions in host data only have major and minor numbers, i.e. 23.9 includes 23.9.1
+    const min = constraint.min.split('.').slice(0, 2).join('.');
+
+    return this.getReleases(product)
+        .filter(release => compareVersions(release.host.version.max, min) >= 0
+            && (constraint.max === null || compareVersions(release.host.version.min, constraint.max) <= 0))
+        .map(release => release.family);
+};
+
+/**
+ * Finds the family an installed product version belongs to.
+ * Only major and minor version numbers are taken into account.
+ * @param {String} product
+ * @param {String} version Product version, i.e. "23.5.1".
+ * @returns {(String|null)}
+ */
+Hosts.prototype.findFamily = function (product, version)
+{
+    const majorMinor = String(version).split('.').slice(0, 2).join('.');
+
+    const release = this.getReleases(product).find(release =>
+    {
+        return compareVersions(majorMinor, release.host.version.min) >= 0
+            && compareVersions(majorMinor, release.host.version.max) <= 0;
+    });
+
+    return (release) ? release.family : null;
+};
+
+/**
+ * Returns the debug port offset of a product.
+ * @param {String} product
+ * @returns {Number}
+ */
+Hosts.prototype.getDebugPortOffset = function (product)
+{
+    if (!this._products.hasOwnProperty(product) || !Number.isInteger(this._products[product].debugPortOffset))
+    {
+        throw new Error(`Unknown product '${product}'`);
+    }
+
+    return this._products[product].debugPortOffset;
+};
+
 /**
  * Maps the passed product to its family name equivalent (needed in MXI files).
  * @returns {string}
  */
-const mapToFamilyName = function (product)
+Hosts.prototype.mapToFamilyName = function (product)
 {
     // CC products need to be specified using the following mapping
     // http://helpx.adobe.com/extension-manager/kb/general-mxi-elements.html#id_64891
@@ -864,12 +592,30 @@ const mapToFamilyName = function (product)
         'Photoshop': 'Photoshop,Photoshop32,Photoshop64'
     };
 
-    const productFamilyName = getProduct(product, 'cc').familyname;
+    const releases = this.getReleases(product);
+
+    if (releases.length === 0)
+    {
+        throw new Error(`Unknown product '${product}'`);
+    }
+
+    const productFamilyName = releases[releases.length - 1].host.familyname;
     return map[productFamilyName] || productFamilyName;
 };
 
+/**
+ * Loads the host data, merging the built-in data with the specified overrides.
+ * @param {Object} [overrides] Host data overrides (i.e. the "hosts" configuration key).
+ * @returns {Hosts}
+ */
+const load = function (overrides)
+{
+    return new Hosts(overrides);
+};
+
 module.exports = {
-    getProduct,
-    getVersionRange,
-    mapToFamilyName,
+    load,
+    compareVersions,
+    formatVersion,
+    parseVersionConstraint,
 };
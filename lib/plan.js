@@ -0,0 +1,205 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const execFile = require('child_process').execFile,
+      spawn = require('child_process').spawn,
+      chalk = require('chalk'),
+      Promise = require('bluebird'),
+      log = require('debug')('cepy');
+
+/**
+ * Operations such as "launch" and "pack" are resolved to a plan before being executed:
+ * an ordered list of steps, each one describing what it touches (paths, commands,
+ * templates, outputs) and how to execute it. Plans can be printed or serialized to JSON
+ * (the "run" function of each step is left out) without executing anything.
+ */
+
+/**
+ * Creates a plan step.
+ * @param {String} action Step type (i.e. "command", "remove", "copy", "decorate").
+ * @param {String} description Human readable description.
+ * @param {Object} details Paths, commands and any other information about what the step touches.
+ * @param {Function} run Executes the step, may return a promise.
+ * @param {Object} [options]
+ * @param {Boolean} [options.always=false] Whether the step runs even if a previous step failed (i.e. cleanup).
+ * @returns {Object}
+ */
+const step = function (action, description, details, run, options)
+{
+    return Object.assign({ action, description }, details, {
+        always: !!(options && options.always),
+        run,
+    });
+};
+
+/**
+ * Creates a step that runs a command. Arguments are passed as-is, no shell is involved.
+ * @param {String} description
+ * @param {String[]} command Command and its arguments.
+ * @param {Object} [options]
+ * @param {Boolean} [options.ignoreErrors=false] Whether a failing command should be ignored.
+ * @param {Boolean} [options.detached=false] Whether the command is started without waiting for it to exit.
+ * @param {Number} [options.delay=0] Time to wait after the command exits, in milliseconds.
+ * @param {Object} [options.env] Environment variables set for the command, in addition to the current ones.
+ * @returns {Object}
+ */
+const command = function (description, command, options)
+{
+    options = options || {};
+
+    const details = { command, detached: !!options.detached };
+
+    if (options.env)
+    {
+        details.env = options.env;
+    }
+
+    return step('command', description, details, () =>
+    {
+        const execOptions = { env: Object.assign({}, process.env, options.env) };
+        log(chalk.green(formatCommand(command, options.env)));
+
+        if (options.detached)
+        {
+            spawn(command[0], command.slice(1), Object.assign(execOptions, { detached: true, stdio: 'ignore' })).unref();
+            return;
+        }
+
+        return new Promise((resolve, reject) =>
+        {
+            execFile(command[0], command.slice(1), execOptions, (error) =>
+            {
+                if (error && !options.ignoreErrors)
+                {
+                    reject(new Error(`${description} failed: ${error.message}`));
+                }
+                else
+                {
+                    resolve();
+                }
+            });
+        })
+        .then(() => Promise.delay(options.delay || 0));
+    });
+};
+
+/**
+ * Executes the steps of a plan in order.
+ * If a step fails the following ones are skipped, except for those flagged as "always".
+ * @param {{ steps: Object[] }} plan
+ * @returns {Promise}
+ */
+const run = function (plan)
+{
+    let failure = null;
+
+    return Promise.each(plan.steps, (current) =>
+    {
+        if (failure === null || current.always)
+        {
+            return Promise.try(() => current.run()).catch((error) =>
+            {
+                failure = failure || error;
+            });
+        }
+    })
+    .then(() =>
+    {
+        if (failure !== null)
+        {
+            throw failure;
+        }
+    });
+};
+
+/**
+ * Formats a command for display.
+ * @param {String[]} command
+ * @param {Object} [env] Environment variables set for the command.
+ * @returns {String}
+ */
+function formatCommand(command, env)
+{
+    const quote = arg => (/^[\w@%+=:,./\\-]+$/.test(arg) ? arg : JSON.stringify(arg)),
+          variables = Object.keys(env || {}).map(name => `${name}=${quote(env[name])}`);
+
+    return variables.concat(command.map(quote)).join(' ');
+};
+
+/**
+ * Formats a plan as a human readable, ordered list of steps.
+ * @param {{ operation: String, steps: Object[] }} plan
+ * @returns {String}
+ */
+const format = function (plan)
+{
+    const context = ['build', 'platform'].filter(key => plan[key]).map(key => `${key} "${plan[key]}"`),
+          lines = [`Plan for "${plan.operation}"${(context.length > 0) ? ` (${context.join(', ')})` : ''}:`];
+
+    plan.steps.forEach((current, i) =>
+    {
+        lines.push(`${i + 1}. ${current.description}${current.always ? ' (always)' : ''}`);
+
+        if (current.command)
+        {
+            lines.push(`     $ ${formatCommand(current.command, current.env)}`);
+        }
+
+        for (const key of ['path', 'source', 'destination', 'template', 'output'])
+        {
+            if (current[key])
+            {
+                lines.push(`     ${key}: ${current[key]}`);
+            }
+        }
+
+        for (const key of ['templates', 'outputs', 'removed', 'files', 'plugins'])
+        {
+            if (Array.isArray(current[key]) && current[key].length > 0)
+            {
+                lines.push(`     ${key}:`);
+                current[key].forEach(entry => lines.push(`       - ${entry}`));
+            }
+        }
+
+        if (current.warning)
+        {
+            lines.push(`     ${chalk.yellow(current.warning)}`);
+        }
+    });
+
+    return lines.join('\n');
+};
+
+/**
+ * Converts a plan to JSON.
+ * @param {Object} plan
+ * @returns {String}
+ */
+const toJSON = function (plan)
+{
+    return JSON.stringify(plan, (key, value) => ((key === 'run') ? undefined : value), 2);
+};
+
+module.exports = {
+    step,
+    command,
+    run,
+    format,
+    toJSON,
+};
@@ -0,0 +1,465 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+      os = require('os'),
+      execFile = require('child_process').execFile,
+      path = require('path'),
+      Promise = require('bluebird');
+
+const fs_stat = Promise.promisify(require('fs').stat);
+
+const plan = require('./plan.js'),
+      discovery = require('./discovery.js');
+
+/**
+ * Platform adapters implement the OS-specific parts of launching a build:
+ *
+ * - getExtensionsFolder(family): folder extensions are installed to, may return a promise.
+ * - getProductBinary(host, family): path to the executable of a host application.
+ * - setDebugMode(version, enabled): plan steps that set (or remove) the "PlayerDebugMode" flag
+ *   of a CSXS version.
+ * - getDebugMode(version): whether the "PlayerDebugMode" flag of a CSXS version is set, returns
+ *   a promise that resolves to true, false or null if the flag is missing, and is rejected if the
+ *   flag can't be read.
+ * - kill(binary, host): plan steps that stop a running host application.
+ * - start(binary, host): plan steps that start a host application.
+ * - getInstallRoots(): folders host applications are usually installed to.
+ * - getBinaryName(host): path to the executable of a host application, relative to its folder.
+ * - readVersion(binary): version of an installed host application, may return a promise.
+ *
+ * Steps are created through lib/plan.js, which is passed to custom adapters as the last
+ * argument of each method so that they don't need to require cepy internals.
+ */
+const METHODS = ['getExtensionsFolder', 'getProductBinary', 'setDebugMode', 'getDebugMode', 'kill', 'start', 'getInstallRoots', 'getBinaryName', 'readVersion'];
+
+/**
+ * Runs a command that reads a preference and returns its output.
+ * @param {String[]} command
+ * @param {Object} [env] Environment variables set for the command, in addition to the current ones.
+ * @param {RegExp} missing Matches the output of the command when it fails because the preference is missing.
+ * @returns {Promise.<(String|null)>} A promise that resolves to the output of the command, or null if the
+ *          preference is missing. Rejected if the command fails for any other reason.
+ */
+function readCommand(command, env, missing)
+{
+    return new Promise((resolve, reject) =>
+    {
+        execFile(command[0], command.slice(1), { env: _.assign({}, process.env, env) }, (error, stdout, stderr) =>
+        {
+            if (!error)
+            {
+                resolve(String(stdout));
+            }
+            else if (typeof error.code === 'number' && missing.test(`${stdout}\n${stderr}`))
+            {
+                resolve(null);
+            }
+            else
+            {
+                const output = String(stderr || stdout || '').trim().split(/\r?\n/)[0];
+                reject(new Error(output || ((error.code === 'ENOENT') ? `${command[0]} not found` : error.message)));
+            }
+        });
+    });
+};
+
+/**
+ * Matches the output of "reg query" (also in Wine) when a key or value doesn't exist.
+ */
+const REG_MISSING = /unable to find/i;
+
+/**
+ * Parses the output of "reg query" for the "PlayerDebugMode" value.
+ * @param {(String|null)} output
+ * @returns {(Boolean|null)}
+ */
+function parseRegQuery(output)
+{
+    const match = /PlayerDebugMode\s+REG_\w+\s+(\S+)/.exec(output || '');
+    return (match) ? match[1] === '1' : null;
+};
+
+/**
+ * Returns the name of the folder a host application is installed to.
+ * @param {Object} host
+ * @param {String} family
+ * @returns {String}
+ */
+function getProductFolderName(host, family)
+{
+    if (host.hasOwnProperty('folder'))
+    {
+        return host.folder;
+    }
+
+    const familyFolder = (family === 'cc') ? 'CC' : `CC ${family.substr(2)}`;
+    return `Adobe ${host.name} ${familyFolder}`;
+};
+
+/**
+ * Returns the extensions folder relative to the user (or system) application data folder.
+ * @param {String} family
+ * @returns {String}
+ */
+function getCEPFolder(family)
+{
+    return (family === 'cc') ? 'Adobe/CEPServiceManager4/extensions' : 'Adobe/CEP/extensions';
+};
+
+/**
+ * macOS adapter.
+ * @returns {Object}
+ */
+const darwin = function ()
+{
+    return {
+        name: 'darwin',
+
+        getExtensionsFolder(family)
+        {
+            const userFolder = path.join(process.env['HOME'], '/Library/Application Support', getCEPFolder(family));
+
+            // Fallback to system folder if user folder doesn't exist
+            return fs_stat(userFolder)
+            .then(() => userFolder)
+            .catch(() => path.join('/Library/Application Support', getCEPFolder(family)));
+        },
+
+        getProductBinary(host, family)
+        {
+            return path.join('/Applications', getProductFolderName(host, family), host.bin.mac);
+        },
+
+        setDebugMode(version, enabled)
+        {
+            const plist = path.join(process.env['HOME'], `/Library/Preferences/com.adobe.CSXS.${version}.plist`);
+
+            return [
+                (enabled)
+                    ? plan.command(`Enable debug mode for CSXS.${version}`, ['defaults', 'write', plist, 'PlayerDebugMode', '1'])
+                    // Deleting a missing flag fails, which is fine
+                    : plan.command(`Disable debug mode for CSXS.${version}`, ['defaults', 'delete', plist, 'PlayerDebugMode'], { ignoreErrors: true }),
+
+                // Flush preference cache to support Mac OS X 10.9 and higher
+                plan.command('Flush preference cache', ['pkill', '-9', 'cfprefsd'], { ignoreErrors: true }),
+            ];
+        },
+
+        getDebugMode(version)
+        {
+            const plist = path.join(process.env['HOME'], `/Library/Preferences/com.adobe.CSXS.${version}.plist`);
+            return readCommand(['defaults', 'read', plist, 'PlayerDebugMode'], null, /does not exist/i).then(output => ((output === null) ? null : output.trim() === '1'));
+        },
+
+        kill(binary, host)
+        {
+            return [plan.command(`Kill ${host.name} process`, ['killall', path.basename(host.bin.mac, '.app')], { ignoreErrors: true })];
+        },
+
+        start(binary, host)
+        {
+            return [plan.command(`Launch ${host.name}`, ['open', '-F', '-n', binary], { detached: true })];
+        },
+
+        getInstallRoots()
+        {
+            return ['/Applications', path.join(process.env['HOME'], 'Applications')];
+        },
+
+        getBinaryName(host)
+        {
+            return host.bin.mac;
+        },
+
+        readVersion(binary)
+        {
+            return discovery.readPlistVersion(binary);
+        },
+    };
+};
+
+/**
+ * Windows adapter.
+ * @returns {Object}
+ */
+const win32 = function ()
+{
+    return {
+        name: 'win32',
+
+        getExtensionsFolder(family)
+        {
+            return path.join(process.env['APPDATA'], getCEPFolder(family));
+        },
+
+        getProductBinary(host, family)
+        {
+            let productFolder = path.join(process.env['PROGRAMFILES'], '/Adobe', getProductFolderName(host, family));
+
+            // On Windows X64, CC apps have " (64 Bit)" added to their folder path if they are installed with 64bit support
+            // This is no longer the case starting from CC2014
+            if (family === 'cc' && host.x64 && process.arch === 'x64')
+            {
+                productFolder += ' (64 Bit)';
+            }
+
+            return path.join(productFolder, host.bin.win);
+        },
+
+        setDebugMode(version, enabled)
+        {
+            const key = `HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.${version}`;
+
+            if (enabled)
+            {
+                return [plan.command(`Enable debug mode for CSXS.${version}`, ['reg', 'add', key, '/v', 'PlayerDebugMode', '/d', '1', '/f'])];
+            }
+
+            return [plan.command(`Disable debug mode for CSXS.${version}`, ['reg', 'delete', key, '/v', 'PlayerDebugMode', '/f'], { ignoreErrors: true })];
+        },
+
+        getDebugMode(version)
+        {
+            return readCommand(['reg', 'query', `HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.${version}`, '/v', 'PlayerDebugMode'], null, REG_MISSING).then(parseRegQuery);
+        },
+
+        kill(binary, host)
+        {
+            return [plan.command(`Kill ${host.name} process`, ['Taskkill', '/IM', path.basename(binary)], { ignoreErrors: true })];
+        },
+
+        start(binary, host)
+        {
+            return [plan.command(`Launch ${host.name}`, ['explorer.exe', binary], { detached: true })];
+        },
+
+        getInstallRoots()
+        {
+            return ['PROGRAMFILES', 'PROGRAMFILES(X86)', 'PROGRAMW6432']
+                .filter(variable => process.env[variable])
+                .map(variable => path.join(process.env[variable], 'Adobe'));
+        },
+
+        getBinaryName(host)
+        {
+            return host.bin.win;
+        },
+
+        readVersion(binary)
+        {
+            return discovery.readExecutableVersion(binary);
+        },
+    };
+};
+
+/**
+ * Linux adapter, for host applications installed in a Wine prefix.
+ * @param {Object} [options]
+ * @param {String} [options.prefix] Wine prefix, defaults to WINEPREFIX or "~/.wine".
+ * @param {String} [options.user] Windows user name in the prefix, defaults to the current user.
+ * @param {String} [options.binary='wine'] Wine executable.
+ * @returns {Object}
+ */
+const wine = function (options)
+{
+    options = options || {};
+
+    const prefix = path.resolve(options.prefix || process.env['WINEPREFIX'] || path.join(os.homedir(), '.wine')),
+          user = options.user || process.env['USER'] || os.userInfo().username,
+          binary = options.binary || 'wine',
+          env = { WINEPREFIX: prefix },
+          driveC = path.join(prefix, 'drive_c');
+
+    return {
+        name: 'wine',
+
+        getExtensionsFolder(family)
+        {
+            const userFolder = path.join(driveC, 'users', user);
+
+            // Older Wine versions use a Windows XP style profile
+            const appData = path.join(userFolder, 'AppData/Roaming');
+            return fs_stat(appData)
+            .then(() => appData)
+            .catch(() => path.join(userFolder, 'Application Data'))
+            .then(folder => path.join(folder, getCEPFolder(family)));
+        },
+
+        getProductBinary(host, family)
+        {
+            return path.join(driveC, 'Program Files/Adobe', getProductFolderName(host, family), host.bin.win);
+        },
+
+        setDebugMode(version, enabled)
+        {
+            const key = `HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.${version}`;
+
+            if (enabled)
+            {
+                return [plan.command(`Enable debug mode for CSXS.${version} in Wine registry`, [binary, 'reg', 'add', key, '/v', 'PlayerDebugMode', '/d', '1', '/f'], { env })];
+            }
+
+            return [plan.command(`Disable debug mode for CSXS.${version} in Wine registry`, [binary, 'reg', 'delete', key, '/v', 'PlayerDebugMode', '/f'], { env, ignoreErrors: true })];
+        },
+
+        getDebugMode(version)
+        {
+            return readCommand([binary, 'reg', 'query', `HKEY_CURRENT_USER\\Software\\Adobe\\CSXS.${version}`, '/v', 'PlayerDebugMode'], env, REG_MISSING).then(parseRegQuery);
+        },
+
+        kill(productBinary, host)
+        {
+            return [plan.command(`Kill ${host.name} process`, [binary, 'taskkill', '/IM', path.basename(productBinary)], { env, ignoreErrors: true })];
+        },
+
+        start(productBinary, host)
+        {
+            return [plan.command(`Launch ${host.name}`, [binary, productBinary], { env, detached: true })];
+        },
+
+        getInstallRoots()
+        {
+            return [path.join(driveC, 'Program Files/Adobe'), path.join(driveC, 'Program Files (x86)/Adobe')];
+        },
+
+        getBinaryName(host)
+        {
+            return host.bin.win;
+        },
+
+        readVersion(productBinary)
+        {
+            return discovery.readExecutableVersion(productBinary);
+        },
+    };
+};
+
+/**
+ * Built-in adapters.
+ */
+const ADAPTERS = Object.freeze({ darwin, win32, wine });
+
+/**
+ * Returns the name of the built-in adapter for the current OS.
+ * Anything that isn't Windows or macOS is assumed to run host applications through Wine.
+ * @returns {String}
+ */
+const detect = function ()
+{
+    if (process.platform.match(/^win/))
+    {
+        return 'win32';
+    }
+    else if (process.platform === 'darwin')
+    {
+        return 'darwin';
+    }
+
+    return 'wine';
+};
+
+/**
+ * Wraps a custom adapter, so that the plan helpers are passed as the last argument of each method.
+ * @param {Object} adapter
+ * @returns {Object}
+ */
+function wrapCustomAdapter(adapter)
+{
+    return _.mapValues(adapter, value => ((typeof value === 'function') ? function () { return value.call(adapter, ...arguments, plan); } : value));
+};
+
+/**
+ * Returns the platform adapter selected by configuration.
+ *
+ * Custom adapters are configured in "platform.adapters", either as objects or as paths to modules
+ * exporting one (or a function returning one, called with the platform configuration). Methods
+ * they don't implement are taken from the built-in adapter named by their "extends" property,
+ * which defaults to the one for the current OS.
+ *
+ * The returned adapter also carries the configured "installRoots" and "binaries", which are
+ * used when discovering installed host applications (see lib/discovery.js) and launching them.
+ * @param {Object} [config] Platform configuration (see defaults/config.js).
+ * @returns {Object}
+ */
+const getAdapter = function (config)
+{
+    config = config || {};
+
+    return _.assign(createAdapter(config), {
+        installRoots: config.installRoots || [],
+        binaries: config.binaries || {},
+    });
+};
+
+/**
+ * Creates the platform adapter selected by configuration.
+ * @param {Object} config Platform configuration.
+ * @returns {Object}
+ */
+function createAdapter(config)
+{
+    const name = config.adapter || detect(),
+          custom = (config.adapters || {})[name];
+
+    if (custom === undefined || custom === null)
+    {
+        if (!ADAPTERS.hasOwnProperty(name))
+        {
+            throw new Error(`Unknown platform adapter "${name}", built-in adapters are: ${Object.keys(ADAPTERS).join(', ')}.`);
+        }
+
+        return ADAPTERS[name](config[name]);
+    }
+
+    let adapter = (typeof custom === 'string') ? require(path.resolve(custom)) : custom;
+
+    if (typeof adapter === 'function')
+    {
+        adapter = adapter(config);
+    }
+
+    if (typeof adapter !== 'object' || adapter === null)
+    {
+        throw new Error(`Invalid platform adapter "${name}", expected an object.`);
+    }
+
+    const base = adapter.extends || detect();
+
+    if (!ADAPTERS.hasOwnProperty(base))
+    {
+        throw new Error(`Platform adapter "${name}" extends unknown adapter "${base}".`);
+    }
+
+    adapter = _.assign(ADAPTERS[base](config[base]), wrapCustomAdapter(_.omit(adapter, 'extends')), { name });
+
+    for (const method of METHODS)
+    {
+        if (typeof adapter[method] !== 'function')
+        {
+            throw new Error(`Platform adapter "${name}" does not implement "${method}".`);
+        }
+    }
+
+    return adapter;
+};
+
+module.exports = {
+    detect,
+    getAdapter,
+};
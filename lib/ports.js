@@ -0,0 +1,155 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chalk = require('chalk'),
+      log = require('debug')('cepy');
+
+/**
+ * Whether the specified value is a valid TCP port.
+ * @param {*} port
+ * @returns {Boolean}
+ */
+function isValidPort(port)
+{
+    return Number.isInteger(port) && port > 0 && port < 65536;
+};
+
+/**
+ * Returns the debug ports assigned to each host of each extension in a build.
+ *
+ * Unless explicitly set through the extension "debugPorts" option, ports are computed
+ * from the bundle base debug port, plus 100 for each extension and the product offset
+ * (see hosts.js). Hosts of the same product (i.e. PHXS and PHSP) share the same port.
+ * @param {Build} build An initialized build.
+ * @returns {Array.<{ build: String, extension: String, product: String, host: String, port: Number }>}
+ */
+const getDebugPorts = function (build)
+{
+    const basePort = build.bundle.debug.port,
+          entries = [];
+
+    if (!isValidPort(basePort))
+    {
+        throw new Error(`Invalid host debug port ${chalk.cyan(basePort)}.`);
+    }
+
+    build.extensions.forEach((extension, i) =>
+    {
+        const family = Array.isArray(extension.families) ? extension.families[0] : extension.families,
+              ports = extension.debugPorts || {};
+
+        for (const product of extension.products)
+        {
+            for (const host of build.hosts.getProduct(product, family).ids)
+            {
+                // Explicit ports can be set by host id or by product name
+                let port = ports.hasOwnProperty(host) ? ports[host] : ports[product];
+
+                if (port === undefined || port === null)
+                {
+                    port = basePort + (i * 100) + build.hosts.getDebugPortOffset(product);
+                }
+                else if (!isValidPort(port))
+                {
+                    throw new Error(`Invalid debug port ${chalk.cyan(port)} for host ${host} of extension "${extension.id}".`);
+                }
+
+                entries.push({ build: build.name, extension: extension.id, product, host, port });
+            }
+        }
+    });
+
+    return entries;
+};
+
+/**
+ * Finds debug ports assigned to more than one extension/product pair.
+ * @param {Object[]} entries Debug ports, as returned by getDebugPorts.
+ * @returns {Array.<{ port: Number, entries: Object[] }>}
+ */
+const findCollisions = function (entries)
+{
+    const byPort = new Map();
+
+    for (const entry of entries)
+    {
+        if (!byPort.has(entry.port))
+        {
+            byPort.set(entry.port, []);
+        }
+
+        byPort.get(entry.port).push(entry);
+    }
+
+    const collisions = [];
+
+    byPort.forEach((users, port) =>
+    {
+        // The same extension may be built for the same product by different builds
+        const owners = new Set(users.map(entry => `${entry.extension}|${entry.product}`));
+
+        if (owners.size > 1)
+        {
+            collisions.push({ port, entries: users });
+        }
+    });
+
+    return collisions;
+};
+
+/**
+ * Makes sure no debug port is shared by different extensions or products.
+ * @param {Object[]} entries Debug ports, as returned by getDebugPorts.
+ * @throws {Error} If any collision is found.
+ */
+const checkCollisions = function (entries)
+{
+    const collisions = findCollisions(entries);
+
+    if (collisions.length > 0)
+    {
+        const details = collisions.map(collision =>
+        {
+            const users = collision.entries.map(entry => `${entry.extension} (${entry.host}, build "${entry.build}")`);
+            return `    ${chalk.cyan(collision.port)}: ${users.join(', ')}`;
+        });
+
+        throw new Error(`Debug port collisions detected:\n${details.join('\n')}`);
+    }
+};
+
+/**
+ * Logs the debug URL of each extension host.
+ * @param {Object[]} entries Debug ports, as returned by getDebugPorts.
+ */
+const logDebugUrls = function (entries)
+{
+    log('Debug URLs:');
+
+    for (const entry of entries)
+    {
+        log(`    ${entry.extension} (${entry.host}): ${chalk.cyan(`http://localhost:${entry.port}`)}`);
+    }
+};
+
+module.exports = {
+    getDebugPorts,
+    findCollisions,
+    checkCollisions,
+    logDebugUrls,
+};
@@ -0,0 +1,316 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Validates values against declarative schemas (see defaults/schema.js). A schema is either:
+ * - an object describing a value:
+ *   - type: allowed type, or array of allowed types ("string", "number", "integer", "boolean",
+ *     "object", "array", "function", "null" or "any").
+ *   - enum: allowed values.
+ *   - minimum, maximum: allowed range of numbers.
+ *   - properties: schemas of the known keys of an object. Keys not listed are reported as
+ *     unknown, unless they match the "additional" schema.
+ *   - additional: schema of the keys of an object that aren't listed in "properties".
+ *   - items: schema of the items of an array.
+ *   - secret: whether the value is sensitive (i.e. a password) and should never be logged.
+ * - an array of alternative schemas: the first one whose type matches the value is used.
+ * Undefined values are always valid, as options fall back to their defaults.
+ */
+
+/**
+ * Whether a value is of the specified type.
+ * @param {*} value
+ * @param {String} type
+ * @returns {Boolean}
+ */
+function isType(value, type)
+{
+    switch (type)
+    {
+        case 'any': return true;
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return _.isPlainObject(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+};
+
+/**
+ * Returns the type of a value, as named in schemas.
+ * @param {*} value
+ * @returns {String}
+ */
+function typeOf(value)
+{
+    if (value === null)
+    {
+        return 'null';
+    }
+    else if (Array.isArray(value))
+    {
+        return 'array';
+    }
+
+    return typeof value;
+};
+
+/**
+ * Returns the types allowed by a schema.
+ * @param {(Object|Object[])} schema
+ * @returns {String[]}
+ */
+function getTypes(schema)
+{
+    return _.uniq(_.flatMap([].concat(schema), alternative => [].concat(alternative.type || 'any')));
+};
+
+/**
+ * Appends a key or an index to a JSON path, i.e. "builds.main" + "extensions" + 1.
+ * @param {String} path
+ * @param {(String|Number)} key
+ * @returns {String}
+ */
+const join = function (path, key)
+{
+    if (typeof key === 'number')
+    {
+        return `${path}[${key}]`;
+    }
+    else if (!/^[A-Za-z_$][\w$]*$/.test(key))
+    {
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+
+    return (path.length > 0) ? `${path}.${key}` : key;
+};
+
+/**
+ * Computes the edit distance between two strings.
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+function distance(a, b)
+{
+    let previous = _.range(b.length + 1);
+
+    for (let i = 1; i <= a.length; i++)
+    {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++)
+        {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + ((a[i - 1] === b[j - 1]) ? 0 : 1));
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Returns the candidate closest to a mistyped name, if any is close enough.
+ * @param {String} name
+ * @param {String[]} candidates
+ * @returns {(String|null)}
+ */
+const suggest = function (name, candidates)
+{
+    const threshold = Math.max(2, Math.floor(name.length / 3));
+    let best = null,
+        bestDistance = Infinity;
+
+    for (const candidate of candidates)
+    {
+        const current = distance(name.toLowerCase(), candidate.toLowerCase());
+
+        if (current <= threshold && current < bestDistance)
+        {
+            best = candidate;
+            bestDistance = current;
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {*} value
+ * @param {(Object|Object[])} schema
+ * @param {String} [path=''] JSON path of the value, used in error messages.
+ * @returns {Array.<{ path: String, message: String }>} Errors, empty if the value is valid.
+ */
+const validate = function (value, schema, path)
+{
+    path = path || '';
+
+    if (value === undefined)
+    {
+        return [];
+    }
+
+    // Pick the alternative matching the value type
+    const alternative = [].concat(schema).find(current => [].concat(current.type || 'any').some(type => isType(value, type)));
+
+    if (!alternative)
+    {
+        return [{ path, message: `expected ${getTypes(schema).join(' or ')}, got ${typeOf(value)}` }];
+    }
+
+    if (alternative.enum && alternative.enum.indexOf(value) === -1)
+    {
+        return [{ path, message: `expected one of ${alternative.enum.map(entry => JSON.stringify(entry)).join(', ')}, got ${JSON.stringify(value)}` }];
+    }
+
+    if (typeof value === 'number'
+        && ((alternative.minimum !== undefined && value < alternative.minimum) || (alternative.maximum !== undefined && value > alternative.maximum)))
+    {
+        return [{ path, message: `expected a number between ${alternative.minimum} and ${alternative.maximum}, got ${value}` }];
+    }
+
+    if (Array.isArray(value) && alternative.items)
+    {
+        return _.flatMap(value, (item, i) => validate(item, alternative.items, join(path, i)));
+    }
+
+    if (_.isPlainObject(value) && (alternative.properties || alternative.additional))
+    {
+        const properties = alternative.properties || {};
+
+        return _.flatMap(Object.keys(value), (key) =>
+        {
+            const keyPath = join(path, key);
+
+            if (properties.hasOwnProperty(key))
+            {
+                return validate(value[key], properties[key], keyPath);
+            }
+
+            const errors = (alternative.additional) ? validate(value[key], alternative.additional, keyPath) : null;
+
+            if (errors !== null && (errors.length === 0 || !alternative.properties))
+            {
+                return errors;
+            }
+
+            const suggestion = suggest(key, Object.keys(properties));
+            return [{ path: keyPath, message: `unknown option${(suggestion) ? `, did you mean "${suggestion}"?` : ''}` }];
+        });
+    }
+
+    return [];
+};
+
+/**
+ * Returns the schema of the value at the specified path.
+ * @param {(Object|Object[])} schema
+ * @param {(String|Array)} path i.e. "builds.main.extensions[0].id".
+ * @returns {(Object[]|null)} Alternative schemas of the value, null if the path is unknown to the schema.
+ */
+const resolve = function (schema, path)
+{
+    let current = [].concat(schema);
+
+    for (const key of _.toPath(path))
+    {
+        current = _.flatMap(current, (alternative) =>
+        {
+            if (/^\d+$/.test(key) && alternative.items)
+            {
+                return [].concat(alternative.items);
+            }
+            else if (alternative.properties && alternative.properties.hasOwnProperty(key))
+            {
+                return [].concat(alternative.properties[key]);
+            }
+            else if (alternative.additional)
+            {
+                return [].concat(alternative.additional);
+            }
+            else if ([].concat(alternative.type || 'any').indexOf('any') > -1 || (alternative.type === 'object' && !alternative.properties))
+            {
+                // Free-form values
+                return [{ type: 'any' }];
+            }
+
+            return [];
+        });
+
+        if (current.length === 0)
+        {
+            return null;
+        }
+    }
+
+    return current;
+};
+
+/**
+ * Converts a value specified as text (i.e. on the command line) to the type expected by a schema.
+ * JSON values are used if allowed by the schema, i.e. "8000" for a port or "true" for a flag,
+ * otherwise the text is used as-is (i.e. "1.2" for a version number).
+ * @param {String} text
+ * @param {(Object|Object[]|null)} schema Schema of the value, any JSON value is allowed if null.
+ * @returns {*}
+ */
+const coerce = function (text, schema)
+{
+    const types = (schema) ? getTypes(schema) : ['any'];
+    let value;
+
+    try
+    {
+        value = JSON.parse(text);
+    }
+    catch (error)
+    {
+        return text;
+    }
+
+    if (typeof value === 'number' && types.indexOf('string') > -1)
+    {
+        return text;
+    }
+
+    return (typeof value === 'string' || types.some(type => isType(value, type))) ? value : text;
+};
+
+/**
+ * Formats validation errors for display, one per line.
+ * @param {Array.<{ path: String, message: String }>} errors
+ * @returns {String}
+ */
+const format = function (errors)
+{
+    return errors.map(error => `${error.path || '(root)'}: ${error.message}`).join('\n');
+};
+
+module.exports = {
+    join,
+    suggest,
+    validate,
+    resolve,
+    coerce,
+    format,
+};
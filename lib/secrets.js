@@ -0,0 +1,210 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path'),
+      readline = require('readline'),
+      Writable = require('stream').Writable,
+      Promise = require('bluebird'),
+      debug = require('debug');
+
+const fs_readFile = Promise.promisify(require('fs').readFile);
+
+const REDACTED = '********';
+
+/**
+ * Secrets shorter than this are redacted wherever they appear as a whole word, but not inside longer
+ * words, as they're likely to be part of unrelated text (i.e. "pass" in "password").
+ */
+const MIN_EMBEDDED_LENGTH = 8;
+
+/**
+ * Secrets that should never appear in log output or error messages.
+ */
+const secrets = new Set();
+
+/**
+ * Registers a secret, so that it gets redacted from log output and error messages.
+ * @param {String} secret
+ * @returns {String} The secret itself.
+ */
+const register = function (secret)
+{
+    if (typeof secret === 'string' && secret.length > 0)
+    {
+        secrets.add(secret);
+    }
+
+    return secret;
+};
+
+/**
+ * Returns the regular expression matching the occurrences of a secret that get redacted.
+ * @param {String} secret
+ * @returns {RegExp}
+ */
+function getSecretPattern(secret)
+{
+    const escaped = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    if (secret.length >= MIN_EMBEDDED_LENGTH)
+    {
+        return new RegExp(escaped, 'g');
+    }
+
+    // Word boundaries only make sense next to word characters
+    return new RegExp(`${/^\w/.test(secret) ? '(?<!\\w)' : ''}${escaped}${/\w$/.test(secret) ? '(?!\\w)' : ''}`, 'g');
+};
+
+/**
+ * Replaces registered secrets in the specified value.
+ * Long secrets are redacted wherever they appear, short ones wherever they appear as a whole
+ * word (see MIN_EMBEDDED_LENGTH).
+ * @param {*} value Strings are redacted, errors get their message and stack redacted,
+ *                  any other value is returned as-is.
+ * @returns {*}
+ */
+const redact = function (value)
+{
+    if (value instanceof Error)
+    {
+        value.message = redact(value.message);
+        value.stack = redact(value.stack);
+        return value;
+    }
+
+    if (typeof value !== 'string' || secrets.size === 0)
+    {
+        return value;
+    }
+
+    // Longer secrets first, in case a secret contains another one
+    return Array.from(secrets)
+        .sort((a, b) => b.length - a.length)
+        .reduce((result, secret) => result.replace(getSecretPattern(secret), REDACTED), value);
+};
+
+// Redact secrets from the output of all "debug" loggers
+const debugLog = debug.log;
+debug.log = function ()
+{
+    return debugLog.apply(this, Array.from(arguments).map(redact));
+};
+
+/**
+ * Asks for a secret on the terminal, without echoing it.
+ * @param {String} message
+ * @returns {Promise.<String>}
+ */
+function prompt(message)
+{
+    if (!process.stdin.isTTY)
+    {
+        return Promise.reject(new Error('Can not ask for a password, the terminal is not interactive.'));
+    }
+
+    let muted = false;
+
+    const output = new Writable({
+        write(chunk, encoding, callback)
+        {
+            if (!muted)
+            {
+                process.stdout.write(chunk, encoding);
+            }
+
+            callback();
+        },
+    });
+
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+
+    return new Promise((resolve) =>
+    {
+        process.stdout.write(`${message}: `);
+        muted = true;
+        rl.question('', resolve);
+    })
+    .finally(() =>
+    {
+        rl.close();
+        process.stdout.write('\n');
+    });
+};
+
+/**
+ * Resolves a password from one of the supported sources:
+ * - A string: the password itself.
+ * - { env: 'NAME' }: the value of an environment variable.
+ * - { file: 'path' }: the contents of a file (trailing line breaks are ignored).
+ * - { prompt: true } or { prompt: 'message' }: asks for the password on the terminal.
+ *
+ * The resolved password is registered as a secret.
+ * @param {(String|Object)} source Password source.
+ * @param {String} [name='password'] Name of the password, used in messages.
+ * @returns {Promise.<String>}
+ */
+const resolvePassword = function (source, name)
+{
+    name = name || 'password';
+
+    return Promise
+    .try(() =>
+    {
+        if (source === undefined || source === null)
+        {
+            return '';
+        }
+        else if (typeof source === 'string')
+        {
+            return source;
+        }
+        else if (typeof source !== 'object')
+        {
+            throw new Error(`Invalid ${name} source, expected a string or an object with an "env", "file" or "prompt" property.`);
+        }
+        else if (typeof source.env === 'string')
+        {
+            if (!process.env.hasOwnProperty(source.env))
+            {
+                throw new Error(`Can not read ${name}, environment variable "${source.env}" is not set.`);
+            }
+
+            return process.env[source.env];
+        }
+        else if (typeof source.file === 'string')
+        {
+            return fs_readFile(path.resolve(source.file), 'utf8')
+            .catch(() => { throw new Error(`Can not read ${name} from file "${source.file}".`); })
+            .then(content => content.replace(/[\r\n]+$/, ''));
+        }
+        else if (source.prompt)
+        {
+            return prompt((typeof source.prompt === 'string') ? source.prompt : `Enter ${name}`);
+        }
+
+        throw new Error(`Invalid ${name} source, expected a string or an object with an "env", "file" or "prompt" property.`);
+    })
+    .then(register);
+};
+
+module.exports = {
+    REDACTED,
+    register,
+    redact,
+    resolvePassword,
+};
@@ -0,0 +1,586 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path'),
+      crypto = require('crypto'),
+      chalk = require('chalk'),
+      Promise = require('bluebird'),
+      log = require('debug')('cepy'),
+      forge = require('node-forge');
+
+const fs_mkdir = Promise.promisify(require('fs').mkdir),
+      fs_readdir = Promise.promisify(require('fs').readdir),
+      fs_readFile = Promise.promisify(require('fs').readFile),
+      fs_writeFile = Promise.promisify(require('fs').writeFile);
+
+const xml = require('./xml.js'),
+      zip = require('./zip.js');
+
+/**
+ * Pure Node.js signing backend.
+ *
+ * Packages are ZIP archives laid out as ZXPSignCmd does: an uncompressed "mimetype" entry
+ * first, followed by the extension files and a "META-INF/signatures.xml" XML-DSig signature
+ * covering the digest of each file.
+ */
+
+const MIMETYPE = 'application/vnd.adobe.air-ucf-package+zip',
+      SIGNATURES_FILE = 'META-INF/signatures.xml';
+
+const XMLDSIG_NAMESPACE = 'http://www.w3.org/2000/09/xmldsig#',
+      C14N_ALGORITHM = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+      SIGNATURE_ALGORITHM = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+      DIGEST_ALGORITHM = 'http://www.w3.org/2001/04/xmlenc#sha256';
+
+/**
+ * Supported algorithms when verifying signatures, by URI.
+ */
+const DIGEST_ALGORITHMS = Object.freeze({
+    'http://www.w3.org/2000/09/xmldsig#sha1': 'sha1',
+    'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256',
+    'http://www.w3.org/2001/04/xmldsig-more#sha384': 'sha384',
+    'http://www.w3.org/2001/04/xmlenc#sha512': 'sha512',
+});
+
+const SIGNATURE_ALGORITHMS = Object.freeze({
+    'http://www.w3.org/2000/09/xmldsig#rsa-sha1': 'RSA-SHA1',
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': 'RSA-SHA256',
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha384': 'RSA-SHA384',
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': 'RSA-SHA512',
+});
+
+/**
+ * Escapes attribute values as required by XML canonicalization.
+ * @param {String} value
+ * @returns {String}
+ */
+function escapeAttribute(value)
+{
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#x9;')
+        .replace(/\n/g, '&#xA;')
+        .replace(/\r/g, '&#xD;');
+};
+
+/**
+ * Returns the base64 encoded SHA-256 digest of the specified data.
+ * @param {(Buffer|String)} data
+ * @returns {String}
+ */
+function digest(data, algorithm)
+{
+    return crypto.createHash(algorithm || 'sha256').update(data).digest('base64');
+};
+
+/**
+ * Lists all the files in a folder, recursively.
+ * @param {String} folder
+ * @returns {Promise.<String[]>} Paths relative to the folder, using forward slashes and sorted.
+ */
+function listFiles(folder)
+{
+    const walk = (relative) =>
+    {
+        return fs_readdir(path.join(folder, relative), { withFileTypes: true })
+        .then(entries => Promise.mapSeries(entries, (entry) =>
+        {
+            const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+            return entry.isDirectory() ? walk(entryPath) : [entryPath];
+        }))
+        .then(lists => [].concat.apply([], lists));
+    };
+
+    return walk('').then(files => files.sort());
+};
+
+/**
+ * Reads the private key and certificates stored in a PKCS#12 file.
+ * @param {String} file Path to the certificate file.
+ * @param {String} password Certificate password.
+ * @returns {Promise.<{ privateKey: String, certificates: String[] }>} The PEM encoded private key
+ *          and the base64 DER encoded certificate chain, signing certificate first.
+ */
+const readCertificate = function (file, password)
+{
+    return fs_readFile(file)
+    .catch((error) =>
+    {
+        throw new Error(`Unable to read certificate ${chalk.cyan(file)}: ${(error.code === 'ENOENT') ? 'the file does not exist' : error.message}.`);
+    })
+    .then((content) =>
+    {
+        let p12;
+
+        try
+        {
+            p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(content.toString('binary')), password || '');
+        }
+        catch (error)
+        {
+            throw new Error(`Unable to read certificate ${chalk.cyan(file)}: the file is invalid or the password is wrong.`);
+        }
+
+        const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag]
+                .concat(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag]),
+              certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+
+        const keyBag = keyBags.find(bag => bag.key),
+              certificates = certBags.filter(bag => bag.cert).map(bag => bag.cert);
+
+        if (!keyBag || certificates.length === 0)
+        {
+            throw new Error(`Certificate ${chalk.cyan(file)} does not contain a private key and a certificate.`);
+        }
+
+        // Signing certificate (the one matching the private key) goes first
+        const publicKey = forge.pki.setRsaPublicKey(keyBag.key.n, keyBag.key.e),
+              modulus = publicKey.n.toString(16),
+              index = Math.max(0, certificates.findIndex(cert => cert.publicKey.n && cert.publicKey.n.toString(16) === modulus));
+
+        certificates.unshift(certificates.splice(index, 1)[0]);
+
+        return {
+            privateKey: forge.pki.privateKeyToPem(keyBag.key),
+            certificates: certificates.map(cert => forge.util.encode64(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes())),
+        };
+    });
+};
+
+/**
+ * Generates a self-signed code signing certificate.
+ * @param {Object} certificate Certificate configuration, with all subject fields resolved
+ *        (see zxp.getCertificateSubject).
+ * @returns {Promise}
+ */
+const generateCertificate = function (certificate)
+{
+    return Promise
+    .try(() =>
+    {
+        const file = path.resolve(certificate.file);
+        log(`Generating certificate at ${chalk.cyan(file)}...`);
+
+        // Key generation is much faster with Node crypto than with forge
+        const keyPair = crypto.generateKeyPairSync('rsa', {
+                  modulusLength: 2048,
+                  publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
+                  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+              }),
+              privateKey = forge.pki.privateKeyFromPem(keyPair.privateKey),
+              publicKey = forge.pki.publicKeyFromPem(keyPair.publicKey);
+
+        const cert = forge.pki.createCertificate(),
+              attributes = [
+                  { shortName: 'C', value: certificate.country },
+                  { shortName: 'ST', value: certificate.state },
+                  { shortName: 'O', value: certificate.organization },
+                  { shortName: 'CN', value: certificate.commonName },
+              ];
+
+        if (certificate.email)
+        {
+            attributes.push({ name: 'emailAddress', value: certificate.email });
+        }
+
+        // Positive serial number
+        cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+        cert.publicKey = publicKey;
+        cert.validity.notBefore = new Date();
+        cert.validity.notAfter = new Date(cert.validity.notBefore.getTime() + certificate.validity * 86400000);
+        cert.setSubject(attributes);
+        cert.setIssuer(attributes);
+        cert.setExtensions([
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true },
+            { name: 'extKeyUsage', codeSigning: true },
+            { name: 'subjectKeyIdentifier' },
+        ]);
+        cert.sign(privateKey, forge.md.sha256.create());
+
+        const p12 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert], certificate.password || '', { algorithm: '3des' });
+        return fs_writeFile(file, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+    })
+    .catch((error) => { throw new Error(`An error occurred when generating the self-signed certificate: ${error.message}`); });
+};
+
+/**
+ * Creates the signatures file for the specified package contents.
+ * @param {Array.<{ name: String, data: Buffer }>} entries Package files.
+ * @param {{ privateKey: String, certificates: String[] }} signer
+ * @returns {String}
+ */
+function createSignatures(entries, signer)
+{
+    // Signed elements are written in canonical form (C14N), so that the digests can be
+    // computed over the same markup that ends up in the file. When canonicalized on their
+    // own, they carry the namespace declaration inherited from the <Signature> element
+    const canonical = (markup, name) => markup.replace(`<${name}`, `<${name} xmlns="${XMLDSIG_NAMESPACE}"`);
+
+    const references = entries.map(entry =>
+    {
+        return `<Reference URI="${escapeAttribute(entry.name)}">`
+            + `<DigestMethod Algorithm="${DIGEST_ALGORITHM}"></DigestMethod>`
+            + `<DigestValue>${digest(entry.data)}</DigestValue>`
+            + '</Reference>';
+    });
+
+    const manifest = `<Manifest Id="PackageContents">${references.join('')}</Manifest>`;
+
+    const signedInfo = '<SignedInfo>'
+        + `<CanonicalizationMethod Algorithm="${C14N_ALGORITHM}"></CanonicalizationMethod>`
+        + `<SignatureMethod Algorithm="${SIGNATURE_ALGORITHM}"></SignatureMethod>`
+        + '<Reference URI="#PackageContents">'
+        + `<Transforms><Transform Algorithm="${C14N_ALGORITHM}"></Transform></Transforms>`
+        + `<DigestMethod Algorithm="${DIGEST_ALGORITHM}"></DigestMethod>`
+        + `<DigestValue>${digest(canonical(manifest, 'Manifest'))}</DigestValue>`
+        + '</Reference>'
+        + '</SignedInfo>';
+
+    const signatureValue = crypto.createSign('RSA-SHA256')
+        .update(canonical(signedInfo, 'SignedInfo'))
+        .sign(signer.privateKey, 'base64');
+
+    const keyInfo = '<KeyInfo><X509Data>'
+        + signer.certificates.map(cert => `<X509Certificate>${cert}</X509Certificate>`).join('')
+        + '</X509Data></KeyInfo>';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n'
+        + '<signatures>'
+        + `<Signature xmlns="${XMLDSIG_NAMESPACE}" Id="PackageSignature">`
+        + signedInfo
+        + `<SignatureValue Id="PackageSignatureValue">${signatureValue}</SignatureValue>`
+        + keyInfo
+        + `<Object>${manifest}</Object>`
+        + '</Signature>'
+        + '</signatures>';
+};
+
+/**
+ * Packages and signs an HTML5 extension.
+ * @param {String} inputFolder Folder containing the extension (or the packages of a bundle).
+ * @param {String} outputFile Output ZXP file path.
+ * @param {Object} packaging Packaging configuration.
+ * @returns {Promise}
+ */
+const createPackage = function (inputFolder, outputFile, packaging)
+{
+    let signer, entries;
+
+    log(`Creating ZXP package at ${chalk.cyan(outputFile)}...`);
+
+    if (typeof packaging.timestampURL === 'string' && packaging.timestampURL.length > 0)
+    {
+        log(chalk.yellow('Timestamping is not supported by the "node" signer, the package signature won\'t be timestamped.'));
+    }
+
+    return Promise
+
+    // Signing certificate
+    .try(() => readCertificate(packaging.certificate.file, packaging.certificate.password))
+    .then((result) => { signer = result; })
+
+    // Package contents
+    .then(() => listFiles(inputFolder))
+    .then((files) =>
+    {
+        return Promise.mapSeries(files, (name) =>
+        {
+            return fs_readFile(path.join(inputFolder, name)).then(data => ({ name, data }));
+        });
+    })
+    .then((result) => { entries = result.filter(entry => entry.name !== 'mimetype' && entry.name !== SIGNATURES_FILE); })
+
+    // Write archive
+    .then(() =>
+    {
+        const archive = zip.createZip([{ name: 'mimetype', data: Buffer.from(MIMETYPE), compress: false }]
+            .concat(entries)
+            .concat({ name: SIGNATURES_FILE, data: Buffer.from(createSignatures(entries, signer), 'utf8') }));
+
+        return fs_mkdir(path.dirname(outputFile), { recursive: true })
+        .then(() => fs_writeFile(outputFile, archive));
+    })
+    .catch((error) => { throw new Error(`Unable to create ZXP package: ${error.message}`); });
+};
+
+/**
+ * Extracts an element from signature markup and converts it to canonical form (C14N).
+ *
+ * This covers what signing tools actually produce (attribute order, quoting, empty elements,
+ * line breaks, comments and the inherited default namespace) rather than the full specification.
+ * @param {String} source Signature file markup.
+ * @param {String} name Element name.
+ * @returns {String} Canonical markup, or null if the element can't be found.
+ */
+function canonicalize(source, name)
+{
+    const start = source.search(new RegExp(`<${name}[\\s/>]`)),
+          closing = `</${name}>`,
+          end = (start === -1) ? -1 : source.indexOf(closing, start);
+
+    if (end === -1)
+    {
+        return null;
+    }
+
+    const decode = value => value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+
+    let apex = true;
+
+    return source.slice(start, end + closing.length)
+        .replace(/\r\n?/g, '\n')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<([A-Za-z_][\w:.\-]*)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g, (match, tag, attrs, empty) =>
+        {
+            const attributes = [];
+            attrs.replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (m, attribute, double, single) =>
+            {
+                attributes.push({ name: attribute, value: decode((double !== undefined) ? double : single) });
+            });
+
+            // The apex element carries the namespace inherited from <Signature>
+            if (apex && !attributes.some(attribute => attribute.name === 'xmlns'))
+            {
+                attributes.push({ name: 'xmlns', value: XMLDSIG_NAMESPACE });
+            }
+
+            apex = false;
+
+            // Namespace declarations first, then attributes by name
+            const isNamespace = attribute => attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:');
+            attributes.sort((a, b) =>
+            {
+                if (isNamespace(a) !== isNamespace(b))
+                {
+                    return isNamespace(a) ? -1 : 1;
+                }
+
+                return (a.name < b.name) ? -1 : ((a.name > b.name) ? 1 : 0);
+            });
+
+            const markup = `<${tag}${attributes.map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`).join('')}>`;
+            return empty ? `${markup}</${tag}>` : markup;
+        });
+};
+
+/**
+ * Returns information about a certificate.
+ * @param {(Buffer|String)} certificate DER or PEM encoded certificate.
+ * @param {Date} [date=new Date()] Date the validity of the certificate is checked against.
+ * @returns {Object} Subject, issuer, validity and fingerprint of the certificate, plus its PEM encoded public key.
+ */
+const getCertificateInfo = function (certificate, date)
+{
+    // Parsed with forge, crypto.X509Certificate is only available since Node 15.6
+    const der = Buffer.isBuffer(certificate) ? certificate : Buffer.from(forge.pem.decode(certificate)[0].body, 'binary'),
+          cert = forge.pki.certificateFromAsn1(forge.asn1.fromDer(der.toString('binary'))),
+          now = date || new Date(),
+          validFrom = cert.validity.notBefore,
+          validTo = cert.validity.notAfter;
+
+    // Same format as OpenSSL, i.e. "C=US, O=Acme, CN=Acme, emailAddress=info@acme.com"
+    const describe = name => name.attributes
+        .map(attribute => `${(attribute.name === 'emailAddress') ? attribute.name : (attribute.shortName || attribute.name || attribute.type)}=${attribute.value}`)
+        .join(', ');
+
+    const isSelfSigned = () =>
+    {
+        try
+        {
+            return cert.isIssuer(cert) && cert.verify(cert);
+        }
+        catch (error)
+        {
+            // Unsupported signature algorithm
+            return false;
+        }
+    };
+
+    return {
+        subject: describe(cert.subject),
+        issuer: describe(cert.issuer),
+        serialNumber: cert.serialNumber.toUpperCase(),
+        fingerprint: crypto.createHash('sha256').update(der).digest('hex').toUpperCase().match(/../g).join(':'),
+        validFrom,
+        validTo,
+        selfSigned: isSelfSigned(),
+        expired: now > validTo,
+        notYetValid: now < validFrom,
+        daysRemaining: Math.floor((validTo - now) / 86400000),
+        publicKey: forge.pki.publicKeyToPem(cert.publicKey),
+    };
+};
+
+/**
+ * Verifies the signature of a package.
+ * @param {Array.<{ name: String, data: Buffer }>} entries Package entries, see zip.readZip.
+ * @returns {{ signed: Boolean, timestamped: Boolean, errors: String[], certificates: Object[] }}
+ *          Certificates are described as returned by getCertificateInfo, signing certificate first.
+ */
+const verifySignature = function (entries)
+{
+    const result = { signed: false, timestamped: false, errors: [], certificates: [] },
+          signatures = entries.find(entry => entry.name === SIGNATURES_FILE);
+
+    if (!signatures)
+    {
+        result.errors.push(`Package is not signed (missing ${SIGNATURES_FILE}).`);
+        return result;
+    }
+
+    const source = signatures.data.toString('utf8').replace(/^\uFEFF/, '');
+    let signature;
+
+    try
+    {
+        const root = xml.parse(source, SIGNATURES_FILE).find(node => node.type === 'element');
+        signature = root && (root.name === 'Signature' ? root : root.element('Signature'));
+    }
+    catch (error)
+    {
+        result.errors.push(error.message);
+        return result;
+    }
+
+    if (!signature)
+    {
+        result.errors.push(`No <Signature> element found in ${SIGNATURES_FILE}.`);
+        return result;
+    }
+
+    result.signed = true;
+    result.timestamped = /EncapsulatedTimeStamp/.test(source);
+
+    const signedInfo = signature.element('SignedInfo'),
+          keyInfo = signature.element('KeyInfo'),
+          x509Data = keyInfo && keyInfo.element('X509Data');
+
+    // Certificates
+    for (const node of (x509Data ? x509Data.elements('X509Certificate') : []))
+    {
+        try
+        {
+            result.certificates.push(getCertificateInfo(Buffer.from(node.text().replace(/\s+/g, ''), 'base64')));
+        }
+        catch (error)
+        {
+            result.errors.push(`Invalid certificate: ${error.message}`);
+        }
+    }
+
+    if (result.certificates.length === 0)
+    {
+        result.errors.push('No signing certificate found.');
+    }
+
+    // File digests
+    const manifest = signature.elements('Object')
+        .map(object => object.element('Manifest'))
+        .find(node => node !== null && node.attributes.Id === 'PackageContents');
+
+    if (!manifest)
+    {
+        result.errors.push('No package contents manifest found in the signature.');
+        return result;
+    }
+
+    const referenced = new Set();
+
+    for (const reference of manifest.elements('Reference'))
+    {
+        const name = reference.attributes.URI,
+              entry = entries.find(item => item.name === name),
+              algorithm = DIGEST_ALGORITHMS[(reference.element('DigestMethod') || { attributes: {} }).attributes.Algorithm],
+              value = (reference.element('DigestValue') || xml.text('')).text().trim();
+
+        referenced.add(name);
+
+        if (!entry)
+        {
+            result.errors.push(`Signed file "${name}" is missing from the package.`);
+        }
+        else if (!algorithm)
+        {
+            result.errors.push(`Unsupported digest algorithm for "${name}".`);
+        }
+        else if (digest(entry.data, algorithm) !== value)
+        {
+            result.errors.push(`File "${name}" has been modified after signing.`);
+        }
+    }
+
+    for (const entry of entries)
+    {
+        if (entry.name !== 'mimetype' && entry.name !== SIGNATURES_FILE && !referenced.has(entry.name))
+        {
+            result.errors.push(`File "${entry.name}" is not covered by the signature.`);
+        }
+    }
+
+    // Signature of the file digests
+    const reference = signedInfo && signedInfo.elements('Reference').find(node => node.attributes.URI === '#PackageContents'),
+          referenceAlgorithm = reference && DIGEST_ALGORITHMS[(reference.element('DigestMethod') || { attributes: {} }).attributes.Algorithm],
+          canonicalManifest = canonicalize(source, 'Manifest');
+
+    if (!reference || !referenceAlgorithm || canonicalManifest === null)
+    {
+        result.errors.push('Signature does not reference the package contents.');
+    }
+    else if (digest(canonicalManifest, referenceAlgorithm) !== (reference.element('DigestValue') || xml.text('')).text().trim())
+    {
+        result.errors.push('Package contents manifest has been modified after signing.');
+    }
+
+    const signatureMethod = signedInfo && signedInfo.element('SignatureMethod'),
+          signatureAlgorithm = signatureMethod && SIGNATURE_ALGORITHMS[signatureMethod.attributes.Algorithm],
+          signatureValue = signature.element('SignatureValue');
+
+    if (!signatureAlgorithm)
+    {
+        result.errors.push('Unsupported signature algorithm.');
+    }
+    else if (signatureValue && result.certificates.length > 0)
+    {
+        const valid = crypto.createVerify(signatureAlgorithm)
+            .update(canonicalize(source, 'SignedInfo'), 'utf8')
+            .verify(result.certificates[0].publicKey, Buffer.from(signatureValue.text().replace(/\s+/g, ''), 'base64'));
+
+        if (!valid)
+        {
+            result.errors.push('Signature does not match the signing certificate.');
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    readCertificate,
+    getCertificateInfo,
+    verifySignature,
+    generateCertificate,
+    createPackage,
+};
@@ -24,158 +24,597 @@ const path = require('path'),
 
 const fs_mkdir = Promise.promisify(require('fs').mkdir),
       fs_readFile = Promise.promisify(require('fs').readFile),
-      fs_writeFile = Promise.promisify(require('fs').writeFile);
+      fs_writeFile = Promise.promisify(require('fs').writeFile),
+      fs_unlink = Promise.promisify(require('fs').unlink);
 
-const hosts = require('./hosts.js');
+const hosts = require('./hosts.js'),
+      ports = require('./ports.js'),
+      xml = require('./xml.js');
 
 // Custom delimiters that play nice with XML templates
+// XML helpers are available to all templates through the "xml" variable
 const templateOptions = {
     interpolate: /{%=([\s\S]+?)%}/g,
     evaluate: /{%([\s\S]+?)%}/g,
     escape: /{%-([\s\S]+?)%}/g,
+    imports: {
+        xml: _.pick(xml, 'element', 'text', 'cdata', 'comment', 'escapeText', 'escapeAttribute'),
+    },
 };
 
 /**
- * Creates a .debug file from template.
+ * Reads a template file.
+ * @param {String} templatePath
+ * @returns {Promise.<String>}
  */
-const generateDotDebug = function (outputPath, build)
+const readTemplate = function (templatePath)
 {
-    log(`Generating ${chalk.cyan('.debug')} file...`);
-    const debugConfig = build.bundle.debug;
+    // Strip byte order mark, as it would otherwise end up in the middle of the output
+    return fs_readFile(templatePath, 'utf8').then(template => template.replace(/^\uFEFF/, ''));
+};
+
+/**
+ * Renders a template, making sure the output is well-formed XML.
+ * @param {String} template
+ * @param {String} templatePath
+ * @param {Object} data
+ * @returns {String}
+ */
+const renderXML = function (template, templatePath, data)
+{
+    const output = _.template(template, templateOptions)(data);
+    xml.validate(output, templatePath);
+    return output;
+};
 
-    if (typeof debugConfig.port !== 'number' || debugConfig.port < 0)
+/**
+ * Resolves the path to a template, falling back to a default one if none is configured.
+ * @param {String} templatePath Configured template path.
+ * @param {String} defaultTemplate Name of the default template in the "res" folder.
+ * @returns {String}
+ */
+function resolveTemplate(templatePath, defaultTemplate)
+{
+    if (typeof templatePath !== 'string' || templatePath.length === 0)
     {
-        throw new Error(`Invalid host debug port ${chalk.cyan(debugConfig.port)}.`);
+        return path.resolve(__dirname, '../res', defaultTemplate);
     }
 
-    // Process template
-    let templatePath = debugConfig.template;
-    if (typeof templatePath !== 'string' || templatePath.length === 0)
+    return templatePath;
+};
+
+/**
+ * Returns the path to the template used to generate the .debug file of a build.
+ * @param {Build} build
+ * @returns {String}
+ */
+const getDotDebugTemplate = function (build)
+{
+    return resolveTemplate(build.bundle.debug && build.bundle.debug.template, '.debug');
+};
+
+/**
+ * Returns the path to the template used to generate the bundle manifest of a build.
+ * @param {Build} build An initialized build.
+ * @returns {String}
+ */
+const getBundleManifestTemplate = function (build)
+{
+    // Default template depends on the lowest family we need to support
+    const family = build.getLowestFamily();
+    return resolveTemplate(build.bundle.manifest, build.hosts.getFamily(family).bundleTemplate || `manifest.bundle.${family}.xml`);
+};
+
+/**
+ * Returns the path to the template used to generate the manifest data of an extension.
+ * @param {Object} extension
+ * @returns {String}
+ */
+const getExtensionManifestTemplate = function (extension)
+{
+    return resolveTemplate(extension.manifest, 'manifest.extension.xml');
+};
+
+/**
+ * Returns the path to the template used to generate the MXI file.
+ * @param {Object} packaging
+ * @returns {String}
+ */
+const getMXITemplate = function (packaging)
+{
+    return resolveTemplate(packaging.mxi, 'manifest.mxi.xml');
+};
+
+/**
+ * Returns the name of the MXI file generated for the specified builds.
+ * @param {Build[]} builds
+ * @returns {String}
+ */
+const getMXIFilename = function (builds)
+{
+    // Use bundle information from the first build
+    return `${builds[0].baseName}.mxi`;
+};
+
+/**
+ * Returns the templates read, the files written and the files removed (if present) when decorating a build.
+ * @param {String} outputPath
+ * @param {Build} build An initialized build.
+ * @param {Boolean} debug Whether the build is decorated in "debug" mode.
+ * @returns {{ templates: String[], outputs: String[], removed: String[] }}
+ */
+const getDecorationFiles = function (outputPath, build, debug)
+{
+    const templates = [],
+          outputs = [],
+          removed = [];
+
+    if (debug)
+    {
+        templates.push(getDotDebugTemplate(build));
+        outputs.push(path.join(outputPath, '.debug'));
+    }
+    else
+    {
+        removed.push(path.join(outputPath, '.debug'));
+    }
+
+    templates.push(...build.extensions.map(getExtensionManifestTemplate), getBundleManifestTemplate(build));
+    outputs.push(path.join(outputPath, 'CSXS/manifest.xml'));
+
+    const locales = new Set();
+
+    for (const extension of build.extensions)
     {
-        // Fall back to a default template if none is specified in extension properties
-        templatePath = path.resolve(__dirname, '../res/.debug');
+        if (!_.isEmpty(extension.localizedNames))
+        {
+            locales.add('');
+            Object.keys(extension.localizedNames).forEach(locale => locales.add(locale));
+        }
     }
 
+    locales.forEach(locale => outputs.push(path.join(outputPath, 'locale', locale, 'messages.properties')));
+
+    return { templates: _.uniq(templates), outputs: outputs.map(file => path.resolve(file)), removed: removed.map(file => path.resolve(file)) };
+};
+
+/**
+ * Creates a .debug file from template.
+ */
+const generateDotDebug = function (outputPath, build)
+{
+    log(`Generating ${chalk.cyan('.debug')} file...`);
+
+    // Process template
+    const templatePath = getDotDebugTemplate(build);
+
+    // Debug hosts of each extension, limited to the products it targets
+    const debugPorts = ports.getDebugPorts(build);
+    ports.checkCollisions(debugPorts);
+
+    const extensions = build.extensions.map((extension) =>
+    {
+        const debugHosts = debugPorts
+            .filter(entry => entry.extension === extension.id)
+            .map(entry => ({ name: entry.host, port: entry.port }));
+
+        return _.assign({}, extension, { debugHosts });
+    });
+
     return Promise
-    .resolve(fs_readFile(templatePath))
+    .resolve(readTemplate(templatePath))
     .then(template =>
     {
-        const dotdebug = _.template(template, templateOptions)(build);
+        const dotdebug = renderXML(template, templatePath, _.assign({}, build, { extensions }));
         return fs_writeFile(path.join(outputPath, '.debug'), dotdebug)
         .catch(error => { throw new Error(`Could not write .debug file: ${error}.`); });
     });
 };
 
+/**
+ * Removes the .debug file left by a previous "debug" decoration, if any.
+ */
+const removeDotDebug = function (outputPath)
+{
+    const file = path.join(outputPath, '.debug');
+
+    return fs_unlink(file)
+    .then(() => log(`Removed stale ${chalk.cyan('.debug')} file.`))
+    .catch(error => error.code === 'ENOENT', () => {})
+    .catch(error => { throw new Error(`Could not remove .debug file: ${error}.`); });
+};
+
+/**
+ * Returns the lowest of the specified families a product is part of.
+ * @param {Hosts} registry Host data (see lib/hosts.js).
+ * @param {String} product
+ * @param {(String|String[])} families
+ * @returns {String}
+ */
+function getLowestFamily(registry, product, families)
+{
+    // Products might not be part of the lowest family (i.e. when added in later releases)
+    return registry.expandFamilies(families).find(family => registry.hasProduct(product, family)) || [].concat(families)[0];
+};
+
+/**
+ * Creates the <Host> list for the specified products and families.
+ * @param {Hosts} registry Host data (see lib/hosts.js).
+ * @param {String[]} products
+ * @param {(String|String[])} families Minimum family, or a range of families.
+ * @param {Object} [versions] Version constraints by product (see Build.versions), used instead of family versions.
+ * @returns {XmlNode[]}
+ */
+const getHostList = function (registry, products, families, versions)
+{
+    const hostList = [];
+
+    for (const product of products)
+    {
+        const lowest = getLowestFamily(registry, product, families);
+
+        if (versions && versions.hasOwnProperty(product))
+        {
+            // Product versions declared by the build, kept as they are
+            const hostInfo = registry.getProduct(product, lowest),
+                  constraint = versions[product],
+                  version = (constraint.max === null) ? constraint.min : `[${constraint.min},${constraint.max}]`;
+
+            for (const hostId of hostInfo.ids)
+            {
+                hostList.push(xml.element('Host', { Name: hostId, Version: version }));
+            }
+        }
+        else if (typeof families === 'string')
+        {
+            // Minimum required family
+            const hostInfo = registry.getProduct(product, lowest);
+
+            for (const hostId of hostInfo.ids)
+            {
+                hostList.push(xml.element('Host', { Name: hostId, Version: hosts.formatVersion(hostInfo.version.min) }));
+            }
+        }
+        else
+        {
+            // Family range
+            const hostInfo = registry.getProduct(product, lowest),
+                hostVersionRange = registry.getVersionRange(product, families);
+
+            for (const hostId of hostInfo.ids)
+            {
+                hostList.push(xml.element('Host', { Name: hostId, Version: `[${hosts.formatVersion(hostVersionRange.min)},${hosts.formatVersion(hostVersionRange.max)}]` }));
+            }
+        }
+    }
+
+    return hostList;
+};
+
+/**
+ * Minimum manifest version required by optional extension manifest features.
+ * Features not supported by the lowest family targeted by a build are left out of the manifest.
+ */
+const FEATURES = Object.freeze({
+    hostList: '5.0',
+    cefCommandLine: '5.0',
+    menuPlacement: '5.0',
+    screenPercentage: '5.0',
+    nodejs: '6.0',
+    mixedContext: '7.0',
+});
+
+/**
+ * Whether the specified manifest version supports a feature.
+ * @param {String} manifestVersion
+ * @param {String} feature
+ * @returns {Boolean}
+ */
+const supportsFeature = function (manifestVersion, feature)
+{
+    if (!FEATURES.hasOwnProperty(feature))
+    {
+        throw new Error(`Unknown manifest feature '${feature}'.`);
+    }
+
+    return parseFloat(manifestVersion) >= parseFloat(FEATURES[feature]);
+};
+
+/**
+ * Returns the key used to look up the localized menu name of an extension.
+ * @param {Object} extension
+ * @returns {String}
+ */
+const getMenuKey = function (extension)
+{
+    return `${extension.id}.menu`;
+};
+
+/**
+ * Builds the data passed to an extension manifest template.
+ * @param {Object} extension Extension configuration.
+ * @param {Object} context
+ * @param {String} context.family Lowest family targeted by the build.
+ * @param {String} context.manifestVersion Manifest version of the lowest family.
+ * @param {XmlNode[]} context.hostList Bundle <Host> list.
+ * @param {Build} context.build Build the extension belongs to.
+ * @returns {Object}
+ */
+const getExtensionData = function (extension, context)
+{
+    const supports = feature => supportsFeature(context.manifestVersion, feature);
+
+    // Options that aren't supported by the targeted family are skipped
+    const skip = (feature, option) =>
+    {
+        log(chalk.yellow(`"${option}" is not supported by ${context.family} (requires manifest version ${FEATURES[feature]}), skipping it for extension "${extension.id}".`));
+    };
+
+    // Per extension <HostList>, when the extension only targets part of the build hosts
+    let hostList = [];
+    const restricted = !context.build.targetsWholeBuild(extension),
+          filtered = Array.isArray(extension.hosts) && extension.hosts.length > 0;
+
+    if (restricted || filtered)
+    {
+        if (supports('hostList'))
+        {
+            hostList = restricted ? getHostList(context.build.hosts, extension.products, extension.families, context.build.versions) : context.hostList;
+
+            if (filtered)
+            {
+                const ids = extension.hosts.map(id => String(id).toUpperCase());
+                hostList = hostList.filter(host => ids.indexOf(host.attributes.Name) > -1);
+
+                if (hostList.length === 0)
+                {
+                    throw new Error(`None of the hosts of extension "${extension.id}" (${ids.join(', ')}) is targeted by the build.`);
+                }
+            }
+        }
+        else
+        {
+            skip('hostList', restricted ? 'products/families' : 'hosts');
+        }
+    }
+
+    // CEF command line, including Node.js flags
+    let cefParameters = Array.isArray(extension.cefParameters) ? extension.cefParameters.slice() : [];
+    const nodejs = extension.nodejs || {};
+
+    if (nodejs.enabled)
+    {
+        if (supports('nodejs'))
+        {
+            cefParameters.push('--enable-nodejs');
+
+            if (nodejs.mixedContext)
+            {
+                if (supports('mixedContext'))
+                {
+                    cefParameters.push('--mixed-context');
+                }
+                else
+                {
+                    skip('mixedContext', 'nodejs.mixedContext');
+                }
+            }
+        }
+        else
+        {
+            skip('nodejs', 'nodejs.enabled');
+        }
+    }
+
+    cefParameters = _.uniq(cefParameters);
+
+    if (cefParameters.length > 0 && !supports('cefCommandLine'))
+    {
+        skip('cefCommandLine', 'cefParameters');
+        cefParameters = [];
+    }
+
+    // Menu
+    let menuPlacement = extension.menuPlacement || null;
+    if (menuPlacement && !supports('menuPlacement'))
+    {
+        skip('menuPlacement', 'menuPlacement');
+        menuPlacement = null;
+    }
+
+    let menu = extension.name || '';
+    if (menu && !_.isEmpty(extension.localizedNames))
+    {
+        // Name is looked up from "locale/<code>/messages.properties", see generateLocales
+        menu = `%${getMenuKey(extension)}`;
+    }
+
+    // Geometry
+    let screenPercentage = (extension.size && extension.size.screenPercentage) || null;
+    if (screenPercentage && !supports('screenPercentage'))
+    {
+        skip('screenPercentage', 'size.screenPercentage');
+        screenPercentage = null;
+    }
+
+    return _.assign({}, extension, {
+        family: context.family,
+        manifestVersion: context.manifestVersion,
+        supports,
+        hostList,
+        cefParameters,
+        menu,
+        menuPlacement,
+        screenPercentage,
+        extensionData: (typeof extension.extensionData === 'string') ? extension.extensionData : '',
+    });
+};
+
 /**
  * Creates a CSXS manifest file from template.
+ * @param {String} outputPath
+ * @param {Build} build
+ * @param {Function} [transform] Invoked with the lowest family and the template data before rendering, may edit
+ *                               the data and return a promise.
  */
-const generateBundleManifest = function (outputPath, build)
+const generateBundleManifest = function (outputPath, build, transform)
 {
+    const family = build.getLowestFamily(),
+          manifestVersion = build.hosts.getFamily(family).manifest;
+
     let hostList = [],
         extensionList = [],
-        dispatchInfoList = [];
+        dispatchInfoList = [],
+        requiredRuntimes = { CSXS: build.hosts.getFamily(family).csxs };
 
     log('Generating bundle manifest...');
 
     return Promise.resolve()
 
+    // <Host> list
+    .then(() => { hostList = getHostList(build.hosts, build.products, build.families, build.versions); })
+
     // Generate manifest data for each extension
     .then(() =>
     {
         return Promise.map(build.extensions, extension =>
         {
             // Add this extension to bundle extension list
-            extensionList.push(`<Extension Id="${extension.id}" Version="${extension.version}" />`);
+            extensionList.push(xml.element('Extension', { Id: extension.id, Version: extension.version }));
 
-            // Build manifest data for this extension and add it to DispatchInfoList
-            let templatePath = extension.manifest;
-            if (typeof templatePath !== 'string' || !templatePath.length)
+            // Keep the highest runtime version required by extensions
+            _.forOwn(extension.requiredRuntimes, (version, name) =>
             {
-                // Fall back to a default template if none is specified in extension properties
-                templatePath = path.join(__dirname, '../res/manifest.extension.xml');
-            }
+                if (!requiredRuntimes.hasOwnProperty(name) || parseFloat(version) > parseFloat(requiredRuntimes[name]))
+                {
+                    requiredRuntimes[name] = String(version);
+                }
+            });
+
+            // Build manifest data for this extension and add it to DispatchInfoList
+            const templatePath = getExtensionManifestTemplate(extension);
 
-            return fs_readFile(templatePath, 'utf8')
+            return readTemplate(templatePath)
             .then(template =>
             {
-                const extensionManifest = _.template(template, templateOptions)(extension);
-                dispatchInfoList.push(extensionManifest)
+                const data = getExtensionData(extension, { family, manifestVersion, hostList, build }),
+                      extensionManifest = _.template(template, templateOptions)(data);
+
+                dispatchInfoList.push(...xml.parse(extensionManifest, templatePath).filter(node => node.type === 'element'));
             })
-            .catch(() => { throw new Error(`Unable to produce manifest data for extension "${chalk.cyan(extension.id)}".`) });
-        });
+            .catch(error => { throw new Error(`Unable to produce manifest data for extension "${chalk.cyan(extension.id)}": ${error.message}`) });
+        }, { concurrency: 1 });
     })
 
     // Generate bundle manifest
     .then(() =>
     {
-        // <Host> list
-        if (Array.isArray(build.products))
-        {
-            for (const product of build.products)
-            {
-                if (typeof build.families === 'string')
-                {
-                    // Minimum required family
-                    const hostInfo = hosts.getProduct(product, build.families);
-
-                    for (const hostId of hostInfo.ids)
-                    {
-                        hostList.push(`<Host Name="${hostId}" Version="${hostInfo.version.min.toFixed(1)}" />`);
-                    }
-                }
-                else
-                {
-                    // Family range
-                    const hostInfo = hosts.getProduct(product, build.families[0]),
-                        hostVersionRange = hosts.getVersionRange(product, build.families);
-
-                    for (const hostId of hostInfo.ids)
-                    {
-                        hostList.push(`<Host Name="${hostId}" Version="[${hostVersionRange.min.toFixed(1)},${hostVersionRange.max.toFixed(1)}]" />`);
-                    }
-                }
-            }
-        }
-
         // Process template
-        let templatePath = build.bundle.manifest;
-        if (typeof templatePath !== 'string' || templatePath.length === 0)
-        {
-            // Fall back to a default template if none is specified in bundle properties
-            // As families are sorted alphabetically (@see build.js), the first one
-            // is guaranteed to be the lowest we need to support
-            const familyName = (typeof build.families === 'string') ? build.families : build.families[0];
-            templatePath = path.resolve(__dirname, `../res/manifest.bundle.${familyName}.xml`);
-        }
-
-        return fs_readFile(templatePath, 'utf8')
+        const templatePath = getBundleManifestTemplate(build),
+              data = {
+                  bundle: build.bundle,
+                  hostList,
+                  extensionList,
+                  dispatchInfoList,
+                  requiredRuntimeList: _.map(requiredRuntimes, (version, name) => xml.element('RequiredRuntime', { Name: name, Version: version })),
+              };
+
+        return Promise.resolve(transform && transform(family, data))
+        .then(() => readTemplate(templatePath))
         .then(template =>
         {
-            const data = {
-                bundle: build.bundle,
-                hostList,
-                extensionList,
-                dispatchInfoList,
-            };
-
-            const bundleManifest = _.template(template, templateOptions)(data);
+            const bundleManifest = renderXML(template, templatePath, data);
 
             // Make sure CSXS folder exists in output folder
             return fs_mkdir(path.join(outputPath, 'CSXS'), { recursive: true })
             .then(() => fs_writeFile(path.join(outputPath, 'CSXS/manifest.xml'), bundleManifest))
-            .catch(error => { throw new Error(`asd`); });
+            .catch(error => { throw new Error(`Could not write manifest file: ${error}.`); });
         })
-        .catch(error => { throw new Error(`Unable to produce bundle manifest: ${error}`); });
+        .catch(error => { throw new Error(`Unable to produce bundle manifest: ${error.message}`); });
     });
 };
 
+/**
+ * Escapes a value for use in a .properties file.
+ * @param {String} value
+ * @returns {String}
+ */
+function escapeProperty(value)
+{
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+};
+
+/**
+ * Writes localized extension menu names to "locale/<code>/messages.properties" files.
+ * Existing files are updated in place, only the keys used by cepy are replaced.
+ */
+const generateLocales = function (outputPath, build)
+{
+    const locales = {};
+
+    for (const extension of build.extensions)
+    {
+        if (_.isEmpty(extension.localizedNames))
+        {
+            continue;
+        }
+
+        const key = getMenuKey(extension);
+
+        // The default locale falls back to the extension name
+        _.set(locales, ['', key], extension.name);
+
+        _.forOwn(extension.localizedNames, (name, locale) =>
+        {
+            _.set(locales, [locale, key], name);
+        });
+    }
+
+    return Promise.map(Object.keys(locales), locale =>
+    {
+        const folder = path.join(outputPath, 'locale', locale),
+              file = path.join(folder, 'messages.properties'),
+              entries = locales[locale];
+
+        log(`Writing localized menu names to ${chalk.cyan(file)}...`);
+
+        return fs_readFile(file, 'utf8')
+        .catch(() => '')
+        .then(content =>
+        {
+            const lines = content.split(/\r?\n/).filter((line, i, all) => line.length > 0 || i < all.length - 1);
+
+            for (const key of Object.keys(entries))
+            {
+                const line = `${key}=${escapeProperty(entries[key])}`,
+                      index = lines.findIndex(entry => entry.split('=')[0].trim() === key);
+
+                if (index > -1)
+                {
+                    lines[index] = line;
+                }
+                else
+                {
+                    lines.push(line);
+                }
+            }
+
+            return fs_mkdir(folder, { recursive: true })
+            .then(() => fs_writeFile(file, `${lines.join('\n')}\n`));
+        });
+    })
+    .catch(error => { throw new Error(`Unable to write localized menu names: ${error.message}`); });
+};
+
 /**
  * Populates extension MXI file template.
  */
 const generateMXI = function (outputPath, builds, packaging)
 {
-    // Use bundle information from the first build
-    const mxiFilename = `${builds[0].baseName}.mxi`;
+    const mxiFilename = getMXIFilename(builds);
     log(`Generating ${mxiFilename} file from template...`);
 
     let targets = {},
@@ -193,7 +632,9 @@ const generateMXI = function (outputPath, builds, packaging)
             if (!targets.hasOwnProperty(product))
             {
                 targets[product] = {
-                    minFamily: targetFamilies[0],
+                    hosts: build.hosts,
+                    minFamily: getLowestFamily(build.hosts, product, build.families),
+                    openEnded: false,
                     version: {
                         min: null,
                         max: null,
@@ -201,22 +642,30 @@ const generateMXI = function (outputPath, builds, packaging)
                 };
             }
 
+            // Versions declared by the build take precedence over family versions
+            const constraint = build.versions[product],
+                  range = (constraint) ? constraint : build.hosts.getVersionRange(product, targetFamilies),
+                  openEnded = (constraint) ? constraint.max === null : !supportsFamilyRange;
+
             // If current range values are higher or lower than the stored ones, save them
-            const range = hosts.getVersionRange(product, targetFamilies);
-            let version = targets[product].version;
+            let target = targets[product],
+                version = target.version;
 
-            if (version.min === null || range.min < version.min)
+            if (version.min === null || hosts.compareVersions(range.min, version.min) < 0)
             {
                 version.min = range.min;
             }
 
-            if (supportsFamilyRange)
+            // Only save the maximum targeted version if no build supports future versions
+            target.openEnded = target.openEnded || openEnded;
+
+            if (target.openEnded)
             {
-                // Only save the maximum targeted version if we actually have a range of supported families
-                if (version.max === null || range.max > version.max)
-                {
-                    version.max = range.max;
-                }
+                version.max = null;
+            }
+            else if (version.max === null || hosts.compareVersions(range.max, version.max) > 0)
+            {
+                version.max = range.max;
             }
         }
     }
@@ -229,14 +678,14 @@ const generateMXI = function (outputPath, builds, packaging)
             const target = targets[product],
                 version = target.version;
 
-            if (version.max === null)
-            {
-                fileList.push(`<file products="${hosts.mapToFamilyName(product)}" minVersion="${version.min.toFixed(1)}" source="${build.outputFile}" destination="" file-type="CSXS" />`);
-            }
-            else
-            {
-                fileList.push(`<file products="${hosts.mapToFamilyName(product)}" minVersion="${version.min.toFixed(1)}" maxVersion="${version.max.toFixed(1)}" source="${build.outputFile}" destination="" file-type="CSXS" />`);
-            }
+            fileList.push(xml.element('file', {
+                'products': build.hosts.mapToFamilyName(product),
+                'minVersion': hosts.formatVersion(version.min),
+                'maxVersion': (version.max === null) ? null : hosts.formatVersion(version.max),
+                'source': build.outputFile,
+                'destination': '',
+                'file-type': 'CSXS',
+            }));
         }
     }
 
@@ -250,39 +699,21 @@ const generateMXI = function (outputPath, builds, packaging)
         const target = targets[product],
             version = target.version;
 
-        if (version.max === null)
-        {
-            if (familyNameProducts.indexOf(product) > -1)
-            {
-                productList.push(`<product familyname="${hosts.getProduct(product, target.minFamily).familyname}" version="${version.min.toFixed(1)}" primary="true" />`);
-            }
-            else
-            {
-                productList.push(`<product name="${hosts.getProduct(product, target.minFamily).familyname}" version="${version.min.toFixed(1)}" primary="true" />`);
-            }
-        }
-        else
-        {
-            if (familyNameProducts.indexOf(product) > -1)
-            {
-                productList.push(`<product familyname="${hosts.getProduct(product, target.minFamily).familyname}" version="${version.min.toFixed(1)}" maxversion="${version.max.toFixed(1)}" primary="true" />`);
-            }
-            else
-            {
-                productList.push(`<product name="${hosts.getProduct(product, target.minFamily).familyname}" version="${version.min.toFixed(1)}" maxversion="${version.max.toFixed(1)}" primary="true" />`);
-            }
-        }
+        const familyname = target.hosts.getProduct(product, target.minFamily).familyname,
+            nameAttribute = (familyNameProducts.indexOf(product) > -1) ? 'familyname' : 'name';
+
+        productList.push(xml.element('product', {
+            [nameAttribute]: familyname,
+            version: hosts.formatVersion(version.min),
+            maxversion: (version.max === null) ? null : hosts.formatVersion(version.max),
+            primary: 'true',
+        }));
     }
 
     // Process template
-    let templatePath = packaging.mxi;
-    if (typeof templatePath !== 'string' || templatePath.length === 0)
-    {
-        // Fall back to a default template if none is specified in packaging properties
-        templatePath = path.resolve(__dirname, '../res/manifest.mxi.xml');
-    }
+    const templatePath = getMXITemplate(packaging);
 
-    return fs_readFile(templatePath, 'utf8')
+    return readTemplate(templatePath)
     .then(template =>
     {
         const data = {
@@ -291,14 +722,23 @@ const generateMXI = function (outputPath, builds, packaging)
             fileList,
         };
 
-        const mxiManifest = _.template(template, templateOptions)(data);
+        const mxiManifest = renderXML(template, templatePath, data);
         return fs_writeFile(path.join(outputPath, mxiFilename), mxiManifest);
     })
-    .catch(error => { throw new Error(`Unable to produce MXI manifest: ${error}`); });
+    .catch(error => { throw new Error(`Unable to produce MXI manifest: ${error.message}`); });
 };
 
 module.exports = {
+    supportsFeature,
+    getDotDebugTemplate,
+    getBundleManifestTemplate,
+    getExtensionManifestTemplate,
+    getMXITemplate,
+    getMXIFilename,
+    getDecorationFiles,
     generateDotDebug,
+    removeDotDebug,
     generateBundleManifest,
+    generateLocales,
     generateMXI,
 };
@@ -0,0 +1,244 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path'),
+      fs = require('fs');
+
+const xml = require('./xml.js');
+
+const schemaFolder = path.resolve(__dirname, '../res/schemas');
+
+/**
+ * Loaded schemas, by manifest version.
+ */
+const schemas = new Map();
+
+/**
+ * Returns the schema for the specified manifest version.
+ * @param {String} version Manifest version (i.e. "7.0").
+ * @returns {Object}
+ */
+const getSchema = function (version)
+{
+    if (!schemas.has(version))
+    {
+        const file = path.join(schemaFolder, `manifest.${version}.json`);
+
+        if (!fs.existsSync(file))
+        {
+            throw new Error(`No manifest schema available for version ${version}.`);
+        }
+
+        schemas.set(version, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    return schemas.get(version);
+};
+
+/**
+ * Returns the list of available manifest schema versions, from lowest to highest.
+ * @returns {String[]}
+ */
+const getSchemaVersions = function ()
+{
+    return fs.readdirSync(schemaFolder)
+        .map(file => /^manifest\.(\d+\.\d+)\.json$/.exec(file))
+        .filter(match => match !== null)
+        .map(match => match[1])
+        .sort((a, b) => parseFloat(a) - parseFloat(b));
+};
+
+/**
+ * Finds the schema definition of an element, given its path from the root element.
+ * @param {Object} schema
+ * @param {String[]} names
+ * @returns {Object} The element definition, or null if the element isn't supported.
+ */
+function findDefinition(schema, names)
+{
+    let definition = { children: schema.elements };
+
+    for (const name of names)
+    {
+        if (!definition.children || !definition.children.hasOwnProperty(name))
+        {
+            return null;
+        }
+
+        definition = definition.children[name];
+    }
+
+    return definition;
+};
+
+/**
+ * Returns the lowest manifest version that supports the specified element.
+ * @param {String[]} names Element path from the root element.
+ * @returns {String} The manifest version, or null if no schema supports the element.
+ */
+const getElementVersion = function (names)
+{
+    return getSchemaVersions().find(version => findDefinition(getSchema(version), names) !== null) || null;
+};
+
+/**
+ * Whether the specified manifest version supports an element.
+ * @param {String} version Manifest version.
+ * @param {(String|String[])} names Element path from the root element, as an array or separated by "/".
+ * @returns {Boolean}
+ */
+const supports = function (version, names)
+{
+    return findDefinition(getSchema(version), Array.isArray(names) ? names : names.split('/')) !== null;
+};
+
+/**
+ * Validates a bundle manifest against the schema for the specified manifest version.
+ * @param {String} source Manifest markup.
+ * @param {String} version Manifest version the manifest should comply with.
+ * @param {String} [file] Path to the manifest file, used for error reporting.
+ * @returns {{ errors: String[], warnings: String[] }}
+ */
+const validateManifest = function (source, version, file)
+{
+    const schema = getSchema(version),
+          errors = [],
+          warnings = [];
+
+    const root = xml.parse(source, file).find(node => node.type === 'element');
+
+    if (!root || root.name !== schema.root)
+    {
+        errors.push(`Root element should be <${schema.root}>.`);
+        return { errors, warnings };
+    }
+
+    // Human readable element path, i.e. "DispatchInfoList > Extension[com.acme.extension] > DispatchInfo"
+    const describe = (trail) => trail.map(entry => entry.label).join(' > ');
+
+    const visit = (node, definition, trail) =>
+    {
+        const names = trail.map(entry => entry.name);
+
+        // Attributes
+        for (const attribute of Object.keys(node.attributes))
+        {
+            if (definition.attributes.indexOf(attribute) === -1)
+            {
+                warnings.push(`${describe(trail)}: unknown attribute "${attribute}" for manifest version ${version}.`);
+            }
+        }
+
+        if (definition.any)
+        {
+            return;
+        }
+
+        // Text content
+        if (!definition.text && node.children.some(child => child.type === 'text' && child.value.trim().length > 0))
+        {
+            warnings.push(`${describe(trail)}: unexpected text content.`);
+        }
+
+        // Child elements
+        for (const child of node.elements())
+        {
+            const childTrail = trail.concat({
+                name: child.name,
+                label: child.attributes.Id ? `${child.name}[${child.attributes.Id}]` : child.name,
+            });
+
+            if (!definition.children || !definition.children.hasOwnProperty(child.name))
+            {
+                const since = getElementVersion(childTrail.map(entry => entry.name));
+
+                if (since !== null)
+                {
+                    errors.push(`${describe(childTrail)}: element not supported by manifest version ${version} (requires ${since} or later).`);
+                }
+                else
+                {
+                    errors.push(`${describe(childTrail)}: unknown element.`);
+                }
+
+                continue;
+            }
+
+            visit(child, definition.children[child.name], childTrail);
+        }
+
+        // Required child elements
+        for (const name of (definition.required || []))
+        {
+            if (node.element(name) === null)
+            {
+                errors.push(`${describe(trail)}: missing required element <${name}>.`);
+            }
+        }
+    };
+
+    visit(root, schema.elements[root.name], [{ name: root.name, label: root.name }]);
+
+    // Extension ids
+    const ids = (listName) =>
+    {
+        const list = root.element(listName);
+        return list ? list.elements('Extension').map(extension => extension.attributes.Id) : [];
+    };
+
+    const declared = ids('ExtensionList'),
+          dispatched = ids('DispatchInfoList');
+
+    const findDuplicates = (list) => list.filter((id, i) => list.indexOf(id) !== i).filter((id, i, all) => all.indexOf(id) === i);
+
+    for (const id of findDuplicates(declared))
+    {
+        errors.push(`ExtensionList: duplicate extension id "${id}".`);
+    }
+
+    for (const id of findDuplicates(dispatched))
+    {
+        errors.push(`DispatchInfoList: duplicate extension id "${id}".`);
+    }
+
+    for (const id of dispatched)
+    {
+        if (declared.indexOf(id) === -1)
+        {
+            errors.push(`DispatchInfoList: extension "${id}" is not declared in ExtensionList.`);
+        }
+    }
+
+    for (const id of declared)
+    {
+        if (dispatched.indexOf(id) === -1)
+        {
+            warnings.push(`ExtensionList: extension "${id}" has no entry in DispatchInfoList.`);
+        }
+    }
+
+    return { errors, warnings };
+};
+
+module.exports = {
+    getSchema,
+    getSchemaVersions,
+    getElementVersion,
+    supports,
+    validateManifest,
+};
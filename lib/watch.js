@@ -0,0 +1,304 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs'),
+      path = require('path'),
+      Promise = require('bluebird'),
+      chalk = require('chalk'),
+      log = require('debug')('cepy');
+
+/**
+ * Watches files and folders (recursively) for changes.
+ *
+ * Changes are debounced: the callback is invoked with the list of changed paths once
+ * no further change happened for the specified delay. If the callback returns a promise,
+ * changes happening in the meantime are queued until the promise settles.
+ * @class
+ * @param {String[]} paths Files or folders to watch.
+ * @param {Function} callback Invoked with an array of absolute changed paths.
+ * @param {Object} [options]
+ * @param {Number} [options.delay=200] Debounce delay, in milliseconds.
+ */
+function Watcher(paths, callback, options)
+{
+    options = options || {};
+
+    Object.defineProperties(this, {
+
+        /** Change callback. */
+        _callback: { value: callback },
+
+        /** Debounce delay. */
+        _delay: { value: (typeof options.delay === 'number') ? options.delay : 200 },
+
+        /** Active fs.FSWatcher instances by watched folder. */
+        _watchers: { value: new Map() },
+
+        /** Files explicitly watched, by parent folder. */
+        _files: { value: new Map() },
+
+        /** Changes waiting to be reported. */
+        _pending: { value: new Set() },
+
+        /** Debounce timer. */
+        _timer: { value: null, writable: true },
+
+        /** Whether the callback is currently running. */
+        _busy: { value: false, writable: true },
+
+    });
+
+    for (const entry of paths)
+    {
+        this._add(path.resolve(entry));
+    }
+};
+
+Watcher.prototype = Object.create(null);
+Watcher.constructor = Watcher;
+
+/**
+ * Starts watching a file or a folder.
+ * @param {String} target Absolute path.
+ * @private
+ */
+Watcher.prototype._add = function (target)
+{
+    let stats;
+
+    try
+    {
+        stats = fs.statSync(target);
+    }
+    catch (error)
+    {
+        log(chalk.yellow(`Unable to watch ${target}, path does not exist.`));
+        return;
+    }
+
+    if (stats.isDirectory())
+    {
+        this._watchFolder(target, true);
+    }
+    else
+    {
+        // Watch the parent folder, so that files replaced by editors are still tracked
+        const folder = path.dirname(target);
+
+        if (!this._files.has(folder))
+        {
+            this._files.set(folder, new Set());
+        }
+
+        this._files.get(folder).add(path.basename(target));
+        this._watchFolder(folder, false);
+    }
+};
+
+/**
+ * Starts watching a folder and, optionally, its subfolders.
+ * @param {String} folder Absolute path.
+ * @param {Boolean} recursive
+ * @private
+ */
+Watcher.prototype._watchFolder = function (folder, recursive)
+{
+    if (!this._watchers.has(folder))
+    {
+        const watcher = fs.watch(folder, (eventType, filename) =>
+        {
+            const entry = this._watchers.get(folder);
+
+            if (entry && filename)
+            {
+                this._onChange(folder, filename.toString(), entry.recursive);
+            }
+        });
+
+        watcher.on('error', () => this._unwatchFolder(folder));
+        this._watchers.set(folder, { watcher, recursive });
+    }
+    else if (recursive)
+    {
+        this._watchers.get(folder).recursive = true;
+    }
+    else
+    {
+        return;
+    }
+
+    let entries = [];
+
+    try
+    {
+        entries = fs.readdirSync(folder, { withFileTypes: true });
+    }
+    catch (error)
+    {
+        return;
+    }
+
+    for (const entry of entries)
+    {
+        if (entry.isDirectory())
+        {
+            this._watchFolder(path.join(folder, entry.name), true);
+        }
+    }
+};
+
+/**
+ * Stops watching a folder.
+ * @param {String} folder Absolute path.
+ * @private
+ */
+Watcher.prototype._unwatchFolder = function (folder)
+{
+    const entry = this._watchers.get(folder);
+
+    if (entry)
+    {
+        entry.watcher.close();
+        this._watchers.delete(folder);
+    }
+};
+
+/**
+ * Handles a single raw change notification.
+ * @private
+ */
+Watcher.prototype._onChange = function (folder, filename, recursive)
+{
+    const target = path.join(folder, filename);
+
+    if (!recursive)
+    {
+        // Only watching specific files in this folder
+        const files = this._files.get(folder);
+
+        if (!files || !files.has(filename))
+        {
+            return;
+        }
+    }
+    else
+    {
+        // Track newly created folders, forget deleted ones
+        let stats = null;
+
+        try
+        {
+            stats = fs.statSync(target);
+        }
+        catch (error)
+        {
+            this._unwatchFolder(target);
+        }
+
+        if (stats && stats.isDirectory())
+        {
+            this._watchFolder(target, true);
+        }
+    }
+
+    this._pending.add(target);
+    this._schedule();
+};
+
+/**
+ * Schedules a flush of the pending changes.
+ * @private
+ */
+Watcher.prototype._schedule = function ()
+{
+    if (this._timer !== null)
+    {
+        clearTimeout(this._timer);
+    }
+
+    this._timer = setTimeout(() =>
+    {
+        this._timer = null;
+        this._flush();
+    }, this._delay);
+};
+
+/**
+ * Reports pending changes to the callback.
+ * @private
+ */
+Watcher.prototype._flush = function ()
+{
+    if (this._busy || this._pending.size === 0)
+    {
+        return;
+    }
+
+    const changes = Array.from(this._pending);
+    this._pending.clear();
+    this._busy = true;
+
+    Promise
+    .try(() => this._callback(changes))
+    .catch(error => log(chalk.red(error)))
+    .finally(() =>
+    {
+        this._busy = false;
+
+        // Report changes that happened while the callback was running
+        if (this._pending.size > 0)
+        {
+            this._schedule();
+        }
+    });
+};
+
+/**
+ * Stops watching all files and folders.
+ */
+Watcher.prototype.close = function ()
+{
+    if (this._timer !== null)
+    {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    for (const folder of Array.from(this._watchers.keys()))
+    {
+        this._unwatchFolder(folder);
+    }
+
+    this._pending.clear();
+};
+
+/**
+ * Watches the specified files and folders for changes.
+ * @param {String[]} paths Files or folders to watch.
+ * @param {Function} callback Invoked with an array of absolute changed paths.
+ * @param {Object} [options] See Watcher.
+ * @returns {Watcher}
+ */
+const watch = function (paths, callback, options)
+{
+    return new Watcher(paths, callback, options);
+};
+
+module.exports = {
+    watch,
+};
@@ -0,0 +1,378 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const chalk = require('chalk'),
+      sax = require('sax');
+
+/**
+ * Escapes a value so that it can be used as XML text content.
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeText(value)
+{
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+};
+
+/**
+ * Escapes a value so that it can be used as a (double quoted) XML attribute value.
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeAttribute(value)
+{
+    return escapeText(value)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+/**
+ * A node of an XML document.
+ *
+ * Nodes can be printed directly from lodash templates, as they are converted
+ * to properly escaped markup when coerced to a string.
+ * @class
+ * @param {String} type Node type: "element", "text", "cdata" or "comment".
+ * @param {String} [name] Element name.
+ * @param {Object} [attributes] Element attributes, null and undefined values are skipped.
+ * @param {Array.<(XmlNode|String)>} [children] Child nodes, strings are converted to text nodes.
+ */
+function XmlNode(type, name, attributes, children)
+{
+    Object.defineProperties(this, {
+
+        /** Node type. */
+        type: { value: type, enumerable: true },
+
+        /** Element name. */
+        name: { value: name || null, enumerable: true },
+
+        /** Element attributes. */
+        attributes: { value: attributes || {}, enumerable: true },
+
+        /** Child nodes. */
+        children: { value: [], enumerable: true },
+
+        /** Text content of text, CDATA and comment nodes. */
+        value: { value: null, writable: true, enumerable: true },
+
+    });
+
+    for (const child of (children || []))
+    {
+        this.append(child);
+    }
+};
+
+XmlNode.prototype = Object.create(null);
+XmlNode.constructor = XmlNode;
+
+/**
+ * Appends a child node.
+ * @param {(XmlNode|String)} child
+ * @returns {XmlNode} This node.
+ */
+XmlNode.prototype.append = function (child)
+{
+    if (child === null || child === undefined)
+    {
+        return this;
+    }
+
+    this.children.push((child instanceof XmlNode) ? child : text(child));
+    return this;
+};
+
+/**
+ * Returns the child elements with the specified name (or all of them, if no name is specified).
+ * @param {String} [name]
+ * @returns {XmlNode[]}
+ */
+XmlNode.prototype.elements = function (name)
+{
+    return this.children.filter(child => child.type === 'element' && (!name || child.name === name));
+};
+
+/**
+ * Returns the first child element with the specified name.
+ * @param {String} name
+ * @returns {XmlNode}
+ */
+XmlNode.prototype.element = function (name)
+{
+    return this.elements(name)[0] || null;
+};
+
+/**
+ * Returns the text content of this node.
+ * @returns {String}
+ */
+XmlNode.prototype.text = function ()
+{
+    if (this.type !== 'element')
+    {
+        return (this.type === 'comment') ? '' : this.value;
+    }
+
+    return this.children.map(child => child.text()).join('');
+};
+
+/**
+ * Converts this node to XML markup.
+ * @param {String} [indent=''] Indentation prepended to nested lines.
+ * @returns {String}
+ */
+XmlNode.prototype.toString = function (indent)
+{
+    indent = indent || '';
+
+    if (this.type === 'text')
+    {
+        return escapeText(this.value);
+    }
+    else if (this.type === 'cdata')
+    {
+        // A CDATA section can't contain its own terminator, split it if needed
+        return `<![CDATA[${this.value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+    else if (this.type === 'comment')
+    {
+        return `<!--${this.value}-->`;
+    }
+
+    let markup = `<${this.name}`;
+
+    for (const name of Object.keys(this.attributes))
+    {
+        const value = this.attributes[name];
+
+        if (value !== null && value !== undefined)
+        {
+            markup += ` ${name}="${escapeAttribute(value)}"`;
+        }
+    }
+
+    if (this.children.length === 0)
+    {
+        return `${markup} />`;
+    }
+
+    if (this.children.every(child => child.type !== 'element' && child.type !== 'comment'))
+    {
+        // Keep simple content on a single line
+        return `${markup}>${this.children.map(child => child.toString()).join('')}</${this.name}>`;
+    }
+
+    const nested = `${indent}  `;
+    return `${markup}>\n${this.children.map(child => nested + child.toString(nested)).join('\n')}\n${indent}</${this.name}>`;
+};
+
+/**
+ * Creates an element node.
+ * @param {String} name
+ * @param {Object} [attributes]
+ * @param {Array.<(XmlNode|String)>} [children]
+ * @returns {XmlNode}
+ */
+function element(name, attributes, children)
+{
+    return new XmlNode('element', name, attributes, children);
+};
+
+/**
+ * Creates a text node.
+ * @param {*} value
+ * @returns {XmlNode}
+ */
+function text(value)
+{
+    const node = new XmlNode('text');
+    node.value = String(value);
+    return node;
+};
+
+/**
+ * Creates a CDATA node.
+ * @param {*} value
+ * @returns {XmlNode}
+ */
+function cdata(value)
+{
+    const node = new XmlNode('cdata');
+    node.value = String(value === null || value === undefined ? '' : value);
+    return node;
+};
+
+/**
+ * Creates a comment node.
+ * @param {*} value
+ * @returns {XmlNode}
+ */
+function comment(value)
+{
+    const node = new XmlNode('comment');
+    node.value = String(value);
+    return node;
+};
+
+/**
+ * Reads XML markup to nodes, making sure it is well-formed.
+ *
+ * Whitespace around text is trimmed (and whitespace-only text is dropped), while
+ * the XML declaration and processing instructions are skipped.
+ * @param {String} source XML markup.
+ * @param {String} [file] Path of the template or file the markup was produced from, used for error reporting.
+ * @returns {XmlNode[]} Top level nodes.
+ * @throws {Error} If the markup is malformed. The message includes the offending line.
+ * @private
+ */
+function read(source, file)
+{
+    const parser = sax.parser(true, { position: true }),
+          nodes = [],
+          stack = [];
+    let root = null,
+        section = null;
+
+    const fail = (message, line, column) =>
+    {
+        const lines = source.split(/\r?\n/),
+              location = `${file || 'XML'}:${line}${column ? `:${column}` : ''}`,
+              excerpt = (lines[line - 1] || '').trim();
+
+        const error = new Error(`Malformed XML (${chalk.cyan(location)}): ${message}${excerpt ? `\n    ${excerpt}` : ''}`);
+        error.file = file || null;
+        error.line = line;
+        error.column = column || null;
+        throw error;
+    };
+
+    // Parser positions are zero-based lines, columns point right after the offending character
+    const failHere = message => fail(message, parser.line + 1, parser.column);
+
+    const append = (node) =>
+    {
+        if (stack.length > 0)
+        {
+            stack[stack.length - 1].append(node);
+        }
+        else
+        {
+            nodes.push(node);
+        }
+    };
+
+    parser.onerror = (error) =>
+    {
+        // Drop the position appended to the message, it is reported separately
+        failHere(error.message.split('\n')[0].replace(/\.?$/, '.'));
+    };
+
+    parser.onopentagstart = (tag) =>
+    {
+        if (stack.length === 0 && root !== null)
+        {
+            failHere(`multiple root elements, "${tag.name}" found after "${root}".`);
+        }
+    };
+
+    parser.onopentag = (tag) =>
+    {
+        // The parser silently drops duplicate attributes, look for them in the markup of the tag
+        const markup = source.slice(parser.startTagPosition - 1, parser.position),
+              pattern = /\s([^\s=]+)\s*=\s*(?:"[^"]*"|'[^']*')/g,
+              names = new Set();
+        let match;
+
+        while ((match = pattern.exec(markup)) !== null)
+        {
+            if (names.has(match[1]))
+            {
+                failHere(`duplicate attribute "${match[1]}".`);
+            }
+
+            names.add(match[1]);
+        }
+
+        const node = element(tag.name, Object.assign({}, tag.attributes));
+
+        append(node);
+        stack.push(node);
+        root = root || tag.name;
+    };
+
+    parser.onclosetag = () => stack.pop();
+
+    parser.ontext = (value) =>
+    {
+        value = value.trim();
+
+        if (value.length > 0)
+        {
+            append(text(value));
+        }
+    };
+
+    parser.onopencdata = () => { section = cdata(''); };
+    parser.oncdata = (value) => { section.value += value; };
+    parser.onclosecdata = () => append(section);
+
+    parser.oncomment = value => append(comment(value));
+
+    parser.write(source).close();
+    return nodes;
+};
+
+/**
+ * Makes sure the specified markup is well-formed XML.
+ *
+ * @param {String} source XML markup.
+ * @param {String} [file] Path of the template or file the markup was produced from, used for error reporting.
+ * @throws {Error} If the markup is malformed. The message includes the offending line.
+ */
+function validate(source, file)
+{
+    read(source, file);
+};
+
+/**
+ * Parses XML markup to nodes.
+ * @param {String} source XML markup, either a full document or a fragment.
+ * @param {String} [file] Path of the template or file the markup was produced from, used for error reporting.
+ * @returns {XmlNode[]} Top level nodes.
+ * @throws {Error} If the markup is malformed.
+ */
+function parse(source, file)
+{
+    return read(source, file);
+};
+
+module.exports = {
+    XmlNode,
+    element,
+    text,
+    cdata,
+    comment,
+    escapeText,
+    escapeAttribute,
+    validate,
+    parse,
+};
@@ -0,0 +1,244 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50,
+      CENTRAL_HEADER_SIGNATURE = 0x02014b50,
+      END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50,
+      METHOD_STORE = 0,
+      METHOD_DEFLATE = 8,
+      FLAG_UTF8 = 0x0800,
+      VERSION = 20;
+
+/**
+ * CRC-32 lookup table.
+ */
+const crcTable = (() =>
+{
+    const table = new Int32Array(256);
+
+    for (let i = 0; i < 256; i++)
+    {
+        let c = i;
+
+        for (let k = 0; k < 8; k++)
+        {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+
+        table[i] = c;
+    }
+
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of a buffer.
+ * @param {Buffer} data
+ * @returns {Number}
+ */
+function crc32(data)
+{
+    let crc = -1;
+
+    for (let i = 0; i < data.length; i++)
+    {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ -1) >>> 0;
+};
+
+/**
+ * Converts a date to MS-DOS time and date values.
+ * @param {Date} date
+ * @returns {{ time: Number, date: Number }}
+ */
+function toDosDateTime(date)
+{
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+};
+
+/**
+ * Creates a ZIP archive.
+ *
+ * Entries are written in the specified order, which matters for formats (such as ZXP)
+ * that expect a "mimetype" entry to be the first one in the archive.
+ * @param {Array.<{ name: String, data: Buffer, compress: Boolean }>} entries Archive entries,
+ *        compressed unless "compress" is false. Names use forward slashes.
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] Modification date of the entries.
+ * @returns {Buffer}
+ */
+const createZip = function (entries, options)
+{
+    const timestamp = toDosDateTime((options && options.date) || new Date()),
+          localParts = [],
+          centralParts = [];
+
+    let offset = 0;
+
+    for (const entry of entries)
+    {
+        const name = Buffer.from(entry.name, 'utf8'),
+              data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data),
+              method = (entry.compress === false) ? METHOD_STORE : METHOD_DEFLATE,
+              content = (method === METHOD_DEFLATE) ? zlib.deflateRawSync(data) : data,
+              checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(FLAG_UTF8, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(timestamp.time, 10);
+        local.writeUInt16LE(timestamp.date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(FLAG_UTF8, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(timestamp.time, 12);
+        central.writeUInt16LE(timestamp.date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, content);
+        centralParts.push(central, name);
+        offset += local.length + name.length + content.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts),
+          end = Buffer.alloc(22);
+
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(localParts.concat(centralDirectory, end));
+};
+
+/**
+ * Reads the entries of a ZIP archive. Folder entries are skipped.
+ * @param {Buffer} buffer Archive contents.
+ * @returns {Array.<{ name: String, data: Buffer, compressed: Boolean }>} Entries, in archive order.
+ * @throws {Error} If the archive is malformed or uses unsupported features.
+ */
+const readZip = function (buffer)
+{
+    // Find the end of central directory record, which might be followed by a comment
+    let end = -1;
+
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--)
+    {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE)
+        {
+            end = i;
+            break;
+        }
+    }
+
+    if (end === -1)
+    {
+        throw new Error('Not a ZIP archive.');
+    }
+
+    const count = buffer.readUInt16LE(end + 10),
+          entries = [];
+
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < count; i++)
+    {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE)
+        {
+            throw new Error('Malformed ZIP archive: invalid central directory.');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8),
+              method = buffer.readUInt16LE(offset + 10),
+              checksum = buffer.readUInt32LE(offset + 16),
+              compressedSize = buffer.readUInt32LE(offset + 20),
+              nameLength = buffer.readUInt16LE(offset + 28),
+              extraLength = buffer.readUInt16LE(offset + 30),
+              commentLength = buffer.readUInt16LE(offset + 32),
+              localOffset = buffer.readUInt32LE(offset + 42),
+              name = buffer.toString((flags & FLAG_UTF8) ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/'))
+        {
+            continue;
+        }
+
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE)
+        {
+            throw new Error(`Malformed ZIP archive: invalid local header for "${name}".`);
+        }
+
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28),
+              content = buffer.slice(start, start + compressedSize);
+
+        let data;
+
+        if (method === METHOD_STORE)
+        {
+            data = content;
+        }
+        else if (method === METHOD_DEFLATE)
+        {
+            data = zlib.inflateRawSync(content);
+        }
+        else
+        {
+            throw new Error(`Unsupported compression method ${method} for "${name}".`);
+        }
+
+        if (crc32(data) !== checksum)
+        {
+            throw new Error(`Malformed ZIP archive: checksum mismatch for "${name}".`);
+        }
+
+        entries.push({ name, data, compressed: method !== METHOD_STORE });
+    }
+
+    return entries;
+};
+
+module.exports = {
+    crc32,
+    createZip,
+    readZip,
+};
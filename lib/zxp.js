@@ -17,42 +17,43 @@
 'use strict';
 
 const path = require('path'),
-      exec = require('child_process').exec,
+      execFile = require('child_process').execFile,
       chalk = require('chalk'),
       Promise = require('bluebird'),
       log = require('debug')('cepy'),
       rimraf = Promise.promisify(require('rimraf')),
       fs_mkdir = Promise.promisify(require('fs').mkdir),
-      zxpBinary = require('zxp-provider')();
+      fs_readFile = Promise.promisify(require('fs').readFile),
+      zxpBinary = require('zxp-provider')().replace(/^"(.*)"$/, '$1');
+
+const signer = require('./signer.js'),
+      secrets = require('./secrets.js'),
+      xml = require('./xml.js'),
+      zip = require('./zip.js');
+
+const MIMETYPE = 'application/vnd.adobe.air-ucf-package+zip';
 
 /**
- * Generates a self-signed certificate.
+ * Number of days before expiry a certificate is reported as expiring soon.
  */
-const generateCertificate = function (certificate)
+const EXPIRY_WARNING_DAYS = 30;
+
+/**
+ * Runs ZXPSignCmd with the specified arguments.
+ * Arguments are passed as-is (no shell is involved), registered secrets are redacted from logs and errors.
+ * @param {String[]} args
+ * @param {String} errorMessage Message of the error thrown if the command fails.
+ * @returns {Promise}
+ */
+function runZxpSignCmd(args, errorMessage)
 {
+    // Arguments are redacted one by one, before being quoted
+    const command = [zxpBinary].concat(args).map(arg => JSON.stringify(secrets.redact(String(arg)))).join(' ');
+    log(command);
+
     return new Promise((resolve, reject) =>
     {
-        if (typeof certificate.owner !== 'string' || certificate.owner.length === 0)
-        {
-            reject('Can not generate a self-signed certificate without specifying a valid "owner"');
-        }
-
-        const file = path.resolve(certificate.file);
-        const cmd = [
-            zxpBinary,
-            '-selfSignedCert',
-            'US', 'NY',
-            `"${certificate.owner}"`,
-            `"${certificate.owner}"`,
-            `"${certificate.password}"`,
-            `"${file}"`
-        ];
-
-        // Run ZXP
-        log(`Generating certificate at ${chalk.cyan(file)}...`);
-        log(cmd.join(' '));
-
-        exec(cmd.join(' '), { cwd: process.cwd() }, (error, stdout, stderr) =>
+        execFile(zxpBinary, args.map(String), { cwd: process.cwd() }, (error, stdout, stderr) =>
         {
             if (error === null || error.code === 0)
             {
@@ -60,16 +61,73 @@ const generateCertificate = function (certificate)
             }
             else
             {
-                reject(`An error occurred when generating the self-signed certificate: ${error}`);
+                // The message of the error includes the command line, which is replaced by the redacted one
+                const details = (String(stderr || stdout || '').trim()) || ((typeof error.code === 'number') ? `${command} exited with code ${error.code}` : error.message);
+                reject(new Error(secrets.redact(`${errorMessage}: ${details}`)));
             }
         });
     });
 };
 
 /**
- * Packages and signs an HTML5 extension.
+ * Generates a self-signed certificate using ZXPSignCmd.
+ * @param {Object} certificate Certificate configuration, see getCertificateSubject.
  */
-const createPackage = function (inputFolder, outputFile, packaging)
+const zxpSignCmdGenerateCertificate = function (certificate)
+{
+    const file = path.resolve(certificate.file);
+    const args = [
+        '-selfSignedCert',
+        certificate.country,
+        certificate.state,
+        certificate.organization,
+        certificate.commonName,
+        secrets.register(certificate.password),
+        file,
+    ];
+
+    if (certificate.email)
+    {
+        args.push('-email', certificate.email);
+    }
+
+    args.push('-validityDays', certificate.validity);
+
+    // Run ZXP
+    log(`Generating certificate at ${chalk.cyan(file)}...`);
+    return runZxpSignCmd(args, 'An error occurred when generating the self-signed certificate');
+};
+
+/**
+ * Returns the ZXPSignCmd arguments used to package and sign an HTML5 extension.
+ * @param {String} inputFolder
+ * @param {String} outputFile
+ * @param {Object} packaging Packaging configuration (see "packaging").
+ * @param {String} password Certificate password, as passed on the command line.
+ * @returns {String[]}
+ */
+function getSignArgs(inputFolder, outputFile, packaging, password)
+{
+    const args = [
+        '-sign',
+        inputFolder,
+        outputFile,
+        packaging.certificate.file,
+        password,
+    ];
+
+    if (typeof packaging.timestampURL === 'string' && packaging.timestampURL.length > 0)
+    {
+        args.push('-tsa', packaging.timestampURL);
+    }
+
+    return args;
+};
+
+/**
+ * Packages and signs an HTML5 extension using ZXPSignCmd.
+ */
+const zxpSignCmdCreatePackage = function (inputFolder, outputFile, packaging)
 {
     return Promise.resolve()
 
@@ -96,43 +154,514 @@ const createPackage = function (inputFolder, outputFile, packaging)
 
     .then(() =>
     {
-        return new Promise((resolve, reject) =>
+        const args = getSignArgs(inputFolder, outputFile, packaging, secrets.register(packaging.certificate.password));
+
+        // Run ZXP
+        log(`Creating ZXP package at ${chalk.cyan(outputFile)}...`);
+        return runZxpSignCmd(args, 'Unable to create ZXP package');
+    });
+};
+
+/**
+ * Available signing backends:
+ * - zxpsigncmd: Adobe ZXPSignCmd binary (provided by "zxp-provider").
+ * - node: pure Node.js implementation, see signer.js.
+ */
+const SIGNERS = Object.freeze({
+    'zxpsigncmd': {
+        generateCertificate: zxpSignCmdGenerateCertificate,
+        createPackage: zxpSignCmdCreatePackage,
+    },
+    'node': {
+        generateCertificate: signer.generateCertificate,
+        createPackage: signer.createPackage,
+    },
+});
+
+/**
+ * Returns the signing backend with the specified name.
+ * @param {String} [name='zxpsigncmd']
+ * @returns {Object}
+ */
+const getSigner = function (name)
+{
+    name = (typeof name === 'string' && name.length > 0) ? name.toLowerCase() : 'zxpsigncmd';
+
+    if (!SIGNERS.hasOwnProperty(name))
+    {
+        throw new Error(`Unknown signer "${name}", supported signers are: ${Object.keys(SIGNERS).join(', ')}.`);
+    }
+
+    return SIGNERS[name];
+};
+
+/**
+ * Resolves the subject fields and validity of a self-signed certificate, falling back
+ * to the certificate owner for organization and common name.
+ * @param {Object} certificate Certificate configuration (see "packaging.certificate").
+ * @returns {Object} A copy of the configuration with all the subject fields set.
+ */
+const getCertificateSubject = function (certificate)
+{
+    const owner = (typeof certificate.owner === 'string') ? certificate.owner : '',
+          subject = Object.assign({}, certificate, {
+              country: certificate.country || 'US',
+              state: certificate.state || 'NY',
+              organization: certificate.organization || owner,
+              commonName: certificate.commonName || owner,
+              email: certificate.email || '',
+              validity: (certificate.validity === undefined || certificate.validity === null) ? 365 : certificate.validity,
+          });
+
+    if (typeof certificate.file !== 'string' || certificate.file.length === 0)
+    {
+        throw new Error('Can not generate a self-signed certificate without specifying a valid "file"');
+    }
+
+    if (subject.organization.length === 0 || subject.commonName.length === 0)
+    {
+        throw new Error('Can not generate a self-signed certificate without specifying a valid "owner" (or "organization" and "commonName")');
+    }
+
+    if (!/^[A-Za-z]{2}$/.test(subject.country))
+    {
+        throw new Error(`Invalid certificate country "${subject.country}", a two letter country code is required.`);
+    }
+
+    if (!Number.isInteger(subject.validity) || subject.validity <= 0)
+    {
+        throw new Error(`Invalid certificate validity "${subject.validity}", a positive number of days is required.`);
+    }
+
+    if (subject.email && !/^[^\s@]+@[^\s@]+$/.test(subject.email))
+    {
+        throw new Error(`Invalid certificate email "${subject.email}".`);
+    }
+
+    subject.country = subject.country.toUpperCase();
+    return subject;
+};
+
+/**
+ * Generates a self-signed certificate.
+ * @param {Object} certificate Certificate configuration (see "packaging.certificate").
+ * @param {String} [signerName] Signing backend, see "packaging.signer".
+ * @returns {Promise}
+ */
+const generateCertificate = function (certificate, signerName)
+{
+    return Promise
+    .try(() => secrets.resolvePassword(certificate.password, 'certificate password'))
+    .then(password => getSigner(signerName).generateCertificate(getCertificateSubject(Object.assign({}, certificate, { password }))));
+};
+
+/**
+ * Reads information about the certificate stored in a PKCS#12 file.
+ * @param {String} file Path to the certificate file.
+ * @param {(String|Object)} password Certificate password, or password source (see secrets.resolvePassword).
+ * @returns {Promise.<Object>} See signer.getCertificateInfo.
+ */
+const getCertificateInfo = function (file, password)
+{
+    return secrets.resolvePassword(password, 'certificate password')
+    .then(resolved => signer.readCertificate(file, resolved))
+    .then((result) =>
+    {
+        try
         {
+            return signer.getCertificateInfo(Buffer.from(result.certificates[0], 'base64'));
+        }
+        catch (error)
+        {
+            throw new Error(`Unable to read certificate ${chalk.cyan(file)}: ${error.message}`);
+        }
+    });
+};
+
+/**
+ * Packages and signs an HTML5 extension, using the backend specified by "packaging.signer".
+ * @param {String} inputFolder
+ * @param {String} outputFile
+ * @param {Object} packaging Packaging configuration.
+ * @returns {Promise}
+ */
+const createPackage = function (inputFolder, outputFile, packaging)
+{
+    return Promise
+    .try(() => secrets.resolvePassword(packaging.certificate.password, 'certificate password'))
+    .then((password) =>
+    {
+        const resolved = Object.assign({}, packaging, { certificate: Object.assign({}, packaging.certificate, { password }) });
+        return getSigner(packaging.signer).createPackage(inputFolder, outputFile, resolved);
+    });
+};
 
-            let cmd = [
-                zxpBinary,
-                '-sign',
-                `"${inputFolder}"`,
-                `"${outputFile}"`,
-                `"${packaging.certificate.file}"`,
-                `"${packaging.certificate.password}"`,
-            ];
+/**
+ * Returns the command the signer runs to package an HTML5 extension, for display purposes.
+ * The certificate password is never included, it is replaced by a placeholder.
+ * @param {String} inputFolder
+ * @param {String} outputFile
+ * @param {Object} packaging Packaging configuration (see "packaging").
+ * @returns {?String[]} Command and its arguments, null if the signer doesn't run any command.
+ */
+const getPackageCommand = function (inputFolder, outputFile, packaging)
+{
+    if (getSigner(packaging.signer) !== SIGNERS.zxpsigncmd)
+    {
+        return null;
+    }
 
-            if (typeof packaging.timestampURL === 'string' && packaging.timestampURL.length > 0)
-            {
-                cmd.push('-tsa', `"${packaging.timestampURL}"`);
-            }
+    return [zxpBinary].concat(getSignArgs(inputFolder, outputFile, packaging, secrets.REDACTED));
+};
 
-            log(`Creating ZXP package at ${chalk.cyan(outputFile)}...`);
-            log(cmd.join(' '));
+/**
+ * Reads the entries of a ZXP package.
+ * @param {String} file
+ * @returns {Promise.<Object[]>} See zip.readZip.
+ */
+const readPackage = function (file)
+{
+    return fs_readFile(file)
+    .catch(() => { throw new Error(`Could not read package ${chalk.cyan(file)}.`); })
+    .then((content) =>
+    {
+        try
+        {
+            return zip.readZip(content);
+        }
+        catch (error)
+        {
+            throw new Error(`Invalid package ${chalk.cyan(file)}: ${error.message}`);
+        }
+    });
+};
 
-            // Run ZXP
-            exec(cmd.join(' '), { cwd: process.cwd() }, (error, stdout, stderr) =>
+/**
+ * Returns the packages nested into a hybrid package (one per build, see Cepy.prototype.pack).
+ * @param {Object[]} entries
+ * @returns {Object[]}
+ */
+function getNestedPackages(entries)
+{
+    return entries.filter(entry => entry.name.indexOf('/') === -1 && /\.zxp$/i.test(entry.name));
+};
+
+/**
+ * Verifies the structure and signature of a package (and of the packages nested in it).
+ * @param {Object[]} entries Package entries.
+ * @param {String} name Package name, used for reporting.
+ * @returns {Object} Verification report.
+ */
+function verifyEntries(entries, name)
+{
+    const report = {
+        name,
+        valid: false,
+        errors: [],
+        warnings: [],
+        timestamped: false,
+        certificate: null,
+        packages: [],
+    };
+
+    // Package structure
+    if (entries.length === 0 || entries[0].name !== 'mimetype')
+    {
+        report.warnings.push('The "mimetype" entry should be the first one in the package.');
+    }
+
+    const mimetype = entries.find(entry => entry.name === 'mimetype');
+    if (!mimetype || mimetype.data.toString('utf8') !== MIMETYPE)
+    {
+        report.errors.push(`Missing or invalid "mimetype" entry, expected "${MIMETYPE}".`);
+    }
+    else if (mimetype.compressed)
+    {
+        report.warnings.push('The "mimetype" entry should be stored uncompressed.');
+    }
+
+    // Signature
+    const signature = signer.verifySignature(entries);
+    report.errors.push.apply(report.errors, signature.errors);
+    report.timestamped = signature.timestamped;
+    report.certificate = signature.certificates[0] || null;
+
+    // Certificate validity
+    if (report.certificate)
+    {
+        const certificate = report.certificate;
+
+        if (certificate.notYetValid)
+        {
+            report.errors.push(`Signing certificate is not valid until ${certificate.validFrom.toISOString()}.`);
+        }
+        else if (certificate.expired)
+        {
+            // Timestamped signatures stay valid after the certificate expires
+            const message = `Signing certificate expired on ${certificate.validTo.toISOString()}.`;
+            (report.timestamped ? report.warnings : report.errors).push(message);
+        }
+        else if (certificate.daysRemaining < EXPIRY_WARNING_DAYS)
+        {
+            report.warnings.push(`Signing certificate expires in ${certificate.daysRemaining} days.`);
+        }
+
+        if (certificate.selfSigned)
+        {
+            report.warnings.push('Signing certificate is self-signed.');
+        }
+    }
+
+    // Nested packages
+    for (const entry of getNestedPackages(entries))
+    {
+        let nested;
+
+        try
+        {
+            nested = verifyEntries(zip.readZip(entry.data), entry.name);
+        }
+        catch (error)
+        {
+            nested = { name: entry.name, valid: false, errors: [error.message], warnings: [], timestamped: false, certificate: null, packages: [] };
+        }
+
+        report.packages.push(nested);
+    }
+
+    report.valid = report.errors.length === 0 && report.packages.every(nested => nested.valid);
+    return report;
+};
+
+/**
+ * Parses an MXI file.
+ * @param {String} source
+ * @param {String} file
+ * @returns {{ id: String, name: String, version: String, products: Object[], files: Object[] }}
+ */
+function parseMXI(source, file)
+{
+    const root = xml.parse(source, file).find(node => node.type === 'element'),
+          list = (name, child) => (root.element(name) ? root.element(name).elements(child).map(node => node.attributes) : []);
+
+    return {
+        file,
+        id: root.attributes.id || null,
+        name: root.attributes.name || null,
+        version: root.attributes.version || null,
+        products: list('products', 'product'),
+        files: list('files', 'file'),
+    };
+};
+
+/**
+ * Parses a bundle manifest.
+ * @param {String} source
+ * @param {String} file
+ * @returns {Object}
+ */
+function parseManifest(source, file)
+{
+    const root = xml.parse(source, file).find(node => node.type === 'element'),
+          child = (node, names) => names.reduce((parent, name) => (parent ? parent.element(name) : null), node),
+          hostList = node => (node ? node.elements('Host').map(host => ({ name: host.attributes.Name, version: host.attributes.Version })) : []);
+
+    const dispatched = child(root, ['DispatchInfoList']);
+
+    return {
+        file,
+        id: root.attributes.ExtensionBundleId || null,
+        version: root.attributes.ExtensionBundleVersion || null,
+        manifestVersion: root.attributes.Version || null,
+        hosts: hostList(child(root, ['ExecutionEnvironment', 'HostList'])),
+        runtimes: (child(root, ['ExecutionEnvironment', 'RequiredRuntimeList']) || xml.element('RequiredRuntimeList'))
+            .elements('RequiredRuntime')
+            .map(runtime => ({ name: runtime.attributes.Name, version: runtime.attributes.Version })),
+        extensions: (child(root, ['ExtensionList']) || xml.element('ExtensionList'))
+            .elements('Extension')
+            .map((extension) =>
             {
-                if (error === null || error.code === 0)
-                {
-                    resolve();
-                }
-                else
-                {
-                    reject(`Unable to create ZXP package: ${error}`);
-                }
-            });
-        });
-    })
+                const dispatch = dispatched ? dispatched.elements('Extension').find(node => node.attributes.Id === extension.attributes.Id) : null;
+
+                return {
+                    id: extension.attributes.Id,
+                    version: extension.attributes.Version || null,
+                    hosts: hostList(child(dispatch, ['HostList'])),
+                };
+            }),
+    };
+};
+
+/**
+ * Collects information about a package (and the packages nested in it).
+ * @param {Object[]} entries Package entries.
+ * @param {String} name Package name, used for reporting.
+ * @returns {Object} Inspection report.
+ */
+function inspectEntries(entries, name)
+{
+    const report = {
+        name,
+        files: entries.map(entry => ({ name: entry.name, size: entry.data.length })),
+        mxi: null,
+        manifest: null,
+        packages: [],
+        errors: [],
+    };
+
+    const read = (entry, parse) =>
+    {
+        try
+        {
+            return parse(entry.data.toString('utf8').replace(/^\uFEFF/, ''), entry.name);
+        }
+        catch (error)
+        {
+            report.errors.push(error.message);
+            return null;
+        }
+    };
+
+    const mxi = entries.find(entry => entry.name.indexOf('/') === -1 && /\.mxi$/i.test(entry.name)),
+          manifest = entries.find(entry => entry.name === 'CSXS/manifest.xml');
+
+    report.mxi = mxi ? read(mxi, parseMXI) : null;
+    report.manifest = manifest ? read(manifest, parseManifest) : null;
+
+    for (const entry of getNestedPackages(entries))
+    {
+        try
+        {
+            report.packages.push(inspectEntries(zip.readZip(entry.data), entry.name));
+        }
+        catch (error)
+        {
+            report.errors.push(`${entry.name}: ${error.message}`);
+        }
+    }
+
+    return report;
+};
+
+/**
+ * Verifies the structure, signature and certificate of a ZXP package, including the
+ * per-build packages nested into hybrid packages.
+ * @param {String} file Path to the ZXP package.
+ * @returns {Promise.<Object>} Verification report: "valid", "errors", "warnings", "timestamped",
+ *          "certificate" (see signer.getCertificateInfo) and nested "packages" reports.
+ */
+const verifyPackage = function (file)
+{
+    return readPackage(file).then(entries => verifyEntries(entries, path.basename(file)));
+};
+
+/**
+ * Collects information about a ZXP package: files, parsed MXI products and files, bundle
+ * manifest ids, versions and host ranges, and the same information for nested packages.
+ * @param {String} file Path to the ZXP package.
+ * @returns {Promise.<Object>} Inspection report, the verification report is available as "verification".
+ */
+const inspectPackage = function (file)
+{
+    return readPackage(file).then((entries) =>
+    {
+        const report = inspectEntries(entries, path.basename(file));
+        report.verification = verifyEntries(entries, report.name);
+        return report;
+    });
+};
+
+/**
+ * Appends the lines describing a verification report.
+ * @param {Object} report See verifyPackage.
+ * @param {String} indent
+ * @param {String[]} lines
+ */
+function addVerificationLines(report, indent, lines)
+{
+    lines.push(`${indent}${chalk.cyan(report.name)}: ${report.valid ? chalk.green('valid') : chalk.red('invalid')}`);
+
+    if (report.certificate)
+    {
+        const certificate = report.certificate;
+        lines.push(`${indent}  Certificate: ${certificate.subject}`);
+        lines.push(`${indent}  Valid from ${certificate.validFrom.toISOString()} to ${certificate.validTo.toISOString()}${report.timestamped ? ' (timestamped)' : ''}`);
+    }
+
+    report.errors.forEach(error => lines.push(`${indent}  ${chalk.red(error)}`));
+    report.warnings.forEach(warning => lines.push(`${indent}  ${chalk.yellow(warning)}`));
+    report.packages.forEach(nested => addVerificationLines(nested, `${indent}  `, lines));
+};
+
+/**
+ * Appends the lines describing an inspection report.
+ * @param {Object} report See inspectPackage.
+ * @param {String} indent
+ * @param {String[]} lines
+ */
+function addInspectionLines(report, indent, lines)
+{
+    lines.push(`${indent}${chalk.cyan(report.name)} (${report.files.length} files)`);
+
+    if (report.verification)
+    {
+        addVerificationLines(report.verification, `${indent}  `, lines);
+    }
+
+    if (report.mxi)
+    {
+        lines.push(`${indent}  MXI ${report.mxi.file}: ${report.mxi.id} ${report.mxi.version}`);
+        report.mxi.products.forEach(product => lines.push(`${indent}    Product ${product.familyname || product.name} ${product.version || ''}${product.maxversion ? ` - ${product.maxversion}` : ''}`));
+        report.mxi.files.forEach(file => lines.push(`${indent}    File ${file.source} (${file.products || 'all products'}, ${file.minVersion || '*'} - ${file.maxVersion || '*'})`));
+    }
+
+    if (report.manifest)
+    {
+        const manifest = report.manifest,
+              hosts = list => list.map(host => `${host.name} ${host.version}`).join(', ');
+
+        lines.push(`${indent}  Bundle ${chalk.green(manifest.id)} ${manifest.version} (manifest ${manifest.manifestVersion})`);
+        lines.push(`${indent}    Hosts: ${hosts(manifest.hosts)}`);
+        manifest.extensions.forEach(extension => lines.push(`${indent}    Extension ${extension.id} ${extension.version}${extension.hosts.length > 0 ? ` (${hosts(extension.hosts)})` : ''}`));
+    }
+
+    report.errors.forEach(error => lines.push(`${indent}  ${chalk.red(error)}`));
+    report.packages.forEach(nested => addInspectionLines(nested, `${indent}  `, lines));
+};
+
+/**
+ * Formats a verification report for printing.
+ * @param {Object} report See verifyPackage.
+ * @returns {String}
+ */
+const formatVerification = function (report)
+{
+    const lines = [];
+    addVerificationLines(report, '', lines);
+    return lines.join('\n');
+};
+
+/**
+ * Formats an inspection report for printing.
+ * @param {Object} report See inspectPackage.
+ * @returns {String}
+ */
+const formatInspection = function (report)
+{
+    const lines = [];
+    addInspectionLines(report, '', lines);
+    return lines.join('\n');
 };
 
 module.exports = {
+    getCertificateSubject,
     generateCertificate,
+    getCertificateInfo,
     createPackage,
+    getPackageCommand,
+    readPackage,
+    verifyPackage,
+    inspectPackage,
+    formatVerification,
+    formatInspection,
 };
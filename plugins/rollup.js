@@ -0,0 +1,65 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const Cepy = require('../cepy.js');
+
+/**
+ * Rollup plugin decorating a build into the output folder once the bundle is written.
+ * HTML assets (i.e. emitted by "@rollup/plugin-html") are used as main path of extensions that
+ * don't specify one. In watch mode, the build is installed and kept in sync with the bundle.
+ *
+ * @example
+ * // rollup.config.js
+ * const cepy = require('cepy/plugins/rollup.js');
+ *
+ * module.exports = {
+ *     // ...
+ *     output: { dir: 'dist' },
+ *     plugins: [cepy({ build: 'main' })],
+ * };
+ *
+ * @param {Object} options See Cepy.createPluginHost.
+ * @returns {Object}
+ */
+const rollup = function (options)
+{
+    const host = Cepy.createPluginHost(options);
+
+    return {
+
+        name: 'cepy',
+
+        writeBundle(outputOptions, bundle)
+        {
+            const output = outputOptions.dir || path.dirname(outputOptions.file),
+                  assets = Object.keys(bundle);
+
+            return host.bundled(output, { assets, watch: !!(this.meta && this.meta.watchMode) });
+        },
+
+        closeWatcher()
+        {
+            return host.close();
+        },
+
+    };
+};
+
+module.exports = rollup;
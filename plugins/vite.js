@@ -0,0 +1,53 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const rollup = require('./rollup.js');
+
+/**
+ * Vite plugin decorating a build into the output folder once the bundle is written (see rollup.js).
+ * The "index.html" entries emitted by Vite are used as main path of extensions that don't specify one.
+ * Only applies to "vite build" (including "vite build --watch"), the development server isn't supported
+ * as it doesn't write files to disk.
+ *
+ * @example
+ * // vite.config.js
+ * const cepy = require('cepy/plugins/vite.js');
+ *
+ * module.exports = {
+ *     // ...
+ *     plugins: [cepy({ build: 'main' })],
+ * };
+ *
+ * @param {Object} options See Cepy.createPluginHost.
+ * @returns {Object}
+ */
+const vite = function (options)
+{
+    return Object.assign(rollup(options), {
+
+        name: 'cepy',
+
+        apply: 'build',
+
+        // Run after other plugins are done writing the bundle
+        enforce: 'post',
+
+    });
+};
+
+module.exports = vite;
@@ -0,0 +1,88 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path'),
+      chalk = require('chalk'),
+      log = require('debug')('cepy');
+
+const Cepy = require('../cepy.js');
+
+const NAME = 'CepyPlugin';
+
+/**
+ * webpack plugin decorating a build into the webpack output folder once assets are emitted.
+ * HTML assets (i.e. emitted by "html-webpack-plugin") are used as main path of extensions that
+ * don't specify one. In watch mode, the build is installed and kept in sync with emitted assets.
+ *
+ * @example
+ * // webpack.config.js
+ * const CepyPlugin = require('cepy/plugins/webpack.js');
+ *
+ * module.exports = {
+ *     // ...
+ *     plugins: [new CepyPlugin({ build: 'main' })],
+ * };
+ *
+ * @class
+ * @param {Object} options See Cepy.createPluginHost.
+ */
+function CepyWebpackPlugin(options)
+{
+    if (!(this instanceof CepyWebpackPlugin))
+    {
+        return new CepyWebpackPlugin(options);
+    }
+
+    Object.defineProperties(this, {
+
+        /** Plugin host. */
+        _host: { value: Cepy.createPluginHost(options) },
+
+    });
+};
+
+CepyWebpackPlugin.prototype = Object.create(null);
+CepyWebpackPlugin.constructor = CepyWebpackPlugin;
+
+/**
+ * Registers the plugin with a webpack compiler.
+ * @param {Object} compiler
+ */
+CepyWebpackPlugin.prototype.apply = function (compiler)
+{
+    compiler.hooks.afterEmit.tapPromise(NAME, (compilation) =>
+    {
+        if (compilation.errors.length > 0)
+        {
+            log(chalk.yellow('Bundling failed, skipping decoration.'));
+            return Promise.resolve();
+        }
+
+        const assets = compilation.getAssets().map(asset => asset.name),
+              emitted = (compilation.emittedAssets) ? Array.from(compilation.emittedAssets) : assets;
+
+        return this._host.bundled(path.resolve(compilation.outputOptions.path), { assets, emitted, watch: !!compiler.watchMode });
+    });
+
+    compiler.hooks.watchClose.tap(NAME, () =>
+    {
+        this._host.close();
+    });
+};
+
+module.exports = CepyWebpackPlugin;
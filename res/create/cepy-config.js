@@ -0,0 +1,46 @@
+'use strict';
+
+module.exports = {
+    builds: {
+        '{%= buildName %}': {
+            source: {%= literal(source) %},
+            products: {%= literal(products) %},
+            families: {%= literal(families) %},
+            bundle: {
+                id: {%= literal(bundle.id) %},
+                name: {%= literal(bundle.name) %},
+                version: {%= literal(bundle.version) %},
+                author: {%= literal(bundle.author) %},
+            },
+            extensions: [{% extensions.forEach(function (extension, i) { %}{%= (i > 0) ? ',' : '' %}
+            {
+                id: {%= literal(extension.id) %},
+                name: {%= literal(extension.name) %},
+                version: {%= literal(extension.version) %},
+                mainPath: {%= literal(extension.mainPath) %},
+                scriptPath: {%= literal(extension.scriptPath) %},
+                icons: {
+                    light: {
+                        normal: {%= literal(extension.icons.light.normal) %},
+                        hover: {%= literal(extension.icons.light.hover) %},
+                        disabled: {%= literal(extension.icons.light.disabled) %},
+                    },
+                    dark: {
+                        normal: {%= literal(extension.icons.dark.normal) %},
+                        hover: {%= literal(extension.icons.dark.hover) %},
+                        disabled: {%= literal(extension.icons.dark.disabled) %},
+                    },
+                },
+            }{% }); %}],
+        },
+    },
+    packaging: {
+        output: {%= literal(packaging.output) %},
+        certificate: {
+            owner: {%= literal(bundle.author) %},
+            file: {%= literal(packaging.certificate) %},
+            password: '',
+        },
+        staging: '.staging',
+    },
+};
@@ -0,0 +1,7 @@
+/**
+ * ExtendScript entry point for "{%= extension.name %}".
+ */
+function {%= extension.functionName %}()
+{
+    return 'Hello from ' + app.name + '!';
+}
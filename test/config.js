@@ -0,0 +1,118 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const config = require('../lib/config.js');
+
+describe('config discovery', () =>
+{
+    let directory;
+
+    beforeEach(() =>
+    {
+        directory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-')));
+    });
+
+    afterEach(() =>
+    {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('finds the configuration file in a parent folder', () =>
+    {
+        const nested = path.join(directory, 'src', 'panel');
+
+        fs.mkdirSync(nested, { recursive: true });
+        fs.writeFileSync(path.join(directory, 'cepy-config.js'), 'module.exports = {};');
+
+        return config.find(nested).then(file => assert.strictEqual(file, path.join(directory, 'cepy-config.js')));
+    });
+
+    it('prefers the configuration files in the order they are listed', () =>
+    {
+        fs.writeFileSync(path.join(directory, 'cepy-config.js'), 'module.exports = {};');
+        fs.writeFileSync(path.join(directory, 'cepy.config.yaml'), 'builds: {}');
+
+        return config.find(directory).then(file => assert.strictEqual(file, path.join(directory, 'cepy.config.yaml')));
+    });
+
+    it('uses package.json files only if they have a "cepy" key', () =>
+    {
+        const nested = path.join(directory, 'nested');
+
+        fs.mkdirSync(nested);
+        fs.writeFileSync(path.join(nested, 'package.json'), JSON.stringify({ name: 'nested' }));
+        fs.writeFileSync(path.join(directory, 'package.json'), JSON.stringify({ name: 'root', cepy: { builds: {} } }));
+
+        return config.find(nested).then(file => assert.strictEqual(file, path.join(directory, 'package.json')));
+    });
+
+    it('loads configuration functions with the command context', () =>
+    {
+        const file = path.join(directory, 'cepy.config.js');
+        fs.writeFileSync(file, 'module.exports = context => ({ mode: context.mode, debug: context.debug });');
+
+        return config.load(file, { mode: 'pack', debug: true }).then(loaded => assert.deepStrictEqual(loaded, { mode: 'pack', debug: true }));
+    });
+});
+
+describe('config overrides', () =>
+{
+    const set = overrides => config.apply({ builds: { main: { bundle: { version: '1.0.0' } } } }, { set: overrides });
+
+    it('converts values to the type expected by the option', () =>
+    {
+        const result = set([
+            'builds.main.extensions[0].size.normal.width=300',
+            'packaging.certificate.autoCreate=false',
+            'builds.main.bundle.cefParams=["--enable-nodejs"]',
+        ]);
+
+        assert.strictEqual(result.builds.main.extensions[0].size.normal.width, 300);
+        assert.strictEqual(result.packaging.certificate.autoCreate, false);
+        assert.deepStrictEqual(result.builds.main.bundle.cefParams, ['--enable-nodejs']);
+    });
+
+    it('keeps values that look like numbers as strings for string options', () =>
+    {
+        const result = set(['builds.main.bundle.version=1.0', 'packaging.certificate.password=1234']);
+
+        assert.strictEqual(result.builds.main.bundle.version, '1.0');
+        assert.strictEqual(result.packaging.certificate.password, '1234');
+    });
+
+    it('applies overrides after profiles', () =>
+    {
+        const result = config.apply({
+            packaging: { output: 'release/a.zxp' },
+            profiles: { ci: { packaging: { output: 'release/b.zxp' } } },
+        }, { profile: 'ci', set: ['packaging.signer=node'] });
+
+        assert.deepStrictEqual(result, { packaging: { output: 'release/b.zxp', signer: 'node' } });
+    });
+
+    it('rejects overrides without a value', () =>
+    {
+        assert.throws(() => set(['builds.main.bundle.version']), /expected "path=value"/);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const create = require('../lib/create.js');
+
+describe('create', () =>
+{
+    let directory;
+
+    const options = () => ({ directory, id: 'com.acme.test', name: 'Test', author: 'Acme' });
+
+    beforeEach(() =>
+    {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+    });
+
+    afterEach(() =>
+    {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('creates the project files', () =>
+    {
+        return create.createProject(options()).then(() =>
+        {
+            for (const file of ['cepy.config.js', '.gitignore', 'src/panel/index.html', 'src/panel/main.jsx', 'src/panel/icons/dark-normal.png'])
+            {
+                assert.ok(fs.existsSync(path.join(directory, file)), `${file} exists`);
+            }
+        });
+    });
+
+    it('merges the .gitignore entries into the existing file', () =>
+    {
+        fs.writeFileSync(path.join(directory, '.gitignore'), 'secret.env\nnode_modules');
+
+        return create.createProject(options()).then(() =>
+        {
+            const lines = fs.readFileSync(path.join(directory, '.gitignore'), 'utf8').split('\n');
+
+            assert.deepStrictEqual(lines.filter(line => line === 'node_modules'), ['node_modules']);
+            assert.ok(lines.indexOf('secret.env') > -1);
+            assert.ok(lines.indexOf('.staging') > -1);
+        });
+    });
+
+    it('refuses to create a project next to any configuration file', () =>
+    {
+        fs.writeFileSync(path.join(directory, 'cepy-config.js'), 'module.exports = {};');
+
+        return create.createProject(options()).then(
+            () => assert.fail('The project should not be created.'),
+            (error) =>
+            {
+                assert.ok(/A project already exists/.test(error.message));
+                assert.ok(!fs.existsSync(path.join(directory, 'cepy.config.js')));
+            }
+        );
+    });
+
+    it('refuses to overwrite existing files', () =>
+    {
+        fs.writeFileSync(path.join(directory, '.gitignore'), 'secret.env\n');
+        fs.mkdirSync(path.join(directory, 'src/panel'), { recursive: true });
+        fs.writeFileSync(path.join(directory, 'src/panel/main.jsx'), 'mine');
+
+        return create.createProject(options()).then(
+            () => assert.fail('The project should not be created.'),
+            (error) =>
+            {
+                assert.ok(/already exist/.test(error.message));
+                assert.ok(error.message.indexOf(path.join('src', 'panel', 'main.jsx')) > -1);
+                assert.strictEqual(fs.readFileSync(path.join(directory, 'src/panel/main.jsx'), 'utf8'), 'mine');
+                assert.strictEqual(fs.readFileSync(path.join(directory, '.gitignore'), 'utf8'), 'secret.env\n');
+                assert.ok(!fs.existsSync(path.join(directory, 'cepy.config.js')));
+            }
+        );
+    });
+});
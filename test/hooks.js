@@ -0,0 +1,120 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      secrets = require('../lib/secrets.js');
+
+const PASSWORD = 'hunter2-hooks-password';
+
+describe('pack hooks', () =>
+{
+    let project, cwd, calls;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+        calls = [];
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    const create = () =>
+    {
+        const record = hook => (context) =>
+        {
+            calls.push({
+                hook,
+                build: context.build ? context.build.name : null,
+                builds: context.builds ? context.builds.map(build => build.name) : null,
+                password: context.packaging.certificate.password,
+                signed: fs.existsSync(path.join(project, 'release', 'test.zxp')),
+            });
+        };
+
+        return cepy({
+            builds: {
+                'main': {
+                    source: 'src',
+                    products: ['photoshop'],
+                    families: ['cc2020'],
+                    bundle: { id: 'com.acme.test', name: 'Test', version: '1.0.0', author: 'Acme' },
+                    extensions: [{ id: 'com.acme.test.panel', name: 'Panel', version: '1.0.0', mainPath: 'index.html' }],
+                },
+            },
+            packaging: {
+                output: 'release/test.zxp',
+                signer: 'node',
+                certificate: { file: 'certificate.p12', password: PASSWORD, country: 'US', state: 'CA', organization: 'Acme', commonName: 'Acme' },
+            },
+            plugins: [{
+                name: 'recorder',
+                beforeBuildPack: record('beforeBuildPack'),
+                afterStage: record('afterStage'),
+                beforeSign: record('beforeSign'),
+                afterPack: record('afterPack'),
+            }],
+        });
+    };
+
+    it('runs each hook once per build or package, in order', () =>
+    {
+        return create().pack().then(() =>
+        {
+            assert.deepStrictEqual(calls.map(call => [call.hook, call.build, call.builds, call.signed]), [
+                ['beforeBuildPack', 'main', null, false],
+                ['afterStage', null, ['main'], false],
+                ['beforeSign', null, ['main'], false],
+                ['afterPack', null, ['main'], true],
+            ]);
+        });
+    });
+
+    it('never passes the certificate password to hooks', () =>
+    {
+        return create().pack().then(() =>
+        {
+            calls.forEach(call => assert.strictEqual(call.password, secrets.REDACTED, call.hook));
+        });
+    });
+
+    it('lists the hook steps in the pack plan', () =>
+    {
+        return create().pack({ dryRun: true }).then((result) =>
+        {
+            const hooks = result.steps.filter(step => step.action === 'hook').map(step => step.hook);
+
+            assert.deepStrictEqual(hooks, ['beforeBuildPack', 'afterStage', 'beforeSign', 'afterPack']);
+            assert.deepStrictEqual(calls, []);
+        });
+    });
+});
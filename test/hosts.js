@@ -0,0 +1,159 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      hosts = require('../lib/hosts.js');
+
+describe('host versions', () =>
+{
+    it('formats versions keeping their precision', () =>
+    {
+        assert.strictEqual(hosts.formatVersion(23), '23.0');
+        assert.strictEqual(hosts.formatVersion(22.15), '22.15');
+        assert.strictEqual(hosts.formatVersion('17.0.2'), '17.0.2');
+    });
+
+    it('parses version constraints', () =>
+    {
+        assert.deepStrictEqual(hosts.parseVersionConstraint('>=17.0.2'), { min: '17.0.2', max: null });
+        assert.deepStrictEqual(hosts.parseVersionConstraint('23.0..25.9'), { min: '23.0', max: '25.9' });
+        assert.deepStrictEqual(hosts.parseVersionConstraint([23, 25.9]), { min: '23.0', max: '25.9' });
+        assert.throws(() => hosts.parseVersionConstraint('>=cc2020'), /Invalid version constraint/);
+        assert.throws(() => hosts.parseVersionConstraint([25.9, 23]), /is higher than/);
+    });
+
+    it('maps versions to families', () =>
+    {
+        const registry = hosts.load();
+
+        assert.deepStrictEqual(registry.findFamilies('aftereffects', hosts.parseVersionConstraint('>=22.0')).slice(0, 2), ['cc2022', 'cc2023']);
+        assert.deepStrictEqual(registry.findFamilies('premiere', hosts.parseVersionConstraint('15.0..15.9')), ['cc2021']);
+        assert.strictEqual(registry.findFamily('aftereffects', '18.4.1'), 'cc2021');
+        assert.strictEqual(registry.findFamily('premiere', '22.0.1'), 'cc2022');
+        assert.strictEqual(registry.findFamily('photoshop', '1.0'), null);
+    });
+});
+
+describe('host data', () =>
+{
+    const override = (version) =>
+    {
+        return { families: { cc2024: { products: { photoshop: { version } } } } };
+    };
+
+    it('normalizes override versions to numbers', () =>
+    {
+        const registry = hosts.load(override({ min: '25.15', max: ' 25.95 ' }));
+        assert.deepStrictEqual(registry.getProduct('photoshop', 'cc2024').version, { min: 25.15, max: 25.95 });
+    });
+
+    it('rejects override versions that are not numbers', () =>
+    {
+        assert.throws(() => hosts.load(override({ min: '25.0.1', max: 25.9 })), /Invalid version "25\.0\.1" for "photoshop" \(cc2024\)/);
+        assert.throws(() => hosts.load(override({ min: 'latest' })), /Invalid version "latest"/);
+    });
+
+    it('keeps overrides to the instance they are loaded in', () =>
+    {
+        const builtin = hosts.load(),
+              overridden = hosts.load({ families: { cc2030: { released: '2029-10', manifest: '12.0', csxs: '12.0' } } });
+
+        assert.strictEqual(overridden.getFamilies().pop(), 'cc2030');
+        assert.strictEqual(hosts.load().getFamilies().indexOf('cc2030'), -1);
+        assert.throws(() => builtin.getFamily('cc2030'), /Unknown product family/);
+    });
+});
+
+describe('manifest host versions', () =>
+{
+    let project, cwd;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    const create = (families, products, overrides) =>
+    {
+        const build = {
+            source: 'src',
+            products,
+            bundle: { id: 'com.acme.test', name: 'Test', version: '1.0.0', author: 'Acme' },
+            extensions: [{ id: 'com.acme.test.panel', name: 'Panel', version: '1.0.0', mainPath: 'index.html' }],
+        };
+
+        if (families)
+        {
+            build.families = families;
+        }
+
+        return cepy({ builds: { 'main': build }, hosts: overrides });
+    };
+
+    const decorate = (families, products, packager) =>
+    {
+        packager = packager || create(families, products, {
+            families: {
+                cc2024: { products: { photoshop: { version: { min: '25.15', max: 25.95 } } } },
+            },
+        });
+
+        return packager.decorate('main', false)
+        .then(() => fs.readFileSync(path.join(project, 'src', 'CSXS', 'manifest.xml'), 'utf8'));
+    };
+
+    it('keeps the precision of family versions', () =>
+    {
+        return decorate('cc2024', ['photoshop'])
+        .then(manifest => assert.ok(manifest.indexOf('<Host Name="PHXS" Version="25.15"') > -1, manifest))
+        .then(() => decorate(['cc2024'], ['photoshop']))
+        .then(manifest => assert.ok(manifest.indexOf('<Host Name="PHXS" Version="[25.15,25.95]"') > -1, manifest));
+    });
+
+    it('uses the versions declared by the build', () =>
+    {
+        return decorate(null, { photoshop: '>=25.2.1' })
+        .then(manifest => assert.ok(manifest.indexOf('<Host Name="PHXS" Version="25.2.1"') > -1));
+    });
+
+    it('is not affected by the host overrides of other instances', () =>
+    {
+        const packager = create('cc2024', ['photoshop']);
+        create('cc2024', ['photoshop'], { families: { cc2024: { products: { photoshop: { version: { min: 25.5 } } } } } });
+
+        return decorate(null, null, packager)
+        .then(manifest => assert.ok(manifest.indexOf('<Host Name="PHXS" Version="25.0"') > -1, manifest));
+    });
+});
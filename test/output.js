@@ -0,0 +1,92 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js');
+
+describe('output folder', () =>
+{
+    let project, cwd, packager;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        process.chdir(project);
+
+        packager = cepy({
+            builds: {
+                'main': {
+                    source: 'src',
+                    output: 'dist',
+                    products: ['photoshop'],
+                    families: ['cc2020'],
+                    bundle: { id: 'com.acme.test', name: 'Test', version: '1.0.0', author: 'Acme' },
+                    extensions: [{ id: 'com.acme.test.panel', name: 'Panel', version: '1.0.0', mainPath: 'index.html' }],
+                },
+            },
+        });
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    it('decorates a copy of the sources', () =>
+    {
+        return packager.decorate('main', false).then(() =>
+        {
+            assert.ok(fs.existsSync(path.join(project, 'dist', 'index.html')));
+            assert.ok(fs.existsSync(path.join(project, 'dist', 'CSXS', 'manifest.xml')));
+            assert.ok(!fs.existsSync(path.join(project, 'src', 'CSXS')));
+        });
+    });
+
+    it('replaces a previous output', () =>
+    {
+        return packager.decorate('main', false)
+        .then(() => fs.writeFileSync(path.join(project, 'dist', 'stale.js'), ''))
+        .then(() => packager.decorate('main', false))
+        .then(() => assert.ok(!fs.existsSync(path.join(project, 'dist', 'stale.js'))));
+    });
+
+    it('never removes the content of other folders', () =>
+    {
+        fs.mkdirSync(path.join(project, 'dist'));
+        fs.writeFileSync(path.join(project, 'dist', 'notes.txt'), 'mine');
+
+        return packager.decorate('main', false).then(
+            () => assert.fail('The output folder should be rejected.'),
+            (error) =>
+            {
+                assert.ok(/does not contain a previous output/.test(error.message));
+                assert.strictEqual(fs.readFileSync(path.join(project, 'dist', 'notes.txt'), 'utf8'), 'mine');
+            }
+        );
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      plan = require('../lib/plan.js');
+
+const PASSWORD = 'pack-plan-password';
+
+describe('pack plan', () =>
+{
+    let project, cwd;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    it('shows the signer commands without the certificate password', () =>
+    {
+        const packager = cepy({
+            builds: {
+                'main': {
+                    source: 'src',
+                    products: ['photoshop'],
+                    families: ['cc2020'],
+                    bundle: { id: 'com.acme.test', name: 'Test', version: '1.0.0', author: 'Acme' },
+                    extensions: [{ id: 'com.acme.test.panel', name: 'Panel', version: '1.0.0', mainPath: 'index.html' }],
+                },
+            },
+            packaging: {
+                output: 'release/test.zxp',
+                signer: 'zxpsigncmd',
+                timestampURL: 'http://timestamp.example.com',
+                certificate: { file: 'certificate.p12', password: PASSWORD },
+            },
+        });
+
+        return packager.pack({ dryRun: true }).then((result) =>
+        {
+            const json = plan.toJSON(result),
+                  commands = JSON.parse(json).steps.filter(step => step.action === 'package').map(step => step.command);
+
+            assert.strictEqual(commands.length, 2);
+            commands.forEach((command) =>
+            {
+                assert.ok(Array.isArray(command), 'Package steps show the signer command.');
+                assert.deepStrictEqual(command.slice(-2), ['-tsa', 'http://timestamp.example.com']);
+            });
+
+            assert.strictEqual(json.indexOf(PASSWORD), -1, 'The JSON plan does not contain the certificate password.');
+            assert.strictEqual(plan.format(result).indexOf(PASSWORD), -1, 'The formatted plan does not contain the certificate password.');
+        });
+    });
+});
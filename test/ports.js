@@ -0,0 +1,165 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      hosts = require('../lib/hosts.js'),
+      ports = require('../lib/ports.js');
+
+describe('debug ports', () =>
+{
+    // Initialized build, as seen by getDebugPorts
+    const build = (name, extensions) =>
+    {
+        return {
+            name,
+            bundle: { debug: { port: 8000 } },
+            extensions: extensions.map(extension => Object.assign({ families: 'cc2020' }, extension)),
+            hosts: hosts.load(),
+        };
+    };
+
+    const summarize = entries => entries.map(entry => `${entry.extension}/${entry.host}:${entry.port}`);
+
+    it('assigns ports by extension and product', () =>
+    {
+        const entries = ports.getDebugPorts(build('main', [
+            { id: 'com.acme.a', products: ['photoshop', 'illustrator'] },
+            { id: 'com.acme.b', products: ['indesign'] },
+        ]));
+
+        assert.deepStrictEqual(summarize(entries), [
+            'com.acme.a/PHXS:8000',
+            'com.acme.a/PHSP:8000',
+            'com.acme.a/ILST:8001',
+            'com.acme.b/IDSN:8102',
+        ]);
+        assert.strictEqual(entries[0].build, 'main');
+    });
+
+    it('uses explicit ports by host id or product', () =>
+    {
+        const entries = ports.getDebugPorts(build('main', [
+            { id: 'com.acme.a', products: ['photoshop', 'illustrator'], debugPorts: { PHSP: 9001, illustrator: 9002 } },
+        ]));
+
+        assert.deepStrictEqual(summarize(entries), ['com.acme.a/PHXS:8000', 'com.acme.a/PHSP:9001', 'com.acme.a/ILST:9002']);
+    });
+
+    it('rejects invalid ports', () =>
+    {
+        assert.throws(() => ports.getDebugPorts(build('main', [{ id: 'com.acme.a', products: ['photoshop'], debugPorts: { photoshop: 70000 } }])), /Invalid debug port/);
+        assert.throws(() => ports.getDebugPorts(Object.assign(build('main', []), { bundle: { debug: { port: 'auto' } } })), /Invalid host debug port/);
+    });
+
+    it('finds ports shared by different extensions or products', () =>
+    {
+        const entries = ports.getDebugPorts(build('main', [
+            { id: 'com.acme.a', products: ['photoshop', 'illustrator'] },
+            { id: 'com.acme.b', products: ['photoshop'], debugPorts: { photoshop: 8001 } },
+        ]));
+
+        const collisions = ports.findCollisions(entries);
+
+        assert.strictEqual(collisions.length, 1);
+        assert.strictEqual(collisions[0].port, 8001);
+        assert.deepStrictEqual(summarize(collisions[0].entries), ['com.acme.a/ILST:8001', 'com.acme.b/PHXS:8001', 'com.acme.b/PHSP:8001']);
+        assert.throws(() => ports.checkCollisions(entries), /Debug port collisions detected:[\s\S]*com\.acme\.a \(ILST, build "main"\), com\.acme\.b \(PHXS, build "main"\)/);
+    });
+
+    it('allows the same extension to use the same port in different builds', () =>
+    {
+        const extensions = [{ id: 'com.acme.a', products: ['photoshop'] }],
+              entries = ports.getDebugPorts(build('one', extensions)).concat(ports.getDebugPorts(build('two', extensions)));
+
+        assert.deepStrictEqual(ports.findCollisions(entries), []);
+        assert.doesNotThrow(() => ports.checkCollisions(entries));
+    });
+});
+
+describe('debug file', () =>
+{
+    let project, cwd;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        for (const folder of ['one', 'two'])
+        {
+            fs.mkdirSync(path.join(project, folder));
+            fs.writeFileSync(path.join(project, folder, 'index.html'), '<html></html>');
+        }
+
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    const create = (debugPorts) =>
+    {
+        const build = (source, id, extension) =>
+        {
+            return {
+                source,
+                products: ['photoshop'],
+                families: 'cc2020',
+                bundle: { id, name: 'Test', version: '1.0.0', author: 'Acme' },
+                extensions: [Object.assign({ id: `${id}.panel`, name: 'Panel', version: '1.0.0', mainPath: 'index.html' }, extension)],
+            };
+        };
+
+        return cepy({
+            builds: {
+                'one': build('one', 'com.acme.one'),
+                'two': build('two', 'com.acme.two', { debugPorts }),
+            },
+        });
+    };
+
+    it('lists the hosts of the targeted products only', () =>
+    {
+        return create({ photoshop: 8200 }).decorate('one', true).then(() =>
+        {
+            const dotdebug = fs.readFileSync(path.join(project, 'one', '.debug'), 'utf8'),
+                  names = (dotdebug.match(/<Host [^>]*Name="[^"]+"/g) || []).map(host => host.match(/Name="([^"]+)"/)[1]);
+
+            assert.deepStrictEqual(names, ['PHXS', 'PHSP']);
+            assert.ok(/Port="8000"/.test(dotdebug), dotdebug);
+        });
+    });
+
+    it('rejects ports colliding with the ones of other builds', () =>
+    {
+        // Extension ids get a ".debug" suffix in debug mode
+        return create({ photoshop: 8000 }).decorate('one', true).then(
+            () => assert.fail('Expected the build to be rejected.'),
+            error => assert.ok(/Debug port collisions detected:\s+8000: com\.acme\.one\.panel\.debug \(PHXS, build "one"\),[\s\S]*com\.acme\.two\.panel\.debug \(PHXS, build "two"\)/.test(error.message), error.message)
+        );
+    });
+});
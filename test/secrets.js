@@ -0,0 +1,86 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const secrets = require('../lib/secrets.js');
+
+describe('secrets', () =>
+{
+    it('redacts long secrets wherever they appear', () =>
+    {
+        secrets.register('correct-horse-battery');
+
+        assert.strictEqual(secrets.redact('correct-horse-battery'), secrets.REDACTED);
+        assert.strictEqual(secrets.redact('-pwcorrect-horse-battery"'), `-pw${secrets.REDACTED}"`);
+    });
+
+    it('redacts short secrets wherever they appear as a whole word', () =>
+    {
+        secrets.register('hunter');
+
+        assert.strictEqual(secrets.redact('hunter'), secrets.REDACTED);
+        assert.strictEqual(secrets.redact('Invalid password "hunter" for certificate.p12'), `Invalid password "${secrets.REDACTED}" for certificate.p12`);
+        assert.strictEqual(secrets.redact('ZXPSignCmd -sign src out.zxp cert.p12 hunter'), `ZXPSignCmd -sign src out.zxp cert.p12 ${secrets.REDACTED}`);
+        assert.strictEqual(secrets.redact('hunters and huntergatherers'), 'hunters and huntergatherers');
+    });
+
+    it('redacts short secrets starting or ending with punctuation', () =>
+    {
+        secrets.register('p@ss!');
+
+        assert.strictEqual(secrets.redact('password p@ss! is wrong'), `password ${secrets.REDACTED} is wrong`);
+    });
+
+    it('redacts the message and stack of errors', () =>
+    {
+        secrets.register('s3cr3t');
+
+        const error = secrets.redact(new Error('Unable to sign with s3cr3t'));
+
+        assert.strictEqual(error.message, `Unable to sign with ${secrets.REDACTED}`);
+        assert.strictEqual(error.stack.indexOf('s3cr3t'), -1);
+    });
+
+    it('registers the passwords it resolves', () =>
+    {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-')), 'password.txt');
+
+        fs.writeFileSync(file, 'from-file\n');
+        process.env.CEPY_TEST_PASSWORD = 'from-env';
+
+        return Promise.all([
+            secrets.resolvePassword({ file }),
+            secrets.resolvePassword({ env: 'CEPY_TEST_PASSWORD' }),
+        ])
+        .then((passwords) =>
+        {
+            assert.deepStrictEqual(passwords, ['from-file', 'from-env']);
+            assert.strictEqual(secrets.redact('from-file from-env'), `${secrets.REDACTED} ${secrets.REDACTED}`);
+        })
+        .finally(() =>
+        {
+            delete process.env.CEPY_TEST_PASSWORD;
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        });
+    });
+});
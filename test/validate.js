@@ -0,0 +1,176 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      validate = require('../lib/validate.js');
+
+/**
+ * Returns a minimal bundle manifest.
+ * @param {String[]} extensions Ids of the extensions in ExtensionList.
+ * @param {String[]} dispatched Markup of each DispatchInfoList entry.
+ * @returns {String}
+ */
+function manifest(extensions, dispatched)
+{
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ExtensionManifest Version="7.0" ExtensionBundleId="com.acme.test" ExtensionBundleVersion="1.0.0">
+  <ExtensionList>${extensions.map(id => `<Extension Id="${id}" Version="1.0.0" />`).join('')}</ExtensionList>
+  <ExecutionEnvironment>
+    <HostList><Host Name="PHXS" Version="21.0" /></HostList>
+    <LocaleList><Locale Code="All" /></LocaleList>
+    <RequiredRuntimeList><RequiredRuntime Name="CSXS" Version="9.0" /></RequiredRuntimeList>
+  </ExecutionEnvironment>
+  <DispatchInfoList>${dispatched.join('')}</DispatchInfoList>
+</ExtensionManifest>`;
+}
+
+/**
+ * Returns a DispatchInfoList entry.
+ * @param {String} id
+ * @param {String} resources Markup of the <Resources> element content.
+ * @returns {String}
+ */
+function dispatchInfo(id, resources)
+{
+    return `<Extension Id="${id}"><DispatchInfo><Resources>${resources}</Resources><UI><Type>Panel</Type></UI></DispatchInfo></Extension>`;
+}
+
+describe('manifest validation', () =>
+{
+    const cef = '<MainPath>./index.html</MainPath><CEFCommandLine><Parameter>--enable-nodejs</Parameter></CEFCommandLine>';
+
+    it('accepts a valid manifest', () =>
+    {
+        const report = validate.validateManifest(manifest(['com.acme.a'], [dispatchInfo('com.acme.a', cef)]), '7.0');
+
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(report.warnings, []);
+    });
+
+    it('reports elements the manifest version does not support', () =>
+    {
+        const report = validate.validateManifest(manifest(['com.acme.a'], [dispatchInfo('com.acme.a', cef)]), '4.0');
+
+        assert.deepStrictEqual(report.errors, [
+            'ExtensionManifest > DispatchInfoList > Extension[com.acme.a] > DispatchInfo > Resources > CEFCommandLine: '
+            + 'element not supported by manifest version 4.0 (requires 5.0 or later).',
+        ]);
+        assert.ok(validate.supports('5.0', 'ExtensionManifest/DispatchInfoList/Extension/DispatchInfo/Resources/CEFCommandLine'));
+    });
+
+    it('reports unknown elements and attributes', () =>
+    {
+        const report = validate.validateManifest(manifest(['com.acme.a'], [dispatchInfo('com.acme.a', '<MainPath Kind="html">./index.html</MainPath><Typo />')]), '7.0');
+
+        assert.deepStrictEqual(report.errors, ['ExtensionManifest > DispatchInfoList > Extension[com.acme.a] > DispatchInfo > Resources > Typo: unknown element.']);
+        assert.strictEqual(report.warnings.length, 1);
+        assert.ok(/MainPath: unknown attribute "Kind"/.test(report.warnings[0]), report.warnings[0]);
+    });
+
+    it('reports missing required elements', () =>
+    {
+        const report = validate.validateManifest(manifest(['com.acme.a'], [dispatchInfo('com.acme.a', '<ScriptPath>./main.jsx</ScriptPath>')]), '7.0');
+
+        assert.deepStrictEqual(report.errors, ['ExtensionManifest > DispatchInfoList > Extension[com.acme.a] > DispatchInfo > Resources: missing required element <MainPath>.']);
+    });
+
+    it('reports duplicate and undeclared extension ids', () =>
+    {
+        const resources = '<MainPath>./index.html</MainPath>',
+              report = validate.validateManifest(manifest(['com.acme.a', 'com.acme.a', 'com.acme.b'], [
+                  dispatchInfo('com.acme.a', resources),
+                  dispatchInfo('com.acme.a', resources),
+                  dispatchInfo('com.acme.c', resources),
+              ]), '7.0');
+
+        assert.deepStrictEqual(report.errors, [
+            'ExtensionList: duplicate extension id "com.acme.a".',
+            'DispatchInfoList: duplicate extension id "com.acme.a".',
+            'DispatchInfoList: extension "com.acme.c" is not declared in ExtensionList.',
+        ]);
+        assert.deepStrictEqual(report.warnings, ['ExtensionList: extension "com.acme.b" has no entry in DispatchInfoList.']);
+    });
+});
+
+describe('decorated manifest validation', () =>
+{
+    let project, cwd;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        fs.writeFileSync(path.join(project, 'extension.xml'), [
+            '<Extension Id="{%- id %}">',
+            '  <DispatchInfo>',
+            '    <Resources>',
+            '      <MainPath>{%- mainPath %}</MainPath>',
+            '      <CEFCommandLine><Parameter>--enable-nodejs</Parameter></CEFCommandLine>',
+            '    </Resources>',
+            '    <UI><Type>{%- type %}</Type></UI>',
+            '  </DispatchInfo>',
+            '</Extension>',
+        ].join('\n'));
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    const create = (families) =>
+    {
+        return cepy({
+            builds: {
+                'main': {
+                    source: 'src',
+                    products: ['photoshop'],
+                    families,
+                    bundle: { id: 'com.acme.test', name: 'Test', version: '1.0.0', author: 'Acme' },
+                    extensions: [{ id: 'com.acme.test.panel', name: 'Panel', version: '1.0.0', mainPath: 'index.html', manifest: 'extension.xml' }],
+                },
+            },
+        });
+    };
+
+    it('validates against the manifest version of the lowest family', () =>
+    {
+        return create('cc2014').decorate('main', false)
+        .then(() => create('cc2014').validate('main'))
+        .then(report => assert.deepStrictEqual(report.errors, []));
+    });
+
+    it('rejects decorated builds using unsupported elements', () =>
+    {
+        return create('cc').decorate('main', false).then(
+            () => assert.fail('Expected the build to be rejected.'),
+            error => assert.ok(/CEFCommandLine: element not supported by manifest version 4\.0 \(requires 5\.0 or later\)/.test(error.message), error.message)
+        );
+    });
+});
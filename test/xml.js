@@ -0,0 +1,137 @@
+/**
+ * Copyright 2016-2017 Francesco Camarlinghi
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test'),
+      assert = require('assert'),
+      fs = require('fs'),
+      os = require('os'),
+      path = require('path');
+
+const cepy = require('../cepy.js'),
+      xml = require('../lib/xml.js');
+
+describe('xml nodes', () =>
+{
+    it('escapes text and attribute values', () =>
+    {
+        const node = xml.element('Extension', { Id: 'a"b\'c', Name: '<Tom & Jerry>', Skipped: null }, ['1 < 2 & 3 > 2']);
+
+        assert.strictEqual(node.toString(), '<Extension Id="a&quot;b&apos;c" Name="&lt;Tom &amp; Jerry&gt;">1 &lt; 2 &amp; 3 &gt; 2</Extension>');
+    });
+
+    it('splits CDATA sections containing their terminator', () =>
+    {
+        assert.strictEqual(xml.cdata('a]]>b').toString(), '<![CDATA[a]]]]><![CDATA[>b]]>');
+    });
+
+    it('parses the markup it produces', () =>
+    {
+        const node = xml.element('List', { Name: '"&"' }, [
+            xml.element('Item', { Id: '<1>' }, ['Tom & Jerry']),
+            xml.comment(' note '),
+            xml.element('Script', null, [xml.cdata('if (a < b && c) {}')]),
+        ]);
+
+        const root = xml.parse(`<?xml version="1.0" encoding="UTF-8"?>\n${node}`)[0];
+
+        assert.strictEqual(root.name, 'List');
+        assert.strictEqual(root.attributes.Name, '"&"');
+        assert.strictEqual(root.element('Item').attributes.Id, '<1>');
+        assert.strictEqual(root.element('Item').text(), 'Tom & Jerry');
+        assert.strictEqual(root.element('Script').text(), 'if (a < b && c) {}');
+        assert.strictEqual(root.children[1].type, 'comment');
+        assert.strictEqual(root.toString(), node.toString());
+    });
+
+    it('rejects malformed markup with its file and line', () =>
+    {
+        const check = (source, message) =>
+        {
+            assert.throws(() => xml.validate(source, 'template.xml'), (error) =>
+            {
+                assert.strictEqual(error.file, 'template.xml');
+                assert.strictEqual(error.line, 2);
+                assert.ok(message.test(error.message), error.message);
+                return true;
+            });
+        };
+
+        check('<Bundle>\n<Name>Tom & Jerry</Name>\n</Bundle>', /template\.xml:2:\d+.*entity/i);
+        check('<Bundle>\n<Name Value="Tom & Jerry" />\n</Bundle>', /entity/i);
+        check('<Bundle>\n<Name></Value>\n</Bundle>', /close tag/i);
+        check('<Bundle>\n<Name Value="1" Value="2" />\n</Bundle>', /duplicate attribute "Value"/);
+        check('<Bundle />\n<Bundle />', /multiple root elements/);
+    });
+});
+
+describe('manifest markup', () =>
+{
+    let project, cwd;
+
+    beforeEach(() =>
+    {
+        project = fs.mkdtempSync(path.join(os.tmpdir(), 'cepy-test-'));
+        cwd = process.cwd();
+
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'index.html'), '<html></html>');
+        process.chdir(project);
+    });
+
+    afterEach(() =>
+    {
+        process.chdir(cwd);
+        fs.rmSync(project, { recursive: true, force: true });
+    });
+
+    const create = (bundle) =>
+    {
+        return cepy({
+            builds: {
+                'main': {
+                    source: 'src',
+                    products: ['photoshop'],
+                    families: ['cc2020'],
+                    bundle: Object.assign({ id: 'com.acme.test', name: 'Tom & "Jerry"', version: '1.0.0', author: 'Acme' }, bundle),
+                    extensions: [{ id: 'com.acme.test.panel', name: '<Panel> & Co', version: '1.0.0', mainPath: 'index.html' }],
+                },
+            },
+        });
+    };
+
+    it('escapes names in the bundle manifest', () =>
+    {
+        return create().decorate('main', false).then(() =>
+        {
+            const root = xml.parse(fs.readFileSync(path.join(project, 'src', 'CSXS', 'manifest.xml'), 'utf8'))[0];
+
+            assert.strictEqual(root.attributes.ExtensionBundleName, 'Tom & "Jerry"');
+            assert.strictEqual(root.element('ExtensionList').element('Extension').attributes.Id, 'com.acme.test.panel');
+        });
+    });
+
+    it('rejects templates rendering malformed markup', () =>
+    {
+        fs.writeFileSync(path.join(project, 'manifest.xml'), '<ExtensionManifest Version="7.0">\n    <Broken>\n</ExtensionManifest>\n');
+
+        return create({ manifest: 'manifest.xml' }).decorate('main', false).then(
+            () => assert.fail('Expected the build to be rejected.'),
+            error => assert.ok(/manifest\.xml:3:\d+/.test(error.message), error.message)
+        );
+    });
+});